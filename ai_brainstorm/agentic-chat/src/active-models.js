@@ -1,5 +1,8 @@
 // Active Models Manager
 // Manages user's list of active models for conversations
+// Each entry may name the provider it runs on ('openrouter' when omitted)
+
+import { DEFAULT_PROVIDER_ID } from './providers.js';
 
 const STORAGE_KEY = 'agentic_chat_active_models';
 const PRESET_STORAGE_KEY = 'agentic_chat_selected_preset';
@@ -24,9 +27,22 @@ export const MODEL_PRESETS = {
     { id: 'deepseek/deepseek-v3.2-exp', name: 'DeepSeek V3.2 Exp' },
     { id: 'openai/gpt-oss-120b', name: 'GPT OSS 120B' },
     { id: 'z-ai/glm-4.6', name: 'GLM 4.6' }
+  ],
+  // Runs entirely on the scripted fake provider (no API key or network needed)
+  offline: [
+    { id: 'fake/echo', name: 'Fake Echo', provider: 'fake' },
+    { id: 'fake/scripted', name: 'Fake Scripted', provider: 'fake' }
   ]
 };
 
+// Response profile each preset runs with (see response-profiles.js)
+const PRESET_RESPONSE_PROFILES = {
+  max: 'long-form',
+  'fast-cheap': 'terse',
+  exp: 'normal',
+  offline: 'normal'
+};
+
 // Default models to load on first run
 const DEFAULT_MODELS = [
   { id: 'openai/gpt-5.1', name: 'GPT-5.1', addedAt: Date.now() },
@@ -69,8 +85,14 @@ export function getActiveModels() {
   return [...activeModels];
 }
 
+// Get the provider a model runs on (entries without one run on OpenRouter)
+export function getModelProvider(modelId) {
+  const model = activeModels.find(m => m.id === modelId);
+  return model?.provider || DEFAULT_PROVIDER_ID;
+}
+
 // Add a model to active list
-export function addActiveModel(modelId, modelName) {
+export function addActiveModel(modelId, modelName, provider = DEFAULT_PROVIDER_ID) {
   // Check if model already exists
   const exists = activeModels.some(m => m.id === modelId);
   if (exists) {
@@ -80,6 +102,7 @@ export function addActiveModel(modelId, modelName) {
   const newModel = {
     id: modelId,
     name: modelName,
+    provider,
     addedAt: Date.now()
   };
 
@@ -194,5 +217,10 @@ export function getPresets() {
   return Object.keys(MODEL_PRESETS);
 }
 
+// Get the response profile a preset runs with ('' when none or no preset)
+export function getPresetResponseProfile(presetName) {
+  return PRESET_RESPONSE_PROFILES[presetName] || '';
+}
+
 // Initialize on module load
 loadActiveModels();
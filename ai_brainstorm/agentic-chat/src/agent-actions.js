@@ -0,0 +1,449 @@
+// Agent Actions
+// Schema for every action the agent model can return (conversations, plans, the council, comparisons, model management),
+// and validation of its parsed JSON
+// Validation errors are written for the agent model, which gets them back to repair its answer (see agent-orchestrator.js)
+
+import { findCatalogModel } from './model-catalog.js';
+
+// Most conversations or branches one action may create
+export const MAX_AGENT_CONVERSATIONS = 10;
+
+// Most steps in one plan
+export const MAX_PLAN_STEPS = 5;
+
+// Model choices for new conversations besides a model: the next model in round-robin order, or the model
+// recommended for the prompt's task type
+export const ANY_MODEL = 'any';
+export const BEST_MODEL = 'best';
+const MODEL_KEYWORDS = [ANY_MODEL, BEST_MODEL];
+
+// A reference to an earlier plan step's output: {{step1.winner}}
+const REFERENCE_PATTERN = /\{\{\s*step(\d+)\.(\w+)\s*\}\}/g;
+
+// Whether a value is exactly one reference (rather than text containing some)
+export function isStepReference(value) {
+  return typeof value === 'string' && /^\{\{\s*step\d+\.\w+\s*\}\}$/.test(value.trim());
+}
+
+/**
+ * Find the step references in a value (strings and arrays of strings)
+ * @param {*} value - Step field value
+ * @returns {Array} [{ step: 1-based step number, output, text: the reference as written }]
+ */
+export function findStepReferences(value) {
+  const texts = Array.isArray(value) ? value : [value];
+  return texts.filter(text => typeof text === 'string').flatMap(text =>
+    Array.from(text.matchAll(REFERENCE_PATTERN), match => ({ step: parseInt(match[1], 10), output: match[2], text: match[0] }))
+  );
+}
+
+// Field types: a check and how the type is described in error messages
+const FIELD_TYPES = {
+  string: {
+    check: value => typeof value === 'string' && value.trim() !== '',
+    description: 'a non-empty string'
+  },
+  integer: {
+    check: value => Number.isInteger(value),
+    description: 'an integer'
+  },
+  // Conversation IDs are strings, but models often send them as numbers
+  id: {
+    check: value => (typeof value === 'string' && value.trim() !== '') || Number.isInteger(value),
+    normalize: value => String(value),
+    description: 'a conversation ID string'
+  },
+  'string[]': {
+    check: value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== ''),
+    description: 'an array of non-empty strings'
+  },
+  // Conversation IDs, or a reference to an earlier step's conversations
+  'id[]': {
+    check: value => isStepReference(value) ||
+      (Array.isArray(value) && value.every(item => (typeof item === 'string' && item.trim() !== '') || Number.isInteger(item))),
+    normalize: value => (Array.isArray(value) ? value.map(String) : value),
+    description: 'an array of conversation IDs or a step reference'
+  },
+  'object[]': {
+    check: value => Array.isArray(value) && value.every(item => item && typeof item === 'object' && !Array.isArray(item)),
+    description: 'an array of objects'
+  },
+  'integer[]': {
+    check: value => Array.isArray(value) && value.every(item => Number.isInteger(item)),
+    description: 'an array of integers'
+  },
+  // One model per conversation (IDs or names), or "any"/"best" for all of them
+  models: {
+    check: value => (typeof value === 'string' && MODEL_KEYWORDS.includes(value.trim().toLowerCase())) ||
+      (Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '')),
+    description: `"${ANY_MODEL}", "${BEST_MODEL}" or an array of model IDs or names`
+  }
+};
+
+// Simplified model reference for matching names: "GPT 5.1" and "gpt-5.1" both become "gpt5.1"
+function simplifyModelReference(text) {
+  return text.toLowerCase().replace(/[^a-z0-9.]/g, '');
+}
+
+// Active models a reference can mean: an exact ID or name, else every model whose ID or name contains it
+function matchActiveModels(reference, activeModels) {
+  const term = reference.trim().toLowerCase();
+  const exact = activeModels.filter(model => model.id.toLowerCase() === term || model.name.toLowerCase() === term);
+  if (exact.length > 0) {
+    return exact.slice(0, 1);
+  }
+  const simplified = simplifyModelReference(term);
+  return simplified
+    ? activeModels.filter(model => simplifyModelReference(model.id).includes(simplified) || simplifyModelReference(model.name).includes(simplified))
+    : [];
+}
+
+// Check the models chosen for new conversations, replacing names with model IDs ("any" and "best" stay as they are)
+function checkModelChoices(action, { activeModels }) {
+  const choices = Array.isArray(action.modelIds) ? action.modelIds : Array(action.conversationCount).fill(action.modelIds);
+  if (choices.length !== action.conversationCount) {
+    return [`"modelIds" has ${choices.length} entries but "conversationCount" is ${action.conversationCount}; give one model per conversation, or "${ANY_MODEL}"`];
+  }
+
+  const errors = [];
+  action.modelIds = choices.map(choice => {
+    const keyword = choice.trim().toLowerCase();
+    if (MODEL_KEYWORDS.includes(keyword)) return keyword;
+    if (!activeModels) return choice;
+    const matches = matchActiveModels(choice, activeModels);
+    if (matches.length === 0) {
+      errors.push(`"modelIds" entry "${choice}" doesn't match any active model; use an ID or name from AVAILABLE ACTIVE MODELS, "${ANY_MODEL}" or "${BEST_MODEL}"`);
+    } else if (matches.length > 1) {
+      errors.push(`"modelIds" entry "${choice}" matches ${matches.map(model => model.name).join(', ')}; use the model ID`);
+    }
+    return matches[0]?.id ?? choice;
+  });
+  return errors;
+}
+
+// Errors for a list of conversation IDs outside a plan: references to steps and IDs that match nothing
+function checkConversationIds(name, ids, { findConversation }) {
+  if (isStepReference(ids)) {
+    return [`"${name}" refers to ${ids.trim()}, but step outputs can only be used inside a plan; give conversation IDs`];
+  }
+  return findConversation
+    ? ids.filter(id => !findConversation(id)).map(id => `"${name}" entry "${id}" doesn't match any conversation; use IDs from ALL EXISTING CONVERSATIONS`)
+    : [];
+}
+
+/**
+ * Action schemas: the fields each action takes, and checks that need the app's state
+ * Fields: { type, required, min, max, minItems, maxItems }; fields not listed are ignored
+ * check(action, context) returns extra errors (and may normalize nested values); context is { findConversation(reference),
+ * activeModels, presets: preset names, catalog: the loaded model catalog or null }
+ */
+export const AGENT_ACTIONS = {
+  create_conversations: {
+    fields: {
+      conversationCount: { type: 'integer', required: true, min: 1, max: MAX_AGENT_CONVERSATIONS },
+      initialPrompt: { type: 'string', required: true },
+      modelIds: { type: 'models', required: true },
+      response: { type: 'string', required: true }
+    },
+    check: checkModelChoices
+  },
+  continue_conversations: {
+    fields: {
+      sourceConversationId: { type: 'id', required: true },
+      branchCount: { type: 'integer', required: true, min: 1, max: MAX_AGENT_CONVERSATIONS },
+      prompts: { type: 'string[]', required: true, minItems: 1 },
+      response: { type: 'string', required: true }
+    },
+    check(action, { findConversation }) {
+      const errors = [];
+      if (findConversation && !findConversation(action.sourceConversationId)) {
+        errors.push(`"sourceConversationId" "${action.sourceConversationId}" doesn't match any conversation; use an ID from ALL EXISTING CONVERSATIONS, or "current"`);
+      }
+      if (action.prompts.length > action.branchCount) {
+        errors.push(`"prompts" has ${action.prompts.length} entries but "branchCount" is ${action.branchCount}; give one prompt per branch`);
+      }
+      return errors;
+    }
+  },
+  plan: {
+    fields: {
+      steps: { type: 'object[]', required: true, minItems: 2, maxItems: MAX_PLAN_STEPS },
+      response: { type: 'string', required: true }
+    },
+    check(action, context) {
+      const results = action.steps.map((step, index) => validatePlanStep(step, index, action.steps, context));
+      action.steps = results.map(result => result.step);
+      return results.flatMap(result => result.errors);
+    }
+  },
+  council: {
+    fields: {
+      conversations: { type: 'id[]' }, // Defaults to the root conversations
+      question: { type: 'string' }, // Defaults to the prompt the conversations answered
+      response: { type: 'string', required: true }
+    },
+    check(action, context) {
+      if (!action.conversations) return [];
+      const errors = checkConversationIds('conversations', action.conversations, context);
+      if (errors.length === 0 && action.conversations.length < 2) {
+        errors.push('"conversations" needs at least 2 conversations to compare');
+      }
+      return errors;
+    }
+  },
+  compare_conversations: {
+    fields: {
+      conversationIds: { type: 'id[]', required: true, minItems: 2, maxItems: 2 },
+      response: { type: 'string', required: true }
+    },
+    check(action, context) {
+      return checkConversationIds('conversationIds', action.conversationIds, context);
+    }
+  },
+  delete_conversations: {
+    fields: {
+      conversationIds: { type: 'id[]', required: true, minItems: 1 },
+      response: { type: 'string', required: true }
+    },
+    check(action, context) {
+      return checkConversationIds('conversationIds', action.conversationIds, context);
+    }
+  },
+  rename_conversation: {
+    fields: {
+      conversationId: { type: 'id', required: true },
+      name: { type: 'string', required: true },
+      response: { type: 'string', required: true }
+    },
+    check(action, { findConversation }) {
+      if (findConversation && !findConversation(action.conversationId)) {
+        return [`"conversationId" "${action.conversationId}" doesn't match any conversation; use an ID from ALL EXISTING CONVERSATIONS, or "current"`];
+      }
+      return [];
+    }
+  },
+  add_model: {
+    fields: {
+      modelId: { type: 'string', required: true },
+      modelName: { type: 'string' }, // Defaults to the catalog's name for the model
+      response: { type: 'string', required: true }
+    },
+    check(action, { activeModels, catalog }) {
+      if (activeModels?.some(model => model.id === action.modelId)) {
+        return [`"modelId" "${action.modelId}" is already an active model`];
+      }
+      if (catalog && !findCatalogModel(catalog, action.modelId)) {
+        return [`"modelId" "${action.modelId}" isn't in the model catalog; use an OpenRouter model ID such as "openai/gpt-5-mini"`];
+      }
+      return [];
+    }
+  },
+  remove_model: {
+    fields: {
+      modelId: { type: 'string', required: true },
+      response: { type: 'string', required: true }
+    },
+    check(action, { activeModels }) {
+      if (activeModels && !activeModels.some(model => model.id === action.modelId)) {
+        return [`"modelId" "${action.modelId}" isn't an active model; use an ID from AVAILABLE ACTIVE MODELS`];
+      }
+      return [];
+    }
+  },
+  load_preset: {
+    fields: {
+      preset: { type: 'string', required: true },
+      response: { type: 'string', required: true }
+    },
+    check(action, { presets }) {
+      if (presets && !presets.includes(action.preset)) {
+        return [`"preset" must be one of ${presets.join(', ')} (got ${describeValue(action.preset)})`];
+      }
+      return [];
+    }
+  },
+  chat: {
+    fields: {
+      response: { type: 'string', required: true }
+    }
+  }
+};
+
+/**
+ * What a plan step can do, and the outputs later steps can refer to as {{stepN.output}}
+ * A field or list entry holding exactly one reference gets the output's value (conversation ID fields and entries need
+ * an output of the same type); references inside text are replaced by the output as text
+ */
+export const PLAN_STEPS = {
+  create_conversations: {
+    fields: {
+      conversationCount: AGENT_ACTIONS.create_conversations.fields.conversationCount,
+      initialPrompt: { type: 'string', required: true },
+      modelIds: AGENT_ACTIONS.create_conversations.fields.modelIds
+    },
+    outputs: {
+      conversations: { type: 'id[]', description: 'IDs of the new conversations' }
+    },
+    check: checkModelChoices
+  },
+  continue_conversations: {
+    fields: {
+      sourceConversationId: { type: 'id', required: true },
+      branchCount: AGENT_ACTIONS.continue_conversations.fields.branchCount,
+      prompts: { type: 'string[]', required: true, minItems: 1 }
+    },
+    outputs: {
+      conversations: { type: 'id[]', description: 'IDs of the new branches' }
+    },
+    check(step, { findConversation }) {
+      const errors = [];
+      if (findConversation && !isStepReference(step.sourceConversationId) && !findConversation(step.sourceConversationId)) {
+        errors.push(`"sourceConversationId" "${step.sourceConversationId}" doesn't match any conversation; use an ID from ALL EXISTING CONVERSATIONS`);
+      }
+      if (step.prompts.length > step.branchCount) {
+        errors.push(`"prompts" has ${step.prompts.length} entries but "branchCount" is ${step.branchCount}`);
+      }
+      return errors;
+    }
+  },
+  council: {
+    fields: {
+      conversations: { type: 'id[]' }, // Defaults to the conversations of the nearest earlier step (a dependency)
+      question: { type: 'string' } // Defaults to the prompt the conversations answered
+    },
+    outputs: {
+      winner: { type: 'id', description: 'ID of the top-ranked conversation' },
+      synthesis: { type: 'string', description: "the chairman's final answer" },
+      conversations: { type: 'id[]', description: 'IDs of the conversations compared' }
+    },
+    check(step, { findConversation }) {
+      if (!Array.isArray(step.conversations)) return [];
+      const errors = [];
+      if (step.conversations.length < 2) {
+        errors.push('"conversations" needs at least 2 conversations to compare');
+      }
+      if (findConversation) {
+        step.conversations.filter(id => !isStepReference(id) && !findConversation(id)).forEach(id => {
+          errors.push(`"conversations" entry "${id}" doesn't match any conversation; use IDs from ALL EXISTING CONVERSATIONS`);
+        });
+      }
+      return errors;
+    }
+  }
+};
+
+// A value as quoted in an error message (long values are cut)
+function describeValue(value) {
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+}
+
+// Errors for one field's value
+function checkField(name, value, field) {
+  const type = FIELD_TYPES[field.type];
+  if (!type.check(value)) {
+    return [`"${name}" must be ${type.description} (got ${describeValue(value)})`];
+  }
+  if (field.min !== undefined && value < field.min) {
+    return [`"${name}" must be at least ${field.min} (got ${value})`];
+  }
+  if (field.max !== undefined && value > field.max) {
+    return [`"${name}" must be at most ${field.max} (got ${value})`];
+  }
+  if (field.minItems !== undefined && value.length < field.minItems) {
+    return [`"${name}" needs at least ${field.minItems} item${field.minItems === 1 ? '' : 's'}`];
+  }
+  if (field.maxItems !== undefined && value.length > field.maxItems) {
+    return [`"${name}" has ${value.length} items, at most ${field.maxItems} are allowed`];
+  }
+  return [];
+}
+
+// Check an object's fields against a schema: { errors, values: a copy with normalized fields }
+function checkFields(object, fields, actionName) {
+  const errors = [];
+  const values = { ...object };
+  Object.entries(fields).forEach(([name, field]) => {
+    const value = object[name];
+    if (value === undefined || value === null) {
+      if (field.required) {
+        errors.push(`"${name}" is required for ${actionName}`);
+      }
+      return;
+    }
+    const fieldErrors = checkField(name, value, field);
+    errors.push(...fieldErrors);
+    if (fieldErrors.length === 0 && FIELD_TYPES[field.type].normalize) {
+      values[name] = FIELD_TYPES[field.type].normalize(value);
+    }
+  });
+  return { errors, values };
+}
+
+// Check one step of a plan: its fields, then its references and dependencies ({ errors, step })
+function validatePlanStep(step, index, steps, context) {
+  const prefix = `Step ${index + 1}`;
+  const schema = PLAN_STEPS[step.action];
+  if (!schema) {
+    return {
+      errors: [`${prefix}: "action" must be one of ${Object.keys(PLAN_STEPS).join(', ')} (got ${describeValue(step.action)})`],
+      step
+    };
+  }
+
+  const { errors, values } = checkFields(step, { ...schema.fields, dependsOn: { type: 'integer[]' } }, step.action);
+  Object.keys(schema.fields).forEach(name => {
+    findStepReferences(step[name]).forEach(reference => {
+      if (reference.step < 1 || reference.step > index) {
+        errors.push(`"${name}" refers to ${reference.text}, but a step can only use the outputs of earlier steps`);
+        return;
+      }
+      const outputs = PLAN_STEPS[steps[reference.step - 1].action]?.outputs;
+      const output = outputs?.[reference.output];
+      if (outputs && !output) {
+        errors.push(`"${name}" refers to ${reference.text}, but step ${reference.step} only has ${Object.keys(outputs).join(', ')}`);
+      } else if (output && isStepReference(step[name]) && ['id', 'id[]'].includes(schema.fields[name].type) &&
+        output.type !== schema.fields[name].type) {
+        errors.push(`"${name}" needs ${FIELD_TYPES[schema.fields[name].type].description}, but ${reference.text} is the ${output.description}`);
+      } else if (output && Array.isArray(step[name]) && schema.fields[name].type === 'id[]' && output.type !== 'id') {
+        // A list entry stands for one conversation; a whole list of them replaces the list
+        errors.push(`"${name}" entry ${reference.text} is the ${output.description}; inside a list use a single conversation ` +
+          `such as {{stepN.winner}}, or give "${name}": "${reference.text}" on its own`);
+      }
+    });
+  });
+  (values.dependsOn || []).filter(dependency => dependency < 1 || dependency > index).forEach(dependency => {
+    errors.push(`"dependsOn" includes step ${dependency}, but a step can only depend on earlier steps`);
+  });
+
+  if (errors.length === 0 && schema.check) {
+    errors.push(...schema.check(values, context));
+  }
+  return { errors: errors.map(error => `${prefix}: ${error}`), step: values };
+}
+
+/**
+ * Validate a parsed agent response against its action's schema
+ * @param {*} command - Parsed JSON from the agent model
+ * @param {Object} context - { findConversation(reference) } for checks against the app's conversations
+ * @returns {Object} { valid: true, action } with normalized fields, or { valid: false, errors }
+ */
+export function validateAgentAction(command, context = {}) {
+  if (!command || typeof command !== 'object' || Array.isArray(command)) {
+    return { valid: false, errors: ['The response must be a JSON object with an "action" field'] };
+  }
+  const schema = AGENT_ACTIONS[command.action];
+  if (!schema) {
+    return {
+      valid: false,
+      errors: [`"action" must be one of ${Object.keys(AGENT_ACTIONS).join(', ')} (got ${describeValue(command.action)})`]
+    };
+  }
+
+  const { errors, values: action } = checkFields(command, schema.fields, command.action);
+  // Checks against the app's state only make sense once the fields themselves are right
+  if (errors.length === 0 && schema.check) {
+    errors.push(...schema.check(action, context));
+  }
+  return errors.length > 0 ? { valid: false, errors } : { valid: true, action };
+}
@@ -0,0 +1,210 @@
+// Agent Context
+// Token-budgeted conversation context for the agent's system prompt: the current conversation's history
+// (oldest messages dropped first when it is too long) and a compact summary of every other conversation
+// Summaries are cached per conversation and rebuilt only when its history changes
+
+import { estimateTokens } from './openrouter-client.js';
+import { getLoadedModelCatalog, findCatalogModel } from './model-catalog.js';
+import { config } from './config.js';
+
+// Share of the conversation budget the current conversation may take (the rest goes to the summaries)
+const CURRENT_SHARE = 0.6;
+
+// Longest excerpts quoted in a summary (characters)
+const SUMMARY_PROMPT_CHARS = 160;
+const SUMMARY_ANSWER_CHARS = 240;
+
+// Summaries by conversation ID: { signature, text }
+const summaryCache = new Map();
+
+/**
+ * Token budget for the agent's system prompt
+ * The configured budget (VITE_AGENT_PROMPT_TOKENS), capped at half the agent model's context window when the
+ * model catalog knows it, so the agent chat and the answer still fit
+ * @param {string} modelId - Agent model
+ * @returns {number} Tokens
+ */
+export function getAgentPromptBudget(modelId) {
+  const catalog = getLoadedModelCatalog();
+  const contextLength = catalog && findCatalogModel(catalog, modelId)?.contextLength;
+  return contextLength ? Math.min(config.agentPromptTokens, Math.floor(contextLength / 2)) : config.agentPromptTokens;
+}
+
+// Text of a message's content (tool-call messages may have none)
+function getMessageText(message) {
+  return typeof message.content === 'string' ? message.content : '';
+}
+
+// Shorten text to at most `limit` characters, on one line
+function excerpt(text, limit) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > limit ? `${line.slice(0, limit - 1)}…` : line;
+}
+
+// Cut a line to about `tokens` tokens
+function cutLine(line, tokens) {
+  const limit = Math.max(0, tokens) * 4;
+  return line.length > limit ? `${line.slice(0, limit)}…` : line;
+}
+
+// One history line as the agent sees it
+function formatMessage(message, conversation) {
+  const sender = message.role === 'user'
+    ? (message.source === 'agent' ? 'Agent' : 'User')
+    : message.role === 'tool' ? `Tool ${message.name}` : conversation.modelName;
+  return `    ${sender}: ${getMessageText(message)}`;
+}
+
+/**
+ * Format a conversation's history within a token budget
+ * Keeps the first message (the task) and as many of the newest as fit; messages too long to fit on their own
+ * are cut short
+ * @param {Object} conversation - Conversation
+ * @param {number} budget - Tokens
+ * @returns {Object} { text, messages: lines shown, omitted: messages left out }
+ */
+export function formatConversationHistory(conversation, budget) {
+  const lines = conversation.history.map(message => formatMessage(message, conversation));
+  if (estimateTokens(lines.join('\n')) <= budget) {
+    return { text: lines.join('\n'), messages: lines.length, omitted: 0 };
+  }
+
+  // The first message gets at most half the budget
+  const first = cutLine(lines[0], Math.floor(budget / 2));
+  const rest = lines.slice(1);
+  const kept = [];
+  let used = estimateTokens(first) + 10; // Room for the omission marker
+  for (let i = rest.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(rest[i]) + 1;
+    if (used + tokens > budget) {
+      // The newest message is always shown, cut to what is left
+      if (kept.length === 0) {
+        kept.unshift(cutLine(rest[i], budget - used));
+      }
+      break;
+    }
+    kept.unshift(rest[i]);
+    used += tokens;
+  }
+
+  const omitted = rest.length - kept.length;
+  const marker = omitted > 0 ? [`    [${omitted} earlier message${omitted === 1 ? '' : 's'} omitted]`] : [];
+  return { text: [first, ...marker, ...kept].join('\n'), messages: kept.length + 1, omitted };
+}
+
+// What a summary depends on: new, removed or streamed messages change it, and so does a new session reusing the ID
+function getSummarySignature(conversation) {
+  const { history } = conversation;
+  const last = history[history.length - 1];
+  return `${history.length}:${history[0]?.timestamp}:${last?.timestamp}:${last ? getMessageText(last).length : 0}`;
+}
+
+// Build the summary lines: the prompt that started it (for branches, the branch's own prompt) and the latest answer
+function buildSummary(conversation) {
+  const ownMessages = conversation.history.slice(conversation.branchPoint || 0);
+  const prompt = ownMessages.find(message => message.role === 'user') || conversation.history.find(message => message.role === 'user');
+  const answer = [...conversation.history].reverse().find(message => message.role === 'assistant' && getMessageText(message));
+  const lines = [`    Asked: ${prompt ? excerpt(getMessageText(prompt), SUMMARY_PROMPT_CHARS) : '(nothing yet)'}`];
+  lines.push(`    Latest answer: ${answer ? excerpt(getMessageText(answer), SUMMARY_ANSWER_CHARS) : '(no answer yet)'}`);
+  return lines.join('\n');
+}
+
+/**
+ * Compact summary of a conversation (cached until its history changes)
+ * @param {Object} conversation - Conversation
+ * @returns {string} Summary lines
+ */
+export function getConversationSummary(conversation) {
+  const signature = getSummarySignature(conversation);
+  const cached = summaryCache.get(conversation.id);
+  if (cached?.signature === signature) {
+    return cached.text;
+  }
+  const text = buildSummary(conversation);
+  summaryCache.set(conversation.id, { signature, text });
+  return text;
+}
+
+// Heading line of a conversation in the list
+function formatConversationHeading(conversation, index, currentConversation) {
+  const details = [`${conversation.history.length} messages`];
+  if (conversation.parentId) {
+    details.unshift(`branch of ID ${conversation.parentId}`);
+  }
+  const isCurrent = currentConversation && conversation.id === currentConversation.id ? ' [CURRENT]' : '';
+  const name = conversation.name ? ` "${conversation.name}"` : '';
+  return `- Conversation ${index + 1}:${name} ${conversation.modelName} (ID: ${conversation.id})${isCurrent} - ${details.join(', ')}`;
+}
+
+// Other conversations in the order they should get budget: the current one's parent and branches, then newest first
+function prioritizeConversations(conversations, currentConversation) {
+  const related = conversation => currentConversation &&
+    (conversation.id === currentConversation.parentId || conversation.parentId === currentConversation.id);
+  return conversations
+    .map((conversation, index) => ({ conversation, index }))
+    .filter(({ conversation }) => !currentConversation || conversation.id !== currentConversation.id)
+    .sort((a, b) => (related(b.conversation) - related(a.conversation)) || (b.index - a.index));
+}
+
+/**
+ * Build the conversation sections of the agent's system prompt within a token budget
+ * The current conversation always gets its history (up to CURRENT_SHARE of the budget); the others get
+ * summaries while they fit, and the rest are listed by ID only
+ * @param {Array} conversations - All conversations
+ * @param {Object|null} currentConversation - Conversation being viewed
+ * @param {number} budget - Tokens for both sections
+ * @returns {Object} { currentContext, conversationsList, stats: { budget, tokens, currentMessages, currentOmitted,
+ *   summarized, listed } }
+ */
+export function buildConversationContext(conversations, currentConversation, budget) {
+  // Drop summaries of conversations that no longer exist (e.g. after switching sessions)
+  const ids = new Set(conversations.map(conversation => conversation.id));
+  Array.from(summaryCache.keys()).filter(id => !ids.has(id)).forEach(id => summaryCache.delete(id));
+
+  const stats = { budget, tokens: 0, currentMessages: 0, currentOmitted: 0, summarized: 0, listed: 0 };
+
+  let currentContext = 'No conversation currently selected';
+  if (currentConversation) {
+    const history = formatConversationHistory(currentConversation, Math.floor(budget * CURRENT_SHARE));
+    stats.currentMessages = history.messages;
+    stats.currentOmitted = history.omitted;
+    currentContext = `**CURRENTLY VIEWING:**
+- Conversation ID: ${currentConversation.id}${currentConversation.name ? `\n- Name: ${currentConversation.name}` : ''}
+- Model: ${currentConversation.modelName}
+- History:
+${history.text}`;
+  }
+
+  let remaining = budget - estimateTokens(currentContext);
+  const entries = new Map();
+  const unlisted = [];
+  const currentIndex = currentConversation ? conversations.findIndex(conversation => conversation.id === currentConversation.id) : -1;
+  if (currentIndex !== -1) {
+    const entry = `${formatConversationHeading(currentConversation, currentIndex, currentConversation)} (history above)`;
+    entries.set(currentIndex, entry);
+    remaining -= estimateTokens(entry) + 1;
+  }
+  prioritizeConversations(conversations, currentConversation).forEach(({ conversation, index }) => {
+    const entry = `${formatConversationHeading(conversation, index, currentConversation)}\n${getConversationSummary(conversation)}`;
+    const tokens = estimateTokens(entry) + 1;
+    if (tokens > remaining) {
+      unlisted.push({ conversation, index });
+      return;
+    }
+    entries.set(index, entry);
+    remaining -= tokens;
+    stats.summarized++;
+  });
+
+  // Conversations without room for a summary are still named, so the agent can refer to them
+  const lines = Array.from(entries.entries()).sort((a, b) => a[0] - b[0]).map(([, entry]) => entry);
+  if (unlisted.length > 0) {
+    const named = unlisted.sort((a, b) => a.index - b.index).map(({ conversation, index }) => `${index + 1} (ID: ${conversation.id})`);
+    lines.push(`- ${unlisted.length} more conversation${unlisted.length === 1 ? '' : 's'} without room for a summary: ${named.join(', ')}`);
+    stats.listed = unlisted.length;
+  }
+  const conversationsList = lines.length > 0 ? lines.join('\n\n') : 'No existing conversations';
+
+  stats.tokens = estimateTokens(currentContext) + estimateTokens(conversationsList);
+  return { currentContext, conversationsList, stats };
+}
@@ -1,7 +1,10 @@
 // Agent Model Manager
 // Manages which model is used as the agent orchestrator
 
+import { DEFAULT_PROVIDER_ID } from './providers.js';
+
 const AGENT_MODEL_STORAGE_KEY = 'agentic_chat_agent_model';
+const AGENT_PROVIDER_STORAGE_KEY = 'agentic_chat_agent_provider';
 const DEFAULT_AGENT_MODEL = 'x-ai/grok-4-fast';
 
 // Suggested agent models (fast and cheap options)
@@ -57,3 +60,24 @@ export function saveAgentModel(modelId) {
 export function getAgentModel() {
   return currentAgentModel || loadAgentModel();
 }
+
+// Load the provider the agent model runs on
+export function getAgentProvider() {
+  try {
+    return localStorage.getItem(AGENT_PROVIDER_STORAGE_KEY) || DEFAULT_PROVIDER_ID;
+  } catch (error) {
+    console.error('Failed to load agent provider:', error);
+    return DEFAULT_PROVIDER_ID;
+  }
+}
+
+// Save the provider the agent model runs on
+export function saveAgentProvider(providerId) {
+  try {
+    localStorage.setItem(AGENT_PROVIDER_STORAGE_KEY, providerId);
+    return true;
+  } catch (error) {
+    console.error('Failed to save agent provider:', error);
+    return false;
+  }
+}
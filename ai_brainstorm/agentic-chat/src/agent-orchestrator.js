@@ -1,61 +1,58 @@
 // Agent Orchestrator
-// Interprets user commands and manages agent decision-making
+// Interprets user commands; the system prompt stays within a token budget (agent-context.js)
+// The agent model's JSON (one action, or a plan of several run by agent-plans.js) is validated against the action
+// schemas (agent-actions.js), and invalid answers go back for repair; main.js runs the action (and asks before
+// destructive ones)
 
-import { sendChatCompletion, extractMessageContent } from './openrouter-client.js';
+import { sendChatCompletion, extractMessageContent, estimateTokens } from './openrouter-client.js';
 import { loadApiKey } from './api-key-manager.js';
-import { getActiveModels } from './active-models.js';
+import { getActiveModels, getPresets, MODEL_PRESETS } from './active-models.js';
 import { getAllConversations } from './conversation-manager.js';
-import { getAgentModel } from './agent-model-manager.js';
+import { getAgentModel, getAgentProvider } from './agent-model-manager.js';
+import { hasCredentials } from './providers.js';
+import { validateAgentAction, isStepReference, MAX_AGENT_CONVERSATIONS, MAX_PLAN_STEPS, ANY_MODEL, BEST_MODEL } from './agent-actions.js';
+import { buildConversationContext, getAgentPromptBudget } from './agent-context.js';
+import { getLoadedModelCatalog, findCatalogModel } from './model-catalog.js';
+import { getRecommendedModelForTask, inferTaskType } from './model-selection.js';
 
-// Build system prompt for the agent
-function buildAgentSystemPrompt(activeModels, existingConversations, currentConversation) {
+// How many times an invalid agent answer is sent back to be fixed before giving up
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+// Build system prompt for the agent: the instructions, plus as much conversation context as the token budget allows
+function buildAgentSystemPrompt(activeModels, existingConversations, currentConversation, budget) {
   const modelsList = activeModels.map(m => `- ${m.name} (${m.id})`).join('\n');
-  
-  // Build current conversation context
-  let currentContext = 'No conversation currently selected';
-  if (currentConversation) {
-    const historyText = currentConversation.history.map(msg => {
-      const sender = msg.role === 'user' 
-        ? (msg.source === 'agent' ? 'Agent' : 'User')
-        : currentConversation.modelName;
-      return `    ${sender}: ${msg.content}`;
-    }).join('\n');
-    
-    currentContext = `**CURRENTLY VIEWING:**
-- Conversation ID: ${currentConversation.id}
-- Model: ${currentConversation.modelName}
-- History:
-${historyText}`;
-  }
-  
-  // Build detailed conversation list with full history
-  let conversationsList = 'No existing conversations';
-  if (existingConversations.length > 0) {
-    conversationsList = existingConversations.map((c, i) => {
-      const historyText = c.history.map(msg => {
-        const sender = msg.role === 'user' 
-          ? (msg.source === 'agent' ? 'Agent' : 'User')
-          : c.modelName;
-        return `    ${sender}: ${msg.content}`;
-      }).join('\n');
-      
-      const isCurrent = currentConversation && c.id === currentConversation.id ? ' [CURRENT]' : '';
-      return `- Conversation ${i + 1}: ${c.modelName} (ID: ${c.id})${isCurrent}
-${historyText}`;
-    }).join('\n\n');
-  }
+  const instructionTokens = estimateTokens(renderAgentSystemPrompt(modelsList, '', ''));
+  const { currentContext, conversationsList, stats } = buildConversationContext(
+    existingConversations,
+    currentConversation,
+    Math.max(0, budget - instructionTokens)
+  );
+  const systemPrompt = renderAgentSystemPrompt(modelsList, currentContext, conversationsList);
+  return { systemPrompt, stats: { ...stats, budget, tokens: estimateTokens(systemPrompt) } };
+}
 
+// Model presets as listed for load_preset
+function formatPresets() {
+  return getPresets().map(name => `- ${name}: ${MODEL_PRESETS[name].map(model => model.name).join(', ')}`).join('\n');
+}
+
+// The system prompt's text around the model list and conversation sections
+function renderAgentSystemPrompt(modelsList, currentContext, conversationsList) {
   return `You are an AI agent orchestrator that helps users explore multiple AI models.
 
 ## AVAILABLE ACTIVE MODELS
 ${modelsList}
 
+## MODEL PRESETS
+${formatPresets()}
+
 ## CURRENT CONVERSATION CONTEXT
 ${currentContext}
 
 When the user says "this one", "this joke", "this conversation", or similar, they are referring to the CURRENTLY VIEWING conversation above.
 
 ## ALL EXISTING CONVERSATIONS
+Other conversations are summarized (what was asked and the latest answer).
 ${conversationsList}
 
 ## YOUR ACTIONS
@@ -63,28 +60,63 @@ ${conversationsList}
 1. **create_conversations**: Create N separate conversations for exploration
    - User says: "create 3 jokes" → Create 3 conversations with active models
    - User says: "give me 5 code examples" → Create 5 conversations
-   - Distribute conversations across active models (can reuse models)
+   - User says: "ask Claude and Gemini twice each" → 4 conversations, "modelIds" naming each model twice
+   - Choose the model of each conversation (see MODEL CHOICE)
    - Generate initial prompt to send to all conversations
    
 2. **continue_conversations**: Branch from existing conversation(s)
    - User says: "i like the joke of conversation 1, ask for 2 more similar jokes"
    - User says: "this one is hilarious, make a similar joke" → Use CURRENT conversation
    - User says: "this is great, give me 3 more like this" → Use CURRENT conversation
-   - Identify source conversation by ID, model name, or "this/current"
+   - Identify source conversation by ID, its exact name, or "current"
    - Create N branches from that conversation
    - Generate new prompts for each branch based on the conversation's history
    - Original conversation preserved (non-destructive)
    
-3. **chat**: Respond to general questions about the system
+3. **plan**: Run several steps in order when one request needs more than one action
+   - User says: "ask all models for a startup idea, then branch the best one three times and run the council"
+     → step 1 create_conversations, step 2 council, step 3 continue_conversations from {{step2.winner}}
+   - Step actions: create_conversations, continue_conversations (same fields as above, without "response") and
+     council (optional "conversations": IDs to compare, default the conversations of the nearest earlier step that
+     creates or compares some, skipped if that step fails; optional "question")
+   - Refer to an earlier step's output as {{stepN.output}}: {{stepN.conversations}} (create, branch, council),
+     {{stepN.winner}} (council: the top-ranked conversation) and {{stepN.synthesis}} (council: the final answer, usable in prompts);
+     a council's "conversations" list can mix IDs and {{stepN.winner}}, while {{stepN.conversations}} stands on its own
+   - Optional "dependsOn": [step numbers] for steps that need an earlier step without referring to it
+   - Between 2 and ${MAX_PLAN_STEPS} steps; only use a plan when a single action can't do it
+
+4. **council**: Let the models rank the answers of some conversations and synthesize the best one
+   - User says: "which of these answers is best?" → council on the conversations that answered
+   - Optional "conversations": IDs to compare (at least 2; default the root conversations), optional "question"
+
+5. **compare_conversations**: Show a diff and similarity score of the latest answers of two conversations
+   - User says: "how do conversations 1 and 3 differ?" → "conversationIds": ["1", "3"]
+
+6. **delete_conversations**: Delete conversations together with all their branches
+   - User says: "delete conversation 2", "prune the branches of this one" → list the IDs to delete
+   - The user is asked to confirm before anything is deleted
+
+7. **rename_conversation**: Give a conversation a name shown in the tree (the conversation can then be referred to by it)
+   - User says: "call this one 'Best pitch'" → "conversationId": "current", "name": "Best pitch"
+
+8. **add_model**, **remove_model**, **load_preset**: Manage the active models
+   - add_model: "modelId" is an OpenRouter model ID; optional "modelName"
+   - remove_model: "modelId" of an active model (the user is asked to confirm)
+   - load_preset: "preset" from MODEL PRESETS; replaces all active models (the user is asked to confirm)
+
+9. **chat**: Respond to general questions about the system
    - User says: "how does this work?" → Explain the system
    - User says: "what models do I have active?" → List active models
    - No conversations created
 
-## CONVERSATION DISTRIBUTION RULES
+## MODEL CHOICE
 - Parse user request for COUNT (how many conversations/responses they want)
-- If user has 2 active models and requests 3 conversations → distribute as [model1, model2, model1]
-- If user has 3 active models and requests 5 conversations → [model1, model2, model3, model1, model2]
-- Round-robin distribution across active models
+- "modelIds" gives one model per conversation, by ID or name from AVAILABLE ACTIVE MODELS (models can repeat)
+- When the user names models, use exactly those: "ask Claude and Gemini twice each" → ["Claude", "Claude", "Gemini", "Gemini"]
+- An entry can also be "${ANY_MODEL}" (the next active model in turn) or "${BEST_MODEL}" (the model that has done best on
+  this kind of task); "modelIds": "${ANY_MODEL}" or "${BEST_MODEL}" applies to every conversation
+- When the user doesn't care which models answer, use "${ANY_MODEL}": 3 conversations with 2 active models → model1, model2, model1
+- conversationCount and branchCount are between 1 and ${MAX_AGENT_CONVERSATIONS}
 
 ## PROMPT GENERATION
 - Convert user request into actual prompt for models
@@ -98,9 +130,9 @@ For create_conversations:
 {
   "action": "create_conversations",
   "conversationCount": 3,
-  "modelIds": ["model1", "model2", "model1"],
+  "modelIds": ["anthropic/claude-sonnet-4.5", "GPT-5.1", "anthropic/claude-sonnet-4.5"],
   "initialPrompt": "Generate a funny joke",
-  "response": "Created 3 conversations with Claude (x2) and GPT-4!"
+  "response": "Created 3 conversations with Claude (x2) and GPT-5.1!"
 }
 
 For continue_conversations:
@@ -115,6 +147,52 @@ For continue_conversations:
   "response": "Created 2 branches from conversation 1 to explore more similar jokes!"
 }
 
+For plan:
+{
+  "action": "plan",
+  "steps": [
+    { "action": "create_conversations", "conversationCount": 3, "modelIds": "any", "initialPrompt": "Pitch one startup idea in the AI space" },
+    { "action": "council" },
+    { "action": "continue_conversations", "sourceConversationId": "{{step2.winner}}", "branchCount": 3,
+      "prompts": ["Develop this idea further", "List the biggest risks of this idea", "Suggest a business model for this idea"] }
+  ],
+  "response": "I'll collect 3 startup ideas, let the council pick the best, then branch it 3 ways."
+}
+
+For council:
+{
+  "action": "council",
+  "conversations": ["1", "2", "3"],
+  "response": "Asking the council to rank the three answers."
+}
+
+For compare_conversations:
+{
+  "action": "compare_conversations",
+  "conversationIds": ["1", "3"],
+  "response": "Here's how the answers of conversations 1 and 3 differ."
+}
+
+For delete_conversations:
+{
+  "action": "delete_conversations",
+  "conversationIds": ["4", "5"],
+  "response": "Deleting conversations 4 and 5 and their branches."
+}
+
+For rename_conversation:
+{
+  "action": "rename_conversation",
+  "conversationId": "current",
+  "name": "Best pitch",
+  "response": "Renamed this conversation to Best pitch."
+}
+
+For add_model, remove_model and load_preset:
+{ "action": "add_model", "modelId": "openai/gpt-5-mini", "response": "Added GPT-5 Mini." }
+{ "action": "remove_model", "modelId": "x-ai/grok-4-fast", "response": "Removing Grok 4 Fast." }
+{ "action": "load_preset", "preset": "fast-cheap", "response": "Switching to the fast-cheap models." }
+
 For chat:
 {
   "action": "chat",
@@ -124,10 +202,22 @@ For chat:
 Always return valid JSON only. Be concise and helpful.`;
 }
 
+let lastAgentContext = null;
+
+/**
+ * What the agent model saw on the last command, for the debug view
+ * @returns {Object|null} { modelId, messages, stats: { budget, tokens, currentMessages, currentOmitted, summarized,
+ *   listed }, createdAt }
+ */
+export function getLastAgentContext() {
+  return lastAgentContext;
+}
+
 // Interpret user command
 export async function interpretCommand(userMessage, conversationHistory, currentConversation = null) {
   const apiKey = loadApiKey();
-  if (!apiKey) {
+  const agentProvider = getAgentProvider();
+  if (!hasCredentials(agentProvider)) {
     throw new Error('API key not configured');
   }
 
@@ -139,8 +229,14 @@ export async function interpretCommand(userMessage, conversationHistory, current
     };
   }
 
+  const agentModel = getAgentModel();
   const existingConversations = getAllConversations();
-  const systemPrompt = buildAgentSystemPrompt(activeModels, existingConversations, currentConversation);
+  const { systemPrompt, stats } = buildAgentSystemPrompt(
+    activeModels,
+    existingConversations,
+    currentConversation,
+    getAgentPromptBudget(agentModel)
+  );
 
   // Prepare messages for agent
   const messages = [
@@ -152,40 +248,143 @@ export async function interpretCommand(userMessage, conversationHistory, current
     { role: 'user', content: userMessage }
   ];
 
+  // Kept for the debug view (repair rounds are added to the same messages)
+  lastAgentContext = { modelId: agentModel, messages, stats, createdAt: Date.now() };
+
+  const findConversation = reference => findNamedConversation(reference, existingConversations, currentConversation);
+  const context = { findConversation, activeModels, presets: getPresets(), catalog: getLoadedModelCatalog() };
+
   try {
-    const agentModel = getAgentModel();
-    const response = await sendChatCompletion(
-      agentModel,
-      messages,
-      apiKey,
-      { response_format: { type: 'json_object' } }
-    );
-
-    const content = extractMessageContent(response);
-    const cleanedContent = cleanJsonResponse(content);
-    const commandJson = JSON.parse(cleanedContent);
-
-    // Process the command based on action
-    if (commandJson.action === 'create_conversations') {
-      // Distribute models
-      const modelIds = distributeModels(activeModels, commandJson.conversationCount);
-      commandJson.modelIds = modelIds;
-    }
+    for (let attempt = 0; ; attempt++) {
+      const response = await sendChatCompletion(
+        agentModel,
+        messages,
+        apiKey,
+        { response_format: { type: 'json_object' }, provider: agentProvider, priority: 'interactive' }
+      );
+
+      const content = extractMessageContent(response);
+      const result = parseAgentAction(content, context);
+      if (result.valid) {
+        return prepareAction(result.action, activeModels, findConversation);
+      }
 
-    return commandJson;
+      console.warn(`Invalid agent action (attempt ${attempt + 1}):`, result.errors);
+      if (attempt >= MAX_REPAIR_ATTEMPTS) {
+        return createFallbackAction(result.errors);
+      }
+      // Send the answer back with what is wrong with it
+      messages.push(
+        { role: 'assistant', content: content || '' },
+        { role: 'user', content: buildRepairPrompt(result.errors) }
+      );
+    }
   } catch (error) {
     console.error('Agent interpretation error:', error);
     throw error;
   }
 }
 
-// Distribute active models across N conversations (round-robin)
-function distributeModels(activeModels, count) {
-  const distributed = [];
-  for (let i = 0; i < count; i++) {
-    distributed.push(activeModels[i % activeModels.length]);
+// Parse and validate the agent model's answer ({ valid, action } or { valid: false, errors })
+function parseAgentAction(content, context) {
+  let command;
+  try {
+    command = JSON.parse(cleanJsonResponse(content));
+  } catch (error) {
+    return { valid: false, errors: [`The response is not valid JSON (${error.message})`] };
+  }
+  return validateAgentAction(command, context);
+}
+
+// Fill in what the app decides itself: the models behind "any" and "best", the exact conversation IDs
+// (plan steps are prepared the same way; references to earlier steps are resolved when the plan runs)
+function prepareAction(action, activeModels, findConversation) {
+  if (action.action === 'create_conversations') {
+    return { ...action, modelIds: assignModels(action.modelIds, activeModels, action.initialPrompt) };
+  }
+  if (action.action === 'continue_conversations' && !isStepReference(action.sourceConversationId)) {
+    return { ...action, sourceConversationId: findConversation(action.sourceConversationId).id };
   }
-  return distributed;
+  if (action.action === 'council' && Array.isArray(action.conversations)) {
+    return { ...action, conversations: action.conversations.map(id => (isStepReference(id) ? id : findConversation(id).id)) };
+  }
+  if (action.action === 'compare_conversations') {
+    return { ...action, conversationIds: action.conversationIds.map(id => findConversation(id).id) };
+  }
+  if (action.action === 'delete_conversations') {
+    return { ...action, conversationIds: Array.from(new Set(action.conversationIds.map(id => findConversation(id).id))) };
+  }
+  if (action.action === 'rename_conversation') {
+    return { ...action, conversationId: findConversation(action.conversationId).id };
+  }
+  if (action.action === 'add_model' && !action.modelName) {
+    const catalog = getLoadedModelCatalog();
+    return { ...action, modelName: (catalog && findCatalogModel(catalog, action.modelId)?.name) || action.modelId };
+  }
+  if (action.action === 'plan') {
+    return { ...action, steps: action.steps.map(step => prepareAction(step, activeModels, findConversation)) };
+  }
+  return action;
+}
+
+// Ask the agent model to fix an invalid answer
+function buildRepairPrompt(errors) {
+  return `Your last response was not a valid action:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with corrected JSON only, in one of the formats from RESPONSE FORMAT.`;
+}
+
+// Chat action returned when the agent model's answer still isn't valid after the repair attempts
+function createFallbackAction(errors) {
+  return {
+    action: 'chat',
+    response: `Sorry, I couldn't turn that into an action I can run:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Try rephrasing your request.`
+  };
+}
+
+// Turn validated model choices (one model ID, "any" or "best" per conversation) into active models: chosen IDs are kept,
+// "any" takes the active models in round-robin order (those not chosen by ID first), and "best" takes them in the
+// order they are recommended for the prompt's task type (model-selection.js)
+function assignModels(choices, activeModels, prompt) {
+  const chosen = activeModels.filter(model => choices.includes(model.id));
+  const roundRobin = [...activeModels.filter(model => !chosen.includes(model)), ...chosen];
+  const ranked = choices.includes(BEST_MODEL) ? rankModelsForTask(activeModels, inferTaskType(prompt)) : activeModels;
+  let anyCount = 0;
+  let bestCount = 0;
+  return choices.map(choice => {
+    if (choice === ANY_MODEL) {
+      return roundRobin[anyCount++ % roundRobin.length];
+    }
+    if (choice === BEST_MODEL) {
+      return ranked[bestCount++ % ranked.length];
+    }
+    return activeModels.find(model => model.id === choice);
+  });
+}
+
+// Active models best first for a task type: the recommended one, then the next recommended among the rest, and so on
+// (models without a recommendation keep their order at the end)
+function rankModelsForTask(activeModels, taskType) {
+  const ranked = [];
+  let remaining = [...activeModels];
+  try {
+    while (remaining.length > 0) {
+      const recommendation = getRecommendedModelForTask(taskType, remaining);
+      // Learned scores name an entry of `remaining`; without them the analytics' best model may be any model
+      const id = recommendation?.model?.id || recommendation?.modelId;
+      const model = remaining.find(m => m.id === id);
+      if (!model) break;
+      ranked.push(model);
+      remaining = remaining.filter(m => m !== model);
+    }
+  } catch (error) {
+    console.error('Failed to rank models for task:', error);
+  }
+  return [...ranked, ...remaining];
 }
 
 // Clean JSON response by removing markdown code blocks
@@ -211,6 +410,18 @@ function cleanJsonResponse(content) {
   return cleaned;
 }
 
+// Conversation an agent action's ID field names: its exact ID, its exact name, or "current" / "this"
+// Anything else is a miss the agent model is asked to repair, never a guess (the action may delete what it names)
+function findNamedConversation(reference, existingConversations, currentConversation) {
+  const term = String(reference).trim();
+  if (['current', 'this'].includes(term.toLowerCase())) {
+    return currentConversation || null;
+  }
+  return existingConversations.find(c => c.id === term) ||
+    existingConversations.find(c => c.name && c.name.toLowerCase() === term.toLowerCase()) ||
+    null;
+}
+
 // Find target conversation for branching
 export function findTargetConversation(reference, existingConversations, currentConversation = null) {
   const term = reference.toLowerCase();
@@ -224,6 +435,10 @@ export function findTargetConversation(reference, existingConversations, current
   let found = existingConversations.find(c => c.id === reference);
   if (found) return found;
   
+  // Try to find by the name it was given
+  found = existingConversations.find(c => c.name && c.name.toLowerCase() === term);
+  if (found) return found;
+
   // Try to find by model name
   found = existingConversations.find(c => 
     c.modelName.toLowerCase().includes(term)
@@ -0,0 +1,208 @@
+// Agent Plans
+// Runs a multi-step plan from the agent one step at a time: create conversations, branch one, or run the council
+// Steps can use earlier outputs ({{step1.winner}}, see PLAN_STEPS in agent-actions.js); a step is skipped when a step
+// it depends on didn't finish, and stopping the plan aborts the running step and cancels the rest
+
+import { createConversations, branchConversation, getAllConversations, getRootConversations, getLatestAnswer } from './conversation-manager.js';
+import { runCouncil } from './council.js';
+import { loadApiKey } from './api-key-manager.js';
+import { abortRequests, isAbortError, createAbortError } from './request-control.js';
+import { findStepReferences, isStepReference, PLAN_STEPS } from './agent-actions.js';
+
+/**
+ * Create the run state of a plan (one entry per step, updated as the plan runs)
+ * @param {Object} plan - Validated plan action ({ steps })
+ * @returns {Array} [{ number, step, status: pending|running|done|failed|skipped|cancelled, outputs, error, result }]
+ */
+export function createPlanRun(plan) {
+  return plan.steps.map((step, index) => ({
+    number: index + 1,
+    step,
+    status: 'pending',
+    outputs: null,
+    error: null,
+    result: null
+  }));
+}
+
+// Nearest step before step `number` whose outputs include conversations (null when there is none)
+function getConversationSource(run, number) {
+  const source = run.slice(0, number - 1).reverse().find(entry => PLAN_STEPS[entry.step.action].outputs.conversations);
+  return source ? source.number : null;
+}
+
+// Steps a step needs: the ones it lists in dependsOn, the ones it refers to, and for a council step without its own
+// conversations the step whose conversations it compares
+function getStepDependencies(step, run, number) {
+  const referenced = Object.values(step).flatMap(value => findStepReferences(value).map(reference => reference.step));
+  const source = step.action === 'council' && step.conversations === undefined ? getConversationSource(run, number) : null;
+  return Array.from(new Set([...(step.dependsOn || []), ...referenced, ...(source ? [source] : [])])).sort((a, b) => a - b);
+}
+
+// An output as text, for references inside prompts
+function formatOutput(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+// Replace the references in a step's fields with the outputs of the steps they point to
+function resolveStep(step, run) {
+  const getOutput = reference => run[reference.step - 1].outputs[reference.output];
+  const resolveValue = value => {
+    if (isStepReference(value)) {
+      return getOutput(findStepReferences(value)[0]);
+    }
+    if (typeof value === 'string') {
+      return findStepReferences(value).reduce((text, reference) => text.replace(reference.text, formatOutput(getOutput(reference))), value);
+    }
+    return Array.isArray(value) ? value.map(resolveValue) : value;
+  };
+  return Object.fromEntries(Object.entries(step).map(([name, value]) => [name, resolveValue(value)]));
+}
+
+// Abort the requests of the conversations a step started when the plan is stopped
+function watchConversations(signal) {
+  const ids = new Set();
+  const stop = () => ids.forEach(id => abortRequests(id));
+  signal?.addEventListener('abort', stop);
+  return {
+    add: conversations => conversations.forEach(conversation => ids.add(conversation.id)),
+    done: () => signal?.removeEventListener('abort', stop)
+  };
+}
+
+// Conversations a council step compares: its own list, else those of the nearest earlier step that has conversations
+// (a dependency, so it finished), else the root conversations when no earlier step has any
+function getCouncilConversationIds(step, run, number) {
+  if (Array.isArray(step.conversations)) {
+    return step.conversations;
+  }
+  const source = getConversationSource(run, number);
+  return source ? run[source - 1].outputs.conversations : getRootConversations().map(conversation => conversation.id);
+}
+
+/**
+ * Run the council on the latest answers of some conversations
+ * @param {Array} conversationIds - Conversations to compare (those without an answer are left out)
+ * @param {string} [question] - What the answers are judged against (default: the last prompt of the first conversation)
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} { winner: ID of the top-ranked conversation, conversations: IDs compared, result: from runCouncil }
+ */
+export async function runConversationCouncil(conversationIds, question, { signal } = {}) {
+  const conversations = getAllConversations().filter(conversation => conversationIds.includes(conversation.id));
+  const responses = conversations
+    .map(conversation => ({ conversation, content: getLatestAnswer(conversation) }))
+    .filter(response => response.content)
+    .map(({ conversation, content }) => ({
+      conversationId: conversation.id,
+      modelId: conversation.modelId,
+      modelName: conversation.modelName,
+      content
+    }));
+  if (responses.length < 2) {
+    throw new Error(`The council needs at least 2 answered conversations (found ${responses.length})`);
+  }
+
+  const prompt = question ||
+    [...conversations[0].history].reverse().find(message => message.role === 'user')?.content || '';
+  const result = await runCouncil(prompt, responses, loadApiKey(), null, { signal });
+  // Labels are "Response A", "Response B"... in the order of the responses
+  const best = result.aggregateRankings[0];
+  const winner = best ? responses[best.label.charCodeAt(best.label.length - 1) - 65] : responses[0];
+  return { winner: winner.conversationId, conversations: responses.map(response => response.conversationId), result };
+}
+
+const STEP_RUNNERS = {
+  async create_conversations(step, { signal, onConversationsChange }) {
+    const watcher = watchConversations(signal);
+    try {
+      const conversations = await createConversations(step.modelIds, step.initialPrompt, created => {
+        watcher.add(created);
+        onConversationsChange?.();
+      });
+      return { outputs: { conversations: conversations.map(conversation => conversation.id) } };
+    } finally {
+      watcher.done();
+    }
+  },
+
+  async continue_conversations(step, { signal, onConversationsChange }) {
+    const watcher = watchConversations(signal);
+    try {
+      const branches = await branchConversation(step.sourceConversationId, step.branchCount, step.prompts, {
+        source: 'agent',
+        onBranchCreated: created => {
+          watcher.add(created);
+          onConversationsChange?.();
+        }
+      });
+      onConversationsChange?.();
+      return { outputs: { conversations: branches.map(branch => branch.id) } };
+    } finally {
+      watcher.done();
+    }
+  },
+
+  async council(step, { signal, run, number }) {
+    const { winner, conversations, result } = await runConversationCouncil(
+      getCouncilConversationIds(step, run, number),
+      step.question,
+      { signal }
+    );
+    return { outputs: { winner, synthesis: result.synthesis.content, conversations }, result };
+  }
+};
+
+/**
+ * Run a plan's steps in order
+ * @param {Object} plan - Validated plan action ({ steps }; create steps carry their modelIds)
+ * @param {Object} options - { signal to stop the plan, onUpdate(run) after every status change, onConversationsChange() }
+ * @returns {Promise<Array>} Final run state (see createPlanRun)
+ */
+export async function runPlan(plan, { signal, onUpdate, onConversationsChange } = {}) {
+  const run = createPlanRun(plan);
+  const update = () => onUpdate?.(run);
+
+  for (const entry of run) {
+    if (signal?.aborted) {
+      entry.status = 'cancelled';
+      continue;
+    }
+    const missing = getStepDependencies(entry.step, run, entry.number).find(dependency => run[dependency - 1].status !== 'done');
+    if (missing) {
+      entry.status = 'skipped';
+      entry.error = `Step ${missing} didn't finish`;
+      update();
+      continue;
+    }
+
+    entry.status = 'running';
+    update();
+    try {
+      const { outputs, result = null } = await STEP_RUNNERS[entry.step.action](resolveStep(entry.step, run), {
+        signal,
+        onConversationsChange,
+        run,
+        number: entry.number
+      });
+      // Conversation steps finish normally when their requests are stopped; the step still counts as cancelled
+      if (signal?.aborted) {
+        throw createAbortError('Plan stopped');
+      }
+      entry.outputs = outputs;
+      entry.result = result;
+      entry.status = 'done';
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) {
+        entry.status = 'cancelled';
+      } else {
+        console.error(`Plan step ${entry.number} failed:`, error);
+        entry.status = 'failed';
+        entry.error = error.message;
+      }
+    }
+    update();
+  }
+
+  update();
+  return run;
+}
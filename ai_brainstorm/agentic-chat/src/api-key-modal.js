@@ -211,15 +211,49 @@ export function showApiKeySettings() {
 
 /**
  * Get proxy mode indicator HTML
+ * With usage from /api/me, the signed-in user and their remaining quotas are shown too
  */
-export function getProxyModeIndicator() {
+export function getProxyModeIndicator(usage = null) {
   if (config.useProxy) {
     return `
       <div class="proxy-mode-indicator">
         <span class="proxy-badge">🔒 Managed API</span>
         <span class="proxy-info">Using server-managed API key</span>
+        ${usage ? getProxyUsageHtml(usage) : ''}
       </div>
     `;
   }
   return '';
 }
+
+/**
+ * Describe a /api/me response: who is signed in and what is left of each quota
+ */
+function getProxyUsageHtml(usage) {
+  if (usage.error) {
+    return `<span class="proxy-usage error">${escapeHtml(usage.error)}</span>`;
+  }
+
+  const lines = [];
+  lines.push(usage.user ? `Signed in as <strong>${escapeHtml(usage.user)}</strong>` : 'Anonymous (limited per IP address)');
+  const hours = Math.round(usage.requests.windowMs / 3600000 * 10) / 10;
+  lines.push(`Requests: ${usage.requests.remaining} of ${usage.requests.limit} left (per ${hours}h)`);
+  if (usage.tokens.limit !== null) {
+    lines.push(`Tokens: ${usage.tokens.used.toLocaleString()} of ${usage.tokens.limit.toLocaleString()} used`);
+  }
+  if (usage.tokens.limit !== null) {
+    lines.push(`Tokens reset ${new Date(usage.tokens.resetAt).toLocaleString()}`);
+  }
+  (usage.budgets || []).forEach(budget => {
+    const owner = budget.scope === 'user' ? 'Your' : 'Service';
+    lines.push(`${owner} ${budget.period} budget: $${budget.spent.toFixed(4)} of $${budget.limit.toFixed(2)} spent`);
+  });
+  return lines.map(line => `<span class="proxy-usage">${line}</span>`).join('');
+}
+
+// Escape text for HTML
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
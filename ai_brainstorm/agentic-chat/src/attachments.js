@@ -0,0 +1,141 @@
+// Attachments
+// Images and text files attached to user messages
+// Stored on the message (saved with the session) and sent as OpenAI-style content parts
+
+// Images are scaled down to fit this box before they are stored (sessions live in localStorage)
+const MAX_IMAGE_DIMENSION = 1024;
+const IMAGE_QUALITY = 0.85;
+
+// Largest text file that can be attached (characters)
+const MAX_TEXT_LENGTH = 100000;
+
+export const MAX_ATTACHMENTS = 4;
+
+// Text files whose type the browser doesn't report as text/*
+const TEXT_FILE_EXTENSIONS = ['md', 'markdown', 'txt', 'csv', 'tsv', 'json', 'yaml', 'yml', 'xml', 'html', 'css',
+  'js', 'mjs', 'ts', 'jsx', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'c', 'h', 'cpp', 'sh', 'sql', 'toml', 'ini', 'log'];
+
+// File input accept attribute
+export const ATTACHMENT_ACCEPT = ['image/*', 'text/*', ...TEXT_FILE_EXTENSIONS.map(ext => `.${ext}`)].join(',');
+
+// Check whether a file is attached as text
+function isTextFile(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  return file.type.startsWith('text/') || file.type === 'application/json' || TEXT_FILE_EXTENSIONS.includes(extension);
+}
+
+// Read a file as a data URL
+function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+// Load a data URL into an <img>
+function loadImage(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Unsupported image'));
+    image.src = dataUrl;
+  });
+}
+
+// Scale an image down to MAX_IMAGE_DIMENSION and re-encode it (small images are kept as they are)
+async function downscaleImage(dataUrl) {
+  const image = await loadImage(dataUrl);
+  const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(image.width, image.height));
+  if (scale === 1 && dataUrl.length < 300000) {
+    return dataUrl;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  // PNGs may have transparency worth keeping; everything else becomes JPEG
+  return dataUrl.startsWith('data:image/png')
+    ? canvas.toDataURL('image/png')
+    : canvas.toDataURL('image/jpeg', IMAGE_QUALITY);
+}
+
+/**
+ * Read a File into an attachment
+ * @param {File} file - File picked by the user
+ * @returns {Promise<Object>} { type: 'image', name, dataUrl } or { type: 'text', name, text }
+ */
+export async function readAttachment(file) {
+  if (file.type.startsWith('image/')) {
+    const dataUrl = await downscaleImage(await readAsDataUrl(file));
+    return { type: 'image', name: file.name, dataUrl };
+  }
+
+  if (isTextFile(file)) {
+    const text = await file.text();
+    if (text.length > MAX_TEXT_LENGTH) {
+      throw new Error(`${file.name} is too large (max ${MAX_TEXT_LENGTH / 1000}k characters)`);
+    }
+    return { type: 'text', name: file.name, text };
+  }
+
+  throw new Error(`${file.name} is not an image or text file`);
+}
+
+// Text part for an attached text file
+function textFilePart(attachment) {
+  return {
+    type: 'text',
+    text: `Attached file: ${attachment.name}\n\`\`\`\n${attachment.text}\n\`\`\``
+  };
+}
+
+/**
+ * Build the API content for a message with attachments
+ * @param {string} text - Message text
+ * @param {Array} attachments - Attachments from readAttachment
+ * @returns {string|Array} Plain text when there are no attachments, otherwise content parts
+ */
+export function toContentParts(text, attachments = []) {
+  if (attachments.length === 0) {
+    return text;
+  }
+
+  const parts = [];
+  if (text) {
+    parts.push({ type: 'text', text });
+  }
+  attachments.forEach(attachment => {
+    if (attachment.type === 'image') {
+      parts.push({ type: 'image_url', image_url: { url: attachment.dataUrl } });
+    } else {
+      parts.push(textFilePart(attachment));
+    }
+  });
+  return parts;
+}
+
+/**
+ * Text of message content (string or content parts); images are left out
+ * @param {string|Array} content - Message content
+ * @returns {string}
+ */
+export function getContentText(content) {
+  if (!Array.isArray(content)) {
+    return content || '';
+  }
+  return content
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n\n');
+}
+
+// Append text to message content (string or content parts)
+export function appendToContent(content, text) {
+  if (!Array.isArray(content)) {
+    return `${content}\n\n${text}`;
+  }
+  return [...content, { type: 'text', text }];
+}
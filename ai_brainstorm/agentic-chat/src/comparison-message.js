@@ -0,0 +1,61 @@
+// Comparison Message Renderer
+// Renders the agent's comparison of two conversations: similarity scores and a line diff of their latest answers
+// Rendered from the conversations as they are now, so later answers show up in it
+
+import { calculateSimilarity, generateDiff, renderDiffView } from './visual-comparison.js';
+import { getAllConversations, getLatestAnswer, getConversationName } from './conversation-manager.js';
+
+// Rendered comparisons by conversation pair, reused until either answer changes (the similarity score is
+// quadratic in the answers' length, and agent messages are re-rendered often)
+const renderCache = new Map();
+
+/**
+ * Render a comparison as HTML for display in agent messages
+ * @param {Object} comparison - { conversationIds: [two conversation IDs] }
+ * @returns {string} HTML string
+ */
+export function renderComparisonMessage(comparison) {
+  const conversations = comparison.conversationIds.map(id => getAllConversations().find(c => c.id === id));
+  const missing = comparison.conversationIds.filter((id, index) => !conversations[index]);
+  if (missing.length > 0) {
+    return `<div class="comparison-empty">Conversation ${missing.map(escapeHtml).join(' and ')} no longer exists</div>`;
+  }
+
+  const [first, second] = conversations;
+  const answers = conversations.map(getLatestAnswer);
+  const names = conversations.map(conversation => `${getConversationName(conversation)} (#${conversation.id})`);
+  if (!answers[0] || !answers[1]) {
+    const waiting = names.filter((name, index) => !answers[index]);
+    return `<div class="comparison-empty">No answer to compare yet from ${waiting.map(escapeHtml).join(' and ')}</div>`;
+  }
+
+  const key = comparison.conversationIds.join(':');
+  const cached = renderCache.get(key);
+  if (cached && cached.answers[0] === answers[0] && cached.answers[1] === answers[1] && cached.names.join() === names.join()) {
+    return cached.html;
+  }
+
+  const similarity = calculateSimilarity(answers[0], answers[1]);
+  const percent = value => `${Math.round(value * 100)}%`;
+  const html = `
+    <div class="comparison-summary">
+      <div class="comparison-title">🔍 Conversation ${escapeHtml(first.id)} vs ${escapeHtml(second.id)}: ${percent(similarity.score)} similar</div>
+      <div class="comparison-stats">
+        Word overlap ${percent(similarity.jaccard)} · word frequency ${percent(similarity.cosine)} · characters ${percent(similarity.levenshtein)}
+        · ${similarity.commonWords} common words, ${similarity.uniqueWords1} / ${similarity.uniqueWords2} only in one
+      </div>
+    </div>
+    ${renderDiffView(generateDiff(answers[0], answers[1]), names[0], names[1])}
+  `;
+  renderCache.set(key, { answers, names, html });
+  return html;
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
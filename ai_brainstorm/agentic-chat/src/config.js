@@ -11,6 +11,18 @@ export const config = {
     ? '/api/chat' 
     : 'https://openrouter.ai/api/v1/chat/completions',
   
+  // Default base URL for the local OpenAI-compatible provider (llama.cpp, vLLM, Ollama)
+  localProviderUrl: import.meta.env.VITE_LOCAL_PROVIDER_URL || 'http://localhost:8080/v1',
+  
+  // Client-side request scheduler: how many model requests may run at once
+  scheduler: {
+    maxConcurrent: parseInt(import.meta.env.VITE_MAX_CONCURRENT_REQUESTS || '4', 10),
+    maxConcurrentPerModel: parseInt(import.meta.env.VITE_MAX_CONCURRENT_PER_MODEL || '2', 10)
+  },
+  
+  // Token budget for the agent's system prompt (capped at half the agent model's context window when known)
+  agentPromptTokens: parseInt(import.meta.env.VITE_AGENT_PROMPT_TOKENS || '12000', 10),
+  
   // Rate limiting configuration (for proxy mode)
   rateLimit: {
     requests: parseInt(import.meta.env.VITE_RATE_LIMIT_REQUESTS || '20', 10),
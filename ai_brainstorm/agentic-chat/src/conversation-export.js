@@ -43,6 +43,63 @@ export function exportConversationJSON(conversationId = null) {
   return JSON.stringify(data, null, 2);
 }
 
+/**
+ * Label for a message in Markdown exports
+ * Tool calls and tool results get their own labels instead of the model name
+ * @param {Object} message - History message
+ * @param {Object} conversation - Conversation the message belongs to
+ * @returns {string}
+ */
+function getMessageLabel(message, conversation) {
+  if (message.role === 'tool') {
+    return `Tool result (${message.name})`;
+  }
+  if (message.tool_calls) {
+    return `${conversation.modelName} (tool call)`;
+  }
+  return message.role === 'user'
+    ? (message.source === 'agent' ? 'Agent' : 'User')
+    : conversation.modelName;
+}
+
+/**
+ * Markdown body of a message
+ * Tool call arguments and tool results are fenced so they keep their formatting;
+ * attachments and collapsed reasoning follow the message text
+ * @param {Object} message - History message
+ * @returns {string}
+ */
+function formatMessageBody(message) {
+  if (message.role === 'tool') {
+    return `\`\`\`\n${message.content}\n\`\`\``;
+  }
+  if (message.tool_calls) {
+    const calls = message.tool_calls.map(call =>
+      `**${call.function.name}**\n\n\`\`\`json\n${call.function.arguments || '{}'}\n\`\`\``
+    );
+    return [message.content, ...calls].filter(Boolean).join('\n\n');
+  }
+  if (message.attachments) {
+    return [message.content, ...message.attachments.map(formatAttachment)].filter(Boolean).join('\n\n');
+  }
+  if (message.reasoning) {
+    return `${message.content}\n\n<details>\n<summary>Thinking</summary>\n\n${message.reasoning}\n\n</details>`;
+  }
+  return message.content;
+}
+
+/**
+ * Markdown for an attachment: images are embedded as data URLs, text files fenced
+ * @param {Object} attachment - Attachment from attachments.js
+ * @returns {string}
+ */
+function formatAttachment(attachment) {
+  if (attachment.type === 'image') {
+    return `![${attachment.name}](${attachment.dataUrl})`;
+  }
+  return `**Attached file: ${attachment.name}**\n\n\`\`\`\n${attachment.text}\n\`\`\``;
+}
+
 /**
  * Export conversation to Markdown
  * @param {string} conversationId - Conversation ID to export
@@ -62,12 +119,10 @@ export function exportConversationMarkdown(conversationId) {
   markdown += `---\n\n`;
   
   conversation.history.forEach((message, index) => {
-    const role = message.role === 'user' 
-      ? (message.source === 'agent' ? 'Agent' : 'User')
-      : conversation.modelName;
+    const role = getMessageLabel(message, conversation);
     
     markdown += `## Message ${index + 1}: ${role}\n\n`;
-    markdown += `${message.content}\n\n`;
+    markdown += `${formatMessageBody(message)}\n\n`;
     markdown += `---\n\n`;
   });
   
@@ -107,12 +162,10 @@ export function exportAllConversationsMarkdown() {
       markdown += `**Model:** ${conversation.modelName} (${conversation.modelId})\n\n`;
       
       conversation.history.forEach((message, msgIndex) => {
-        const role = message.role === 'user' 
-          ? (message.source === 'agent' ? 'Agent' : 'User')
-          : conversation.modelName;
+        const role = getMessageLabel(message, conversation);
         
         markdown += `#### ${role}\n\n`;
-        markdown += `${message.content}\n\n`;
+        markdown += `${formatMessageBody(message)}\n\n`;
       });
       
       markdown += `---\n\n`;
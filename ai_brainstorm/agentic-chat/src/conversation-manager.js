@@ -3,8 +3,15 @@
 // 1. Agent chat history (right panel) - now supports multiple agent chats
 // 2. Model conversations (main chat, left panel)
 
-import { sendChatCompletion, extractMessageContent, sendStreamingChatCompletion } from './openrouter-client.js';
+import { sendChatCompletion, extractMessageContent, extractReasoning, sendStreamingChatCompletion } from './openrouter-client.js';
 import { loadApiKey } from './api-key-manager.js';
+import { DEFAULT_PROVIDER_ID, hasCredentials } from './providers.js';
+import { createRequestController, releaseRequestController, abortRequests, isAbortError } from './request-control.js';
+import { RESPONSE_PROFILES, getDefaultResponseProfileId } from './response-profiles.js';
+import { getTools, loadDefaultTools } from './tools.js';
+import { toContentParts } from './attachments.js';
+import { sumUsage } from './pricing.js';
+import { isResponseCacheEnabled } from './response-cache.js';
 import { updatePersonalityProfile } from './model-personality.js';
 import { learnFromTask, inferTaskType } from './model-selection.js';
 
@@ -208,11 +215,13 @@ export function renameAgentChat(chatId, newName) {
 // Agent writes initial 'user' message with source='agent'
 export async function createConversations(modelIds, initialPrompt, onConversationCreated = null) {
   const apiKey = loadApiKey();
-  if (!apiKey) {
+  if (!modelIds.every(model => hasCredentials(model.provider || DEFAULT_PROVIDER_ID))) {
     throw new Error('API key not configured');
   }
 
   const newConversations = [];
+  const responseProfile = getDefaultResponseProfileId();
+  const tools = loadDefaultTools();
   
   // Create conversation objects
   for (const modelId of modelIds) {
@@ -220,6 +229,9 @@ export async function createConversations(modelIds, initialPrompt, onConversatio
       id: String(conversationIdCounter++),
       modelId: modelId.id,
       modelName: modelId.name,
+      provider: modelId.provider || DEFAULT_PROVIDER_ID,
+      responseProfile,
+      tools: [...tools],
       parentId: null,
       branchPoint: null,
       history: [
@@ -252,19 +264,23 @@ export async function createConversations(modelIds, initialPrompt, onConversatio
   
   // Send initial prompts to all models in parallel (in background)
   const promises = newConversations.map(async (conv) => {
+    const controller = createRequestController(conv.id);
     try {
       const response = await sendChatCompletion(
         conv.modelId,
         [{ role: 'user', content: initialPrompt }],
-        apiKey
+        apiKey,
+        { provider: conv.provider, responseProfile: conv.responseProfile, localTools: getConversationTools(conv), priority: 'normal', signal: controller.signal, ...getCacheOption() }
       );
       
+      recordToolMessages(conv, response.toolMessages);
       const content = extractMessageContent(response);
       const assistantMessage = {
         role: 'assistant',
         content,
         timestamp: Date.now()
       };
+      setResponseDetails(assistantMessage, conv, response);
       
       conv.history.push(assistantMessage);
       
@@ -279,7 +295,7 @@ export async function createConversations(modelIds, initialPrompt, onConversatio
         success: !content.startsWith('Error:'),
         qualityScore: response.qualityScore || null,
         responseTime: Date.now() - (assistantMessage.timestamp - 5000), // Approximate
-        cost: response.usage ? (response.usage.prompt_tokens + response.usage.completion_tokens) * 0.000001 : 0
+        cost: assistantMessage.usage?.cost || 0
       }).catch(err =>
         console.error('Learning error:', err)
       );
@@ -292,20 +308,26 @@ export async function createConversations(modelIds, initialPrompt, onConversatio
         onConversationCreated(newConversations);
       }
     } catch (error) {
-      console.error(`Error in conversation ${conv.id}:`, error);
-      conv.history.push({
-        role: 'assistant',
-        content: `Error: ${error.message}`,
-        timestamp: Date.now()
-      });
-      
-      // Notify about state change
-      notifyStateChange();
+      if (isAbortError(error)) {
+        recordInterruptedMessage(conv, '');
+      } else {
+        console.error(`Error in conversation ${conv.id}:`, error);
+        conv.history.push({
+          role: 'assistant',
+          content: `Error: ${error.message}`,
+          timestamp: Date.now()
+        });
+        
+        // Notify about state change
+        notifyStateChange();
+      }
       
       // Notify UI about error
       if (onConversationCreated) {
         onConversationCreated(newConversations);
       }
+    } finally {
+      releaseRequestController(conv.id, controller);
     }
   });
 
@@ -315,18 +337,18 @@ export async function createConversations(modelIds, initialPrompt, onConversatio
 }
 
 // User sends message to CURRENT conversation
-// Adds 'user' message with source='user'
-export async function sendUserMessage(message, onStreamChunk = null) {
+// Adds 'user' message with source='user' (attachments: images and text files from attachments.js)
+export async function sendUserMessage(message, onStreamChunk = null, attachments = []) {
   const apiKey = loadApiKey();
-  if (!apiKey) {
-    throw new Error('API key not configured');
-  }
-
   const conversation = conversations[currentConversationIndex];
   if (!conversation) {
     throw new Error('No active conversation');
   }
 
+  if (!hasCredentials(getConversationProvider(conversation))) {
+    throw new Error('API key not configured');
+  }
+
   // Add user message
   const userMessage = {
     role: 'user',
@@ -334,38 +356,63 @@ export async function sendUserMessage(message, onStreamChunk = null) {
     timestamp: Date.now(),
     source: 'user'
   };
+  if (attachments.length > 0) {
+    userMessage.attachments = attachments;
+  }
   conversation.history.push(userMessage);
   notifyStateChange();
 
   // Prepare messages for API (without source field)
-  const apiMessages = conversation.history.map(msg => ({
-    role: msg.role,
-    content: msg.content
-  }));
+  const apiMessages = toApiMessages(conversation.history);
 
   // Send to model with streaming
+  const controller = createRequestController(conversation.id);
   try {
     let fullContent = '';
+    let responseDetails = {};
     
     if (onStreamChunk) {
       // Use streaming
-      await sendStreamingChatCompletion(
+      const result = await sendStreamingChatCompletion(
         conversation.modelId,
         apiMessages,
         apiKey,
-        (chunk) => {
-          fullContent += chunk;
+        (chunk, { replace }) => {
+          fullContent = replace ? chunk : fullContent + chunk;
           onStreamChunk(chunk, fullContent);
+        },
+        {
+          provider: getConversationProvider(conversation),
+          responseProfile: getConversationResponseProfile(conversation),
+          localTools: getConversationTools(conversation),
+          priority: 'interactive',
+          signal: controller.signal,
+          ...getCacheOption()
         }
       );
+      recordToolMessages(conversation, result.toolMessages);
+      if (result.interrupted) {
+        return recordInterruptedMessage(conversation, result.content, result.reasoning, result.messageUsage);
+      }
+      responseDetails = result;
     } else {
       // Fallback to non-streaming
       const response = await sendChatCompletion(
         conversation.modelId,
         apiMessages,
-        apiKey
+        apiKey,
+        {
+          provider: getConversationProvider(conversation),
+          responseProfile: getConversationResponseProfile(conversation),
+          localTools: getConversationTools(conversation),
+          priority: 'interactive',
+          signal: controller.signal,
+          ...getCacheOption()
+        }
       );
+      recordToolMessages(conversation, response.toolMessages);
       fullContent = extractMessageContent(response);
+      responseDetails = response;
     }
     
     const assistantMessage = {
@@ -373,6 +420,7 @@ export async function sendUserMessage(message, onStreamChunk = null) {
       content: fullContent,
       timestamp: Date.now()
     };
+    setResponseDetails(assistantMessage, conversation, responseDetails);
     
     conversation.history.push(assistantMessage);
     
@@ -387,7 +435,7 @@ export async function sendUserMessage(message, onStreamChunk = null) {
       success: !fullContent.startsWith('Error:'),
       qualityScore: null, // Would need to be passed from response
       responseTime: Date.now() - (assistantMessage.timestamp - 5000), // Approximate
-      cost: 0 // Would need to be calculated from response
+      cost: assistantMessage.usage?.cost || 0
     }).catch(err =>
       console.error('Learning error:', err)
     );
@@ -395,6 +443,9 @@ export async function sendUserMessage(message, onStreamChunk = null) {
     notifyStateChange();
     return assistantMessage;
   } catch (error) {
+    if (isAbortError(error)) {
+      return recordInterruptedMessage(conversation, '');
+    }
     console.error('Error sending message:', error);
     const errorMessage = {
       role: 'assistant',
@@ -404,9 +455,173 @@ export async function sendUserMessage(message, onStreamChunk = null) {
     conversation.history.push(errorMessage);
     notifyStateChange();
     throw error;
+  } finally {
+    releaseRequestController(conversation.id, controller);
+  }
+}
+
+// Record an answer the user stopped: keep whatever arrived (answer, reasoning, usage so far) and mark it interrupted
+function recordInterruptedMessage(conversation, content, reasoning = '', usage = null) {
+  const interruptedMessage = {
+    role: 'assistant',
+    content,
+    timestamp: Date.now(),
+    interrupted: true
+  };
+  if (reasoning) {
+    interruptedMessage.reasoning = reasoning;
+  }
+  if (usage?.requests > 0) {
+    interruptedMessage.usage = usage;
+  }
+  conversation.history.push(interruptedMessage);
+  notifyStateChange();
+  return interruptedMessage;
+}
+
+// Record how an answer was produced: continuation segment count (only when it was continued),
+// the fallback model that answered (only when it wasn't the conversation's model)
+// the model's reasoning (streaming results carry it directly, completions in the message)
+// the tokens and cost of every request behind the answer
+// and what the proxy's content filter did to the request or the answer (only when it did something)
+function setResponseDetails(message, conversation, details = {}) {
+  const { segments, answeredBy, messageUsage, contentFilter } = details;
+  const reasoning = details.reasoning || extractReasoning(details);
+  if (reasoning) {
+    message.reasoning = reasoning;
+  }
+  if (messageUsage) {
+    message.usage = messageUsage;
+  }
+  if (segments > 1) {
+    message.segments = segments;
+  }
+  if (answeredBy && answeredBy !== conversation.modelId) {
+    message.answeredBy = answeredBy;
+  }
+  if (contentFilter?.length > 0) {
+    message.contentFilter = contentFilter;
   }
 }
 
+// Record the tool calls a model made and their results, in order, before its answer
+function recordToolMessages(conversation, toolMessages = []) {
+  toolMessages.forEach(message => {
+    conversation.history.push({ ...message, timestamp: Date.now() });
+  });
+}
+
+// Convert stored history to API messages (drops UI-only fields such as reasoning, and empty stopped answers)
+// Attachments become content parts; tool calls and tool results keep the fields that link them together
+function toApiMessages(history) {
+  return history
+    .filter(msg => !(msg.interrupted && !msg.content))
+    .map(msg => {
+      const apiMessage = {
+        role: msg.role,
+        content: toContentParts(msg.content, msg.attachments)
+      };
+      if (msg.tool_calls) {
+        apiMessage.tool_calls = msg.tool_calls;
+      }
+      if (msg.role === 'tool') {
+        apiMessage.tool_call_id = msg.tool_call_id;
+        apiMessage.name = msg.name;
+      }
+      return apiMessage;
+    });
+}
+
+// Provider a conversation runs on (sessions saved before providers existed use OpenRouter)
+export function getConversationProvider(conversation) {
+  return conversation.provider || DEFAULT_PROVIDER_ID;
+}
+
+// Response profile a conversation runs with (older sessions use the current default)
+export function getConversationResponseProfile(conversation) {
+  return conversation.responseProfile || getDefaultResponseProfileId();
+}
+
+// Conversation and branch answers may come from the response cache once the user turns it on in Settings
+function getCacheOption() {
+  return isResponseCacheEnabled() ? { cache: true } : {};
+}
+
+// Local tools a conversation declares (older sessions have none)
+export function getConversationTools(conversation) {
+  return conversation.tools || [];
+}
+
+// Change the tools a conversation declares (saved with the session)
+export function setConversationTools(conversationId, toolNames) {
+  const conversation = conversations.find(c => c.id === conversationId);
+  if (!conversation) {
+    return false;
+  }
+  const known = getTools().map(tool => tool.name);
+  conversation.tools = toolNames.filter(name => known.includes(name));
+  notifyStateChange();
+  return true;
+}
+
+// Change the response profile of a conversation (saved with the session)
+export function setConversationResponseProfile(conversationId, profileId) {
+  const conversation = conversations.find(c => c.id === conversationId);
+  if (!conversation || !RESPONSE_PROFILES[profileId]) {
+    return false;
+  }
+  conversation.responseProfile = profileId;
+  notifyStateChange();
+  return true;
+}
+
+// Give a conversation a name (shown instead of its model name; an empty name clears it)
+export function renameConversation(conversationId, name) {
+  const conversation = conversations.find(c => c.id === conversationId);
+  if (!conversation) {
+    return false;
+  }
+  if (name.trim()) {
+    conversation.name = name.trim();
+  } else {
+    delete conversation.name;
+  }
+  notifyStateChange();
+  return true;
+}
+
+// Name a conversation is shown by: its own name, else its model's
+export function getConversationName(conversation) {
+  return conversation.name || conversation.modelName;
+}
+
+// Delete conversations and all their branches, stopping their requests
+// Returns the IDs removed (branches included)
+export function deleteConversations(conversationIds) {
+  const removed = new Set();
+  const collect = id => {
+    if (removed.has(id)) return;
+    removed.add(id);
+    conversations.filter(c => c.parentId === id).forEach(c => collect(c.id));
+  };
+  conversationIds.filter(id => conversations.some(c => c.id === id)).forEach(collect);
+  if (removed.size === 0) {
+    return [];
+  }
+
+  // Stay on the conversation being viewed, or the one now in its place
+  const currentId = getCurrentConversation()?.id;
+  const currentIndex = currentConversationIndex;
+  removed.forEach(id => abortRequests(id));
+  conversations = conversations.filter(c => !removed.has(c.id));
+  expandedConversations = expandedConversations.filter(id => !removed.has(id));
+  const keptIndex = conversations.findIndex(c => c.id === currentId);
+  currentConversationIndex = keptIndex !== -1 ? keptIndex : Math.max(0, Math.min(currentIndex, conversations.length - 1));
+
+  notifyStateChange();
+  return Array.from(removed);
+}
+
 // Navigation
 export function getCurrentConversation() {
   return conversations[currentConversationIndex] || null;
@@ -445,6 +660,26 @@ export function getAllConversations() {
   return [...conversations];
 }
 
+// Latest answer of a conversation (null when it has none yet or the last one failed)
+export function getLatestAnswer(conversation) {
+  const answer = [...conversation.history].reverse().find(msg => msg.role === 'assistant' && !msg.tool_calls);
+  if (!answer?.content || answer.content.startsWith('Error:')) {
+    return null;
+  }
+  return answer.content;
+}
+
+// Token and cost totals of a conversation's own answers
+// (a branch starts with a copy of its parent's history, which the parent already counts)
+export function getConversationUsage(conversation) {
+  return sumUsage(conversation.history.slice(conversation.branchPoint ?? 0).map(msg => msg.usage));
+}
+
+// Token and cost totals across every conversation in the session
+export function getSessionUsage() {
+  return sumUsage(conversations.map(getConversationUsage));
+}
+
 // Finds conversation by model name or ID
 export function findConversation(searchTerm) {
   const term = searchTerm.toLowerCase();
@@ -494,39 +729,50 @@ export function setExpandedConversations(expanded) {
 // BRANCHING SUPPORT
 
 // Creates branches from an existing conversation
-// Copies history from parent, then adds new prompts from agent or user
+// Copies history from parent (attachments included), then adds new prompts from agent or user
+// options.attachments are attached to each branch's new prompt
+// options.onReasoningChunk(fullReasoning, branch) follows the streamed branch's reasoning
 export async function branchConversation(parentConversationId, branchCount, prompts, options = {}) {
   const apiKey = loadApiKey();
-  if (!apiKey) {
-    throw new Error('API key not configured');
-  }
-
   const parentConv = conversations.find(c => c.id === parentConversationId);
   if (!parentConv) {
     throw new Error('Parent conversation not found');
   }
 
-  const { source = 'agent', onBranchCreated = null, onStreamChunk = null } = options;
+  if (!hasCredentials(getConversationProvider(parentConv))) {
+    throw new Error('API key not configured');
+  }
+
+  const { source = 'agent', onBranchCreated = null, onStreamChunk = null, onReasoningChunk = null, attachments = [] } = options;
+  // Branches the user typed jump ahead of queued background work
+  const priority = source === 'user' ? 'interactive' : 'normal';
   const newBranches = [];
   
   // Create branch conversations
   for (let i = 0; i < branchCount; i++) {
     const prompt = prompts[i] || prompts[0]; // Use first prompt if not enough provided
+    const promptMessage = {
+      role: 'user',
+      content: prompt,
+      timestamp: Date.now(),
+      source: source // Can be 'agent' or 'user'
+    };
+    if (attachments.length > 0) {
+      promptMessage.attachments = attachments;
+    }
     
     const branch = {
       id: String(conversationIdCounter++),
       modelId: parentConv.modelId,
       modelName: parentConv.modelName,
+      provider: getConversationProvider(parentConv),
+      responseProfile: getConversationResponseProfile(parentConv),
+      tools: [...getConversationTools(parentConv)],
       parentId: parentConversationId,
       branchPoint: parentConv.history.length,
       history: [
         ...parentConv.history.map(msg => ({ ...msg })), // Copy parent history
-        {
-          role: 'user',
-          content: prompt,
-          timestamp: Date.now(),
-          source: source // Can be 'agent' or 'user'
-        }
+        promptMessage
       ]
     };
     
@@ -544,31 +790,48 @@ export async function branchConversation(parentConversationId, branchCount, prom
   
   // Send prompts to all branches
   const promises = newBranches.map(async (branch, index) => {
+    const controller = createRequestController(branch.id);
     try {
       // Prepare messages for API
-      const apiMessages = branch.history.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
+      const apiMessages = toApiMessages(branch.history);
       
       // Use streaming if callback provided and this is the first branch
       if (onStreamChunk && index === 0) {
         let fullContent = '';
-        await sendStreamingChatCompletion(
+        let fullReasoning = '';
+        const result = await sendStreamingChatCompletion(
           branch.modelId,
           apiMessages,
           apiKey,
-          (chunk) => {
-            fullContent += chunk;
+          (chunk, { replace }) => {
+            fullContent = replace ? chunk : fullContent + chunk;
             onStreamChunk(chunk, fullContent, branch);
+          },
+          {
+            provider: branch.provider,
+            responseProfile: branch.responseProfile,
+            localTools: branch.tools,
+            priority,
+            signal: controller.signal,
+            ...getCacheOption(),
+            onReasoning: onReasoningChunk ? (chunk) => {
+              fullReasoning += chunk;
+              onReasoningChunk(fullReasoning, branch);
+            } : undefined
           }
         );
+        recordToolMessages(branch, result.toolMessages);
+        if (result.interrupted) {
+          recordInterruptedMessage(branch, result.content, result.reasoning, result.messageUsage);
+          return;
+        }
         
         const assistantMessage = {
           role: 'assistant',
           content: fullContent,
           timestamp: Date.now()
         };
+        setResponseDetails(assistantMessage, branch, result);
         branch.history.push(assistantMessage);
         
         // Update personality profile (async)
@@ -582,7 +845,7 @@ export async function branchConversation(parentConversationId, branchCount, prom
           success: !fullContent.startsWith('Error:'),
           qualityScore: null,
           responseTime: Date.now() - (assistantMessage.timestamp - 5000),
-          cost: 0
+          cost: assistantMessage.usage?.cost || 0
         }).catch(err =>
           console.error('Learning error:', err)
         );
@@ -591,15 +854,18 @@ export async function branchConversation(parentConversationId, branchCount, prom
         const response = await sendChatCompletion(
           branch.modelId,
           apiMessages,
-          apiKey
+          apiKey,
+          { provider: branch.provider, responseProfile: branch.responseProfile, localTools: branch.tools, priority, signal: controller.signal, ...getCacheOption() }
         );
         
+        recordToolMessages(branch, response.toolMessages);
         const content = extractMessageContent(response);
         const assistantMessage = {
           role: 'assistant',
           content,
           timestamp: Date.now()
         };
+        setResponseDetails(assistantMessage, branch, response);
         branch.history.push(assistantMessage);
         
         // Update personality profile (async)
@@ -613,7 +879,7 @@ export async function branchConversation(parentConversationId, branchCount, prom
           success: !content.startsWith('Error:'),
           qualityScore: null,
           responseTime: Date.now() - (assistantMessage.timestamp - 5000),
-          cost: 0
+          cost: assistantMessage.usage?.cost || 0
         }).catch(err =>
           console.error('Learning error:', err)
         );
@@ -621,6 +887,10 @@ export async function branchConversation(parentConversationId, branchCount, prom
       
       notifyStateChange();
     } catch (error) {
+      if (isAbortError(error)) {
+        recordInterruptedMessage(branch, '');
+        return;
+      }
       console.error(`Error in branch ${branch.id}:`, error);
       branch.history.push({
         role: 'assistant',
@@ -628,6 +898,8 @@ export async function branchConversation(parentConversationId, branchCount, prom
         timestamp: Date.now()
       });
       notifyStateChange();
+    } finally {
+      releaseRequestController(branch.id, controller);
     }
   });
 
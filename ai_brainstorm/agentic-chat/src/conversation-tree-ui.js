@@ -247,9 +247,13 @@ export function renderConversationTree(treeRoots, currentConversationId, onSelec
     numberSpan.className = 'tree-label-number';
     numberSpan.textContent = `${numberLabel}.`;
 
+    // Named conversations show their name (the prompt stays in the tooltip)
     const promptSpan = document.createElement('span');
     promptSpan.className = 'tree-label-prompt';
-    promptSpan.textContent = prompt;
+    promptSpan.textContent = node.name || prompt;
+    if (node.name) {
+      promptSpan.title = prompt;
+    }
 
     label.appendChild(numberSpan);
     label.appendChild(promptSpan);
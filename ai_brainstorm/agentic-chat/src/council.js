@@ -6,6 +6,7 @@
 
 import { sendChatCompletion, extractMessageContent } from './openrouter-client.js';
 import { getModelStats, getAllModelStats } from './model-analytics.js';
+import { isAbortError } from './request-control.js';
 
 /**
  * Stage 2: Collect rankings from each model
@@ -14,9 +15,10 @@ import { getModelStats, getAllModelStats } from './model-analytics.js';
  * @param {string} userQuery - The original user query
  * @param {Array} responses - Array of {modelId, modelName, content}
  * @param {string} apiKey - OpenRouter API key
+ * @param {Object} options - { signal } to stop the council mid-way
  * @returns {Object} {rankings, labelToModel}
  */
-export async function collectRankings(userQuery, responses, apiKey) {
+export async function collectRankings(userQuery, responses, apiKey, options = {}) {
   // Create anonymized labels (Response A, Response B, etc.)
   const labels = responses.map((_, i) => String.fromCharCode(65 + i)); // A, B, C...
 
@@ -76,7 +78,7 @@ Now provide your evaluation and ranking:`;
   // Query all models in parallel for their rankings
   const rankingPromises = responses.map(async (r) => {
     try {
-      const response = await sendChatCompletion(r.modelId, messages, apiKey);
+      const response = await sendChatCompletion(r.modelId, messages, apiKey, { priority: 'background', signal: options.signal });
       const content = extractMessageContent(response);
       const parsed = parseRankingWithConfidence(content);
       return {
@@ -89,6 +91,10 @@ Now provide your evaluation and ranking:`;
         isValid: validateRanking(parsed.ranking, labels.length)
       };
     } catch (error) {
+      // A stopped council is not a failed ranking
+      if (isAbortError(error)) {
+        throw error;
+      }
       console.error(`Error getting ranking from ${r.modelName}:`, error);
       return {
         modelId: r.modelId,
@@ -116,9 +122,10 @@ Now provide your evaluation and ranking:`;
  * @param {Array} rankings - Rankings from stage 2
  * @param {string} chairmanModelId - Model ID to use as chairman
  * @param {string} apiKey - OpenRouter API key
+ * @param {Object} options - { signal } to stop the council mid-way
  * @returns {Object} {modelId, modelName, content}
  */
-export async function synthesizeFinal(userQuery, responses, rankings, chairmanModelId, apiKey) {
+export async function synthesizeFinal(userQuery, responses, rankings, chairmanModelId, apiKey, options = {}) {
   // Build stage 1 context (individual responses)
   const stage1Text = responses.map(r =>
     `Model: ${r.modelName}\nResponse: ${r.content}`
@@ -149,7 +156,7 @@ Provide a clear, well-reasoned final answer that represents the council's collec
   const messages = [{ role: 'user', content: chairmanPrompt }];
 
   try {
-    const response = await sendChatCompletion(chairmanModelId, messages, apiKey);
+    const response = await sendChatCompletion(chairmanModelId, messages, apiKey, { priority: 'background', signal: options.signal });
     const content = extractMessageContent(response);
 
     // Find chairman name
@@ -161,6 +168,9 @@ Provide a clear, well-reasoned final answer that represents the council's collec
       content
     };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.error('Error in chairman synthesis:', error);
     return {
       modelId: chairmanModelId,
@@ -528,7 +538,7 @@ export function analyzeDisagreements(rankings, labelToModel) {
  * @param {Array} responses - Array of {modelId, modelName, content}
  * @param {string} apiKey - OpenRouter API key
  * @param {string} chairmanModelId - Optional chairman model ID (defaults to first model)
- * @param {Object} options - Options for council process
+ * @param {Object} options - Options for council process (aggregation flags, signal)
  * @returns {Object} Enhanced council result with all analytics
  */
 export async function runCouncil(userQuery, responses, apiKey, chairmanModelId = null, options = {}) {
@@ -545,7 +555,7 @@ export async function runCouncil(userQuery, responses, apiKey, chairmanModelId =
   const chairman = chairmanModelId || responses[0].modelId;
 
   // Stage 2: Collect rankings
-  const { rankings, labelToModel } = await collectRankings(userQuery, responses, apiKey);
+  const { rankings, labelToModel } = await collectRankings(userQuery, responses, apiKey, { signal: options.signal });
 
   // Separate valid and invalid rankings
   rankings.forEach(ranking => {
@@ -572,7 +582,7 @@ export async function runCouncil(userQuery, responses, apiKey, chairmanModelId =
   const disagreementAnalysis = analyzeDisagreements(validRankings.length > 0 ? validRankings : rankings, labelToModel);
 
   // Stage 3: Chairman synthesis (enhanced with disagreement info)
-  const synthesis = await synthesizeFinal(userQuery, responses, rankings, chairman, apiKey);
+  const synthesis = await synthesizeFinal(userQuery, responses, rankings, chairman, apiKey, { signal: options.signal });
 
   return {
     rankings,
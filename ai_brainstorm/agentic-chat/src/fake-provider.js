@@ -0,0 +1,268 @@
+// Fake Provider
+// Scripted, offline stand-in for an OpenAI-compatible /chat/completions backend
+// Lets the app run (and be demoed) without any API key or network access
+
+let fakeScript = null;
+
+// Text of message content; content parts (attachments) are summarised so the echo shows what arrived
+function describeContent(content) {
+  if (!Array.isArray(content)) {
+    return String(content);
+  }
+  const text = content.filter(part => part.type === 'text').map(part => part.text).join('\n\n');
+  const images = content.filter(part => part.type === 'image_url').length;
+  return images > 0 ? `${text} [${images} image${images === 1 ? '' : 's'}]` : text;
+}
+
+// Default script: echo the last user message back
+// JSON-mode requests (the agent orchestrator) get a valid chat action instead
+// With the calculator tool declared, arithmetic in the prompt goes through a tool call
+function defaultScript({ model, messages, responseFormat, tools }) {
+  const lastMessage = messages[messages.length - 1];
+  if (lastMessage?.role === 'tool') {
+    return `[${model}] The ${lastMessage.name} tool returned: ${lastMessage.content}`;
+  }
+
+  const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+  const prompt = lastUser ? describeContent(lastUser.content) : '';
+  const expression = prompt.match(/\d[\d\s.+\-*/^%()]*[+\-*/^%][\d\s.+\-*/^%()]*\d\)*/);
+  if (tools.includes('calculator') && expression) {
+    return { toolCalls: [{ name: 'calculator', arguments: { expression: expression[0].trim() } }] };
+  }
+
+  if (responseFormat?.type === 'json_object') {
+    return JSON.stringify({ action: 'chat', response: `[${model}] You said: ${prompt}` });
+  }
+  return `[${model}] You said: ${prompt}`;
+}
+
+/**
+ * Set the script used to answer fake requests
+ * @param {Function|Array|null} script - Function ({model, messages, responseFormat, tools}) => reply,
+ *   an array of replies used in order, or null to restore the echo script.
+ *   A reply is the answer text, { content, reasoning } for a reasoning model's answer,
+ *   { toolCalls: [{ name, arguments }] } to call declared tools,
+ *   or { status, error, retryAfter } to simulate a failed request
+ */
+export function setFakeScript(script) {
+  if (Array.isArray(script)) {
+    const replies = [...script];
+    fakeScript = () => (replies.length > 1 ? replies.shift() : replies[0] || '');
+  } else {
+    fakeScript = script;
+  }
+}
+
+// Models advertised by the fake provider's /models endpoint
+export const FAKE_MODELS = [
+  { id: 'fake/echo', name: 'Fake Echo' },
+  { id: 'fake/scripted', name: 'Fake Scripted' }
+];
+
+// Cut content to max_tokens words (one word stands in for one token)
+// so truncation handling can be exercised offline
+function applyTokenLimit(content, maxTokens) {
+  const words = content.split(/(\s+)/).filter(Boolean);
+  const wordCount = words.filter(word => word.trim()).length;
+  if (!maxTokens || wordCount <= maxTokens) {
+    return { content, finishReason: 'stop' };
+  }
+
+  let kept = 0;
+  const limited = [];
+  for (const word of words) {
+    if (word.trim()) {
+      if (kept === maxTokens) break;
+      kept++;
+    }
+    limited.push(word);
+  }
+  return { content: limited.join(''), finishReason: 'length' };
+}
+
+// Count words (one word stands in for one token)
+function countWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+// OpenAI-style usage for a request: the prompt is every message's words, the completion the answer's
+function buildUsage(messages, content, reasoning = '') {
+  const promptTokens = messages.reduce((sum, msg) => sum + countWords(describeContent(msg.content ?? '')), 0);
+  const reasoningTokens = countWords(reasoning);
+  const completionTokens = countWords(content) + reasoningTokens;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    completion_tokens_details: { reasoning_tokens: reasoningTokens }
+  };
+}
+
+// Build an OpenAI-style non-streaming response body
+function buildCompletion(model, content, finishReason = 'stop', reasoning = '', usage = buildUsage([], content, reasoning)) {
+  const message = { role: 'assistant', content };
+  if (reasoning) {
+    message.reasoning = reasoning;
+  }
+  return {
+    id: `fake-${Date.now()}`,
+    object: 'chat.completion',
+    model,
+    choices: [{
+      index: 0,
+      message,
+      finish_reason: finishReason
+    }],
+    usage
+  };
+}
+
+// Turn scripted tool calls into OpenAI-style tool_calls
+function buildToolCalls(toolCalls) {
+  return toolCalls.map((call, index) => ({
+    id: `fake-call-${Date.now()}-${index}`,
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+    }
+  }));
+}
+
+// Build a response that asks for tool calls (non-streaming body or a one-chunk SSE stream)
+function buildToolCallResponse(model, toolCalls, stream, usage) {
+  if (!stream) {
+    const completion = buildCompletion(model, null, 'tool_calls', '', usage);
+    completion.choices[0].message.tool_calls = toolCalls;
+    return new Response(JSON.stringify(completion), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const chunk = {
+    model,
+    choices: [{
+      index: 0,
+      delta: { role: 'assistant', tool_calls: toolCalls.map((call, index) => ({ index, ...call })) },
+      finish_reason: 'tool_calls'
+    }]
+  };
+  const usageChunk = usage ? `data: ${JSON.stringify({ model, choices: [], usage })}\n\n` : '';
+  return new Response(`data: ${JSON.stringify(chunk)}\n\n${usageChunk}data: [DONE]\n\n`, {
+    status: 200,
+    headers: { 'Content-Type': 'text/event-stream' }
+  });
+}
+
+// Build an SSE stream that emits the reasoning, then the content, word by word
+// Words are pulled one at a time so an aborted signal can end the stream mid-answer, like fetch does
+// With usage (stream_options.include_usage), a final choices-less chunk carries it
+function buildStream(model, content, signal, finishReason = 'stop', reasoning = '', usage = null) {
+  const encoder = new TextEncoder();
+  const deltas = [
+    ...reasoning.split(/(\s+)/).filter(Boolean).map(word => ({ reasoning: word })),
+    ...content.split(/(\s+)/).filter(Boolean).map(word => ({ content: word }))
+  ];
+  let index = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (signal?.aborted) {
+        controller.error(new DOMException('The operation was aborted.', 'AbortError'));
+        return;
+      }
+
+      if (index < deltas.length) {
+        const chunk = {
+          model,
+          choices: [{ index: 0, delta: deltas[index++], finish_reason: null }]
+        };
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
+        return;
+      }
+
+      const finalChunk = {
+        model,
+        choices: [{ index: 0, delta: {}, finish_reason: finishReason }]
+      };
+      controller.enqueue(encoder.encode(`data: ${JSON.stringify(finalChunk)}\n\n`));
+      if (usage) {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify({ model, choices: [], usage })}\n\n`));
+      }
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+      controller.close();
+    }
+  });
+}
+
+/**
+ * fetch() replacement that answers /chat/completions and /models locally
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init (method, headers, body, signal)
+ * @returns {Promise<Response>}
+ */
+export async function fakeFetch(url, init = {}) {
+  if (init.signal?.aborted) {
+    throw new DOMException('The operation was aborted.', 'AbortError');
+  }
+
+  if (url.endsWith('/models')) {
+    return new Response(JSON.stringify({ data: FAKE_MODELS }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const body = init.body ? JSON.parse(init.body) : {};
+  const script = fakeScript || defaultScript;
+  let reply = await script({
+    model: body.model,
+    messages: body.messages || [],
+    responseFormat: body.response_format,
+    tools: body.tool_choice === 'none' ? [] : (body.tools || []).map(tool => tool.function?.name)
+  });
+
+  const messages = body.messages || [];
+  const includeUsage = !body.stream || Boolean(body.stream_options?.include_usage);
+
+  if (reply?.toolCalls) {
+    const toolCalls = buildToolCalls(reply.toolCalls);
+    const usage = includeUsage ? buildUsage(messages, JSON.stringify(toolCalls)) : null;
+    return buildToolCallResponse(body.model, toolCalls, body.stream, usage);
+  }
+
+  // Reasoning model answer
+  let reasoning = '';
+  if (reply && typeof reply === 'object' && typeof reply.content === 'string') {
+    reasoning = reply.reasoning || '';
+    reply = reply.content;
+  }
+
+  // Simulated failure (rate limit, outage, unknown model)
+  if (reply && typeof reply === 'object') {
+    const headers = { 'Content-Type': 'application/json' };
+    if (reply.retryAfter !== undefined) {
+      headers['Retry-After'] = String(reply.retryAfter);
+    }
+    return new Response(JSON.stringify({ error: { message: reply.error || 'Fake provider error' } }), {
+      status: reply.status || 500,
+      headers
+    });
+  }
+  const { content, finishReason } = applyTokenLimit(reply, body.max_tokens);
+  const usage = includeUsage ? buildUsage(messages, content, reasoning) : null;
+
+  if (body.stream) {
+    return new Response(buildStream(body.model, content, init.signal, finishReason, reasoning, usage), {
+      status: 200,
+      headers: { 'Content-Type': 'text/event-stream' }
+    });
+  }
+
+  return new Response(JSON.stringify(buildCompletion(body.model, content, finishReason, reasoning, usage)), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -1,8 +1,19 @@
 import './style.css';
-import { loadApiKey, saveApiKey, hasApiKey } from './api-key-manager.js';
+import { loadApiKey, saveApiKey } from './api-key-manager.js';
 import { getActiveModels, addActiveModel, removeActiveModel, loadPreset, getCurrentPreset } from './active-models.js';
-import { loadAgentModel, saveAgentModel } from './agent-model-manager.js';
+import { loadAgentModel, saveAgentModel, getAgentProvider } from './agent-model-manager.js';
+import { getProvider, getProviders, saveProviderSettings, listProviderModels, hasCredentials, DEFAULT_PROVIDER_ID } from './providers.js';
 import { parseMarkdown } from './markdown.js';
+import { loadRetryRules, saveRetryRule, removeRetryRule, DEFAULT_MAX_ATTEMPTS } from './retry-policy.js';
+import {
+  getResponseProfiles,
+  loadDefaultResponseProfile,
+  saveDefaultResponseProfile,
+  loadTruncationMode,
+  saveTruncationMode
+} from './response-profiles.js';
+import { getTools, loadDefaultTools, saveDefaultTools, isToolError } from './tools.js';
+import { readAttachment, ATTACHMENT_ACCEPT, MAX_ATTACHMENTS } from './attachments.js';
 import {
   addAgentMessage,
   getAgentHistory,
@@ -24,12 +35,31 @@ import {
   getCurrentAgentChat,
   createNewAgentChat,
   switchAgentChat,
-  deleteAgentChat
+  deleteAgentChat,
+  getConversationProvider,
+  getConversationResponseProfile,
+  setConversationResponseProfile,
+  getConversationTools,
+  setConversationTools,
+  getConversationUsage,
+  getSessionUsage,
+  getConversationName,
+  renameConversation,
+  deleteConversations
 } from './conversation-manager.js';
-import { interpretCommand, findTargetConversation } from './agent-orchestrator.js';
+import { formatCost } from './pricing.js';
+import { isResponseCacheEnabled, setResponseCacheEnabled, clearResponseCache } from './response-cache.js';
+import { isProxyMode } from './config.js';
+import { getProxyModeIndicator } from './api-key-modal.js';
+import { loadModelCatalog, findCatalogModel, findMissingModels } from './model-catalog.js';
+import { loadProxyToken, saveProxyToken, clearProxyToken, fetchProxyUsage } from './proxy-auth.js';
+import { interpretCommand, findTargetConversation, getLastAgentContext } from './agent-orchestrator.js';
+import { runPlan, createPlanRun, runConversationCouncil } from './agent-plans.js';
+import { findStepReferences, isStepReference } from './agent-actions.js';
 import { getAllConversations } from './conversation-manager.js';
 import { runCouncil } from './council.js';
 import { renderCouncilMessage, renderCouncilLoading, renderCouncilError } from './council-message.js';
+import { renderComparisonMessage } from './comparison-message.js';
 import {
   buildConversationTree,
   renderConversationTree,
@@ -58,6 +88,15 @@ import {
   updateActiveDot
 } from './branch-indicator.js';
 import { initPanelResize } from './panel-resize.js';
+import {
+  createRequestController,
+  releaseRequestController,
+  abortRequests,
+  abortAllRequests,
+  onRequestsChange,
+  isAbortError
+} from './request-control.js';
+import { onQueueChange } from './request-scheduler.js';
 
 // DOM Elements
 const toggleSidebarBtn = document.getElementById('toggle-sidebar-btn');
@@ -82,6 +121,16 @@ const voiceBtn = document.getElementById('voice-btn');
 const chatMessages = document.getElementById('chat-messages');
 const chatInput = document.getElementById('chat-input');
 const sendBtn = document.getElementById('send-btn');
+const attachBtn = document.getElementById('attach-btn');
+const attachmentInput = document.getElementById('attachment-input');
+const pendingAttachmentsDiv = document.getElementById('pending-attachments');
+const stopAllBtn = document.getElementById('stop-all-btn');
+const queueStatus = document.getElementById('queue-status');
+const usageTotals = document.getElementById('usage-totals');
+const responseProfileSelect = document.getElementById('response-profile-select');
+const conversationToolsMenu = document.getElementById('conversation-tools-menu');
+const conversationToolsCount = document.getElementById('conversation-tools-count');
+const conversationToolsList = document.getElementById('conversation-tools-list');
 const prevBtn = document.getElementById('prev-btn');
 const nextBtn = document.getElementById('next-btn');
 const conversationIndicator = document.getElementById('conversation-indicator');
@@ -91,10 +140,30 @@ const modalBackdrop = document.getElementById('settings-modal-backdrop');
 const modalCloseBtn = document.getElementById('modal-close-btn');
 const modalApiKeyInput = document.getElementById('modal-api-key-input');
 const modalSaveApiKeyBtn = document.getElementById('modal-save-api-key-btn');
+const modalProxySection = document.getElementById('modal-proxy-section');
+const modalProxyStatus = document.getElementById('modal-proxy-status');
+const modalProxyTokenInput = document.getElementById('modal-proxy-token-input');
+const modalSaveProxyTokenBtn = document.getElementById('modal-save-proxy-token-btn');
 const modalActiveModelsList = document.getElementById('modal-active-models-list');
 const modalModelIdInput = document.getElementById('modal-model-id-input');
 const modalModelNameInput = document.getElementById('modal-model-name-input');
 const modalAddModelBtn = document.getElementById('modal-add-model-btn');
+const modalModelProviderSelect = document.getElementById('modal-model-provider-select');
+const modalDiscoverModelsBtn = document.getElementById('modal-discover-models-btn');
+const modalModelSuggestions = document.getElementById('modal-model-suggestions');
+const modalMissingModelsWarning = document.getElementById('modal-missing-models-warning');
+const modalLocalUrlInput = document.getElementById('modal-local-url-input');
+const modalSaveLocalUrlBtn = document.getElementById('modal-save-local-url-btn');
+const modalResponseProfileSelect = document.getElementById('modal-response-profile-select');
+const modalTruncationSelect = document.getElementById('modal-truncation-select');
+const modalDefaultToolsList = document.getElementById('modal-default-tools-list');
+const modalResponseCacheSelect = document.getElementById('modal-response-cache-select');
+const modalClearResponseCacheBtn = document.getElementById('modal-clear-response-cache-btn');
+const modalRetryRulesList = document.getElementById('modal-retry-rules-list');
+const modalRetryModelInput = document.getElementById('modal-retry-model-input');
+const modalRetryAttemptsInput = document.getElementById('modal-retry-attempts-input');
+const modalRetryFallbacksInput = document.getElementById('modal-retry-fallbacks-input');
+const modalSaveRetryRuleBtn = document.getElementById('modal-save-retry-rule-btn');
 
 // Settings Modal Functions
 function openSettingsModal() {
@@ -107,7 +176,101 @@ function openSettingsModal() {
     modalApiKeyInput.value = apiKey;
   }
 
+  modalLocalUrlInput.value = getProvider('local').baseUrl;
+  modalResponseCacheSelect.value = isResponseCacheEnabled() ? 'on' : 'off';
+
   renderModalActiveModels();
+  renderProxyStatus();
+  renderModelCatalog();
+}
+
+// Model catalog (null until loaded; stays null when unavailable, which turns off the missing-model warnings)
+let modelCatalog = null;
+
+// Where the catalog comes from: the proxy's /api/models, or OpenRouter's public model list
+function getModelCatalogUrl() {
+  return isProxyMode() ? '/api/models' : `${getProvider(DEFAULT_PROVIDER_ID).baseUrl.replace(/\/$/, '')}/models`;
+}
+
+// Load the model catalog, then offer it as model ID suggestions and flag saved IDs it doesn't list
+async function renderModelCatalog() {
+  try {
+    modelCatalog = await loadModelCatalog(getModelCatalogUrl());
+  } catch (error) {
+    console.error('Failed to load model catalog:', error);
+    return;
+  }
+
+  modalModelSuggestions.innerHTML = '';
+  modelCatalog.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model.id;
+    option.label = formatCatalogModel(model);
+    modalModelSuggestions.appendChild(option);
+  });
+  renderModalActiveModels();
+}
+
+// "Claude Sonnet 4.5 · 200K context · $3 / $15 per M · vision"
+function formatCatalogModel(model) {
+  const details = [model.name];
+  if (model.contextLength) {
+    details.push(`${Math.round(model.contextLength / 1000)}K context`);
+  }
+  if (model.pricing.prompt !== null && model.pricing.completion !== null) {
+    details.push(`$${model.pricing.prompt} / $${model.pricing.completion} per M`);
+  }
+  if (model.vision) {
+    details.push('vision');
+  }
+  return details.join(' · ');
+}
+
+// OpenRouter model IDs saved in settings (active models and the agent model) that the catalog doesn't list
+function getMissingSavedModels() {
+  if (!modelCatalog) return [];
+  const savedIds = getActiveModels()
+    .filter(model => (model.provider || DEFAULT_PROVIDER_ID) === DEFAULT_PROVIDER_ID)
+    .map(model => model.id);
+  if (getAgentProvider() === DEFAULT_PROVIDER_ID) {
+    savedIds.push(loadAgentModel());
+  }
+  return findMissingModels(modelCatalog, savedIds);
+}
+
+// Fill in the model name from the catalog when an ID is picked
+function handleModelIdInput() {
+  const model = modelCatalog && findCatalogModel(modelCatalog, modalModelIdInput.value.trim());
+  if (model && !modalModelNameInput.value.trim()) {
+    modalModelNameInput.value = model.name;
+  }
+}
+
+// Proxy mode: the signed-in user and their quota usage (from /api/me)
+async function renderProxyStatus() {
+  if (!isProxyMode()) return null;
+  modalProxySection.style.display = 'block';
+  modalProxyTokenInput.value = loadProxyToken() || '';
+  try {
+    const usage = await fetchProxyUsage();
+    modalProxyStatus.innerHTML = getProxyModeIndicator(usage);
+    return usage;
+  } catch (error) {
+    console.error('Failed to load proxy usage:', error);
+    modalProxyStatus.innerHTML = getProxyModeIndicator({ error: 'Usage unavailable' });
+    return null;
+  }
+}
+
+// Save (or clear) the proxy access code and show what it unlocks
+async function handleSaveProxyToken() {
+  const token = modalProxyTokenInput.value.trim();
+  const saved = token ? saveProxyToken(token) : clearProxyToken();
+  if (!saved) {
+    alert('Failed to save access code');
+    return;
+  }
+  await renderProxyStatus();
 }
 
 // Update the agent model display in settings and header
@@ -250,18 +413,27 @@ function renderModalActiveModels() {
   const models = getActiveModels();
   modalActiveModelsList.innerHTML = '';
 
+  const missingModels = getMissingSavedModels();
+  modalMissingModelsWarning.style.display = missingModels.length > 0 ? 'block' : 'none';
+  modalMissingModelsWarning.textContent = missingModels.length > 0
+    ? `⚠ Not in the model catalog (renamed, removed or not offered here): ${missingModels.join(', ')}`
+    : '';
+
   if (models.length === 0) {
     modalActiveModelsList.innerHTML = '<div style="font-size: 14px; color: var(--text-tertiary); padding: var(--space-4); text-align: center;">No active models</div>';
     return;
   }
 
   models.forEach(model => {
+    const provider = getProvider(model.provider || DEFAULT_PROVIDER_ID);
+    const missing = missingModels.includes(model.id) && provider.id === DEFAULT_PROVIDER_ID;
     const modelItem = document.createElement('div');
     modelItem.className = 'modal-model-item';
     modelItem.innerHTML = `
       <div class="modal-model-info">
         <div class="modal-model-name">${model.name}</div>
-        <div class="modal-model-id">${model.id}</div>
+        <div class="modal-model-id">${model.id} · ${provider.name}</div>
+        ${missing ? '<div class="modal-model-missing">⚠ Not in the model catalog</div>' : ''}
       </div>
       <button class="modal-remove-btn" data-model-id="${model.id}">Remove</button>
     `;
@@ -273,16 +445,325 @@ function renderModalActiveModels() {
   });
 }
 
+// Render the per-model retry rules (max attempts and fallback models)
+function renderRetryRules() {
+  const rules = Object.entries(loadRetryRules());
+  modalRetryRulesList.innerHTML = '';
+
+  if (rules.length === 0) {
+    modalRetryRulesList.innerHTML = `<div style="font-size: 14px; color: var(--text-tertiary); padding: var(--space-4); text-align: center;">All models: ${DEFAULT_MAX_ATTEMPTS} attempts, no fallbacks</div>`;
+    return;
+  }
+
+  rules.forEach(([modelId, rule]) => {
+    const ruleItem = document.createElement('div');
+    ruleItem.className = 'modal-model-item';
+    ruleItem.innerHTML = `
+      <div class="modal-model-info">
+        <div class="modal-model-name">${modelId}</div>
+        <div class="modal-model-id">${rule.maxAttempts} attempts · fallbacks: ${rule.fallbacks.join(', ') || 'none'}</div>
+      </div>
+      <button class="modal-remove-btn">Remove</button>
+    `;
+
+    ruleItem.querySelector('.modal-remove-btn').addEventListener('click', () => {
+      removeRetryRule(modelId);
+      renderRetryRules();
+    });
+
+    modalRetryRulesList.appendChild(ruleItem);
+  });
+}
+
+// Save the retry rule from the form
+function handleSaveRetryRule() {
+  const modelId = modalRetryModelInput.value.trim();
+  if (!modelId) {
+    alert('Please enter a model ID');
+    return;
+  }
+
+  const maxAttempts = parseInt(modalRetryAttemptsInput.value, 10) || DEFAULT_MAX_ATTEMPTS;
+  const fallbacks = modalRetryFallbacksInput.value.split(',').map(id => id.trim()).filter(Boolean);
+
+  if (saveRetryRule(modelId, { maxAttempts, fallbacks })) {
+    modalRetryModelInput.value = '';
+    modalRetryAttemptsInput.value = '';
+    modalRetryFallbacksInput.value = '';
+    renderRetryRules();
+  } else {
+    alert('Failed to save retry rule');
+  }
+}
+
+// Fill the provider dropdown of the add-model form
+function renderProviderOptions() {
+  modalModelProviderSelect.innerHTML = '';
+  getProviders().forEach(provider => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.name;
+    modalModelProviderSelect.appendChild(option);
+  });
+  modalModelProviderSelect.value = DEFAULT_PROVIDER_ID;
+}
+
+// Fill the response profile selects (chat header and settings default)
+function renderResponseProfileOptions() {
+  [responseProfileSelect, modalResponseProfileSelect].forEach(select => {
+    select.innerHTML = '';
+    getResponseProfiles().forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      option.title = profile.description;
+      select.appendChild(option);
+    });
+  });
+  modalResponseProfileSelect.value = loadDefaultResponseProfile();
+  modalTruncationSelect.value = loadTruncationMode();
+}
+
+// Change the response profile of the current conversation
+function handleResponseProfileChange() {
+  const conversation = getCurrentConversation();
+  if (conversation) {
+    setConversationResponseProfile(conversation.id, responseProfileSelect.value);
+  }
+}
+
+// Save the default response profile for new conversations
+function handleDefaultResponseProfileChange() {
+  if (!saveDefaultResponseProfile(modalResponseProfileSelect.value)) {
+    alert('Failed to save response length');
+  }
+}
+
+// Save what happens to answers cut off by the token limit ('' = profile default)
+function handleTruncationModeChange() {
+  if (!saveTruncationMode(modalTruncationSelect.value)) {
+    alert('Failed to save truncation setting');
+  }
+}
+
+// Turn the browser response cache on or off
+function handleResponseCacheChange() {
+  if (!setResponseCacheEnabled(modalResponseCacheSelect.value === 'on')) {
+    alert('Failed to save response cache setting');
+  }
+}
+
+// Delete every cached answer
+async function handleClearResponseCache() {
+  if (await clearResponseCache()) {
+    alert('Response cache cleared!');
+  } else {
+    alert('Failed to clear the response cache');
+  }
+}
+
+// Fill a list with one checkbox per local tool; onChange gets the checked tool names
+function renderToolCheckboxes(container, selected, onChange) {
+  container.innerHTML = '';
+  getTools().forEach(tool => {
+    const label = document.createElement('label');
+    label.className = 'tool-option';
+    label.title = tool.description;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = tool.name;
+    checkbox.checked = selected.includes(tool.name);
+    checkbox.addEventListener('change', () => {
+      const checked = [...container.querySelectorAll('input:checked')].map(input => input.value);
+      onChange(checked);
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${tool.name}`));
+    container.appendChild(label);
+  });
+}
+
+// Tools declared by new conversations (settings)
+function renderDefaultToolOptions() {
+  renderToolCheckboxes(modalDefaultToolsList, loadDefaultTools(), names => {
+    if (!saveDefaultTools(names)) {
+      alert('Failed to save default tools');
+    }
+  });
+}
+
+// Tools the current conversation declares (chat header)
+function renderConversationTools(conversation) {
+  conversationToolsMenu.classList.toggle('disabled', !conversation);
+  if (!conversation) {
+    conversationToolsMenu.open = false;
+    conversationToolsCount.textContent = '0';
+    conversationToolsList.innerHTML = '';
+    return;
+  }
+
+  const tools = getConversationTools(conversation);
+  conversationToolsCount.textContent = String(tools.length);
+  renderToolCheckboxes(conversationToolsList, tools, names => {
+    setConversationTools(conversation.id, names);
+    conversationToolsCount.textContent = String(names.length);
+  });
+}
+
+// Cost of the current conversation and of the whole session (chat header)
+function renderUsageTotals(conversation) {
+  const session = getSessionUsage();
+  if (!conversation) {
+    usageTotals.textContent = `Session ${formatCost(session)}`;
+    return;
+  }
+  const usage = getConversationUsage(conversation);
+  usageTotals.textContent = `Conversation ${formatCost(usage)} · Session ${formatCost(session)}`;
+  usageTotals.title = `Conversation: ${usage.promptTokens} in / ${usage.completionTokens} out tokens`
+    + `\nSession: ${session.promptTokens} in / ${session.completionTokens} out tokens`
+    + (session.estimated ? '\n~ Some requests reported no usage and were estimated' : '')
+    + (session.unpriced ? '\n≥ Some models have no price in the pricing table' : '');
+}
+
+// Tokens and cost of one answer ("~" marks counts estimated from the text)
+function formatMessageUsage(usage) {
+  if (usage.cachedRequests > 0 && usage.cachedRequests === usage.requests) {
+    return 'Cached answer · no tokens used';
+  }
+  const approx = usage.estimated ? '~' : '';
+  const reasoning = usage.reasoningTokens > 0 ? ` (${usage.reasoningTokens} reasoning)` : '';
+  return `${approx}${usage.promptTokens} in / ${approx}${usage.completionTokens} out tokens${reasoning} · ${formatCost(usage)}`;
+}
+
+// Names of the proxy's content filter rules and what their actions did
+const CONTENT_FILTER_RULES = {
+  api_key: 'API key',
+  private_key: 'private key',
+  email: 'email address',
+  prompt_injection: 'prompt injection',
+  system_prompt_echo: 'system prompt echo'
+};
+const CONTENT_FILTER_ACTIONS = { block: 'blocked', mask: 'masked', log: 'flagged' };
+
+// Content filter hits of an answer, e.g. "Content filter: API key masked · system prompt echo flagged"
+function formatContentFilter(hits) {
+  const parts = hits.map(({ rule, action }) => `${CONTENT_FILTER_RULES[rule] || rule} ${CONTENT_FILTER_ACTIONS[action] || action}`);
+  return `Content filter: ${parts.join(' · ')}`;
+}
+
+// Render a tool call (assistant message with tool_calls) or a tool result as its own message type
+function renderToolMessage(msg, index) {
+  const isResult = msg.role === 'tool';
+  const msgDiv = document.createElement('div');
+  msgDiv.className = `message ${isResult ? 'tool-result' : 'tool-call'}`;
+  msgDiv.dataset.messageId = `msg-${index}`;
+  msgDiv.dataset.messageIndex = index;
+
+  const bubble = document.createElement('div');
+  bubble.className = 'message-bubble';
+
+  const header = document.createElement('div');
+  header.className = 'message-header';
+  header.innerHTML = isResult
+    ? '<i class="fas fa-reply"></i> Tool result'
+    : '<i class="fas fa-wrench"></i> Tool call';
+  bubble.appendChild(header);
+
+  const content = document.createElement('div');
+  content.className = 'message-content';
+  if (isResult) {
+    const name = document.createElement('div');
+    name.className = 'tool-name';
+    name.textContent = msg.name;
+    const output = document.createElement('pre');
+    output.textContent = msg.content;
+    content.appendChild(name);
+    content.appendChild(output);
+    if (isToolError(msg)) {
+      msgDiv.classList.add('error');
+    }
+  } else {
+    if (msg.content) {
+      const text = document.createElement('div');
+      text.textContent = msg.content;
+      content.appendChild(text);
+    }
+    msg.tool_calls.forEach(call => {
+      const name = document.createElement('div');
+      name.className = 'tool-name';
+      name.textContent = call.function.name;
+      const args = document.createElement('pre');
+      args.textContent = formatToolArguments(call.function.arguments);
+      content.appendChild(name);
+      content.appendChild(args);
+    });
+  }
+  bubble.appendChild(content);
+
+  msgDiv.appendChild(bubble);
+  return msgDiv;
+}
+
+// Pretty-print tool call arguments (left as-is when the model sent invalid JSON)
+function formatToolArguments(args) {
+  try {
+    return JSON.stringify(JSON.parse(args || '{}'), null, 2);
+  } catch (error) {
+    return args;
+  }
+}
+
+// Save the local server base URL
+function handleSaveLocalUrl() {
+  const baseUrl = modalLocalUrlInput.value.trim();
+  if (!baseUrl) {
+    alert('Please enter a base URL');
+    return;
+  }
+
+  if (saveProviderSettings('local', { baseUrl })) {
+    alert('Local server URL saved!');
+  } else {
+    alert('Failed to save local server URL');
+  }
+}
+
+// Discover the models served by the selected provider and offer them as suggestions
+async function handleDiscoverModels() {
+  const providerId = modalModelProviderSelect.value;
+  modalDiscoverModelsBtn.disabled = true;
+
+  try {
+    const models = await listProviderModels(providerId, loadApiKey());
+    modalModelSuggestions.innerHTML = '';
+    models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.id;
+      option.label = model.name;
+      modalModelSuggestions.appendChild(option);
+    });
+    modalModelIdInput.focus();
+  } catch (error) {
+    console.error('Model discovery error:', error);
+    alert(`Could not list models: ${error.message}`);
+  } finally {
+    modalDiscoverModelsBtn.disabled = false;
+  }
+}
+
 function handleModalAddModel() {
   const modelId = modalModelIdInput.value.trim();
   const modelName = modalModelNameInput.value.trim();
+  const providerId = modalModelProviderSelect.value || DEFAULT_PROVIDER_ID;
 
   if (!modelId || !modelName) {
     alert('Please enter both model ID and name');
     return;
   }
 
-  const result = addActiveModel(modelId, modelName);
+  const result = addActiveModel(modelId, modelName, providerId);
   if (result.success) {
     modalModelIdInput.value = '';
     modalModelNameInput.value = '';
@@ -327,10 +808,21 @@ function init() {
   updateModelDisplay();
 
   // Render UI
+  renderProviderOptions();
+  renderResponseProfileOptions();
+  renderDefaultToolOptions();
+  renderRetryRules();
   renderModalActiveModels();
   renderSessionHistory();
   renderCurrentConversation();
   updateConversationIndicator();
+
+  // Proxy mode: ask for an access code up front when the server requires one
+  if (isProxyMode()) {
+    fetchProxyUsage()
+      .then(usage => usage.authRequired && openSettingsModal())
+      .catch(error => console.error('Failed to check proxy access:', error));
+  }
   
   // Set initial toggle button states
   toggleSidebarBtn.innerHTML = '<i class="fas fa-bars"></i>';
@@ -347,7 +839,17 @@ function init() {
     if (e.target === modalBackdrop) closeSettingsModal();
   });
   modalSaveApiKeyBtn.addEventListener('click', handleModalSaveApiKey);
+  modalSaveProxyTokenBtn.addEventListener('click', handleSaveProxyToken);
   modalAddModelBtn.addEventListener('click', handleModalAddModel);
+  modalDiscoverModelsBtn.addEventListener('click', handleDiscoverModels);
+  modalModelIdInput.addEventListener('change', handleModelIdInput);
+  modalSaveLocalUrlBtn.addEventListener('click', handleSaveLocalUrl);
+  modalResponseProfileSelect.addEventListener('change', handleDefaultResponseProfileChange);
+  modalTruncationSelect.addEventListener('change', handleTruncationModeChange);
+  modalResponseCacheSelect.addEventListener('change', handleResponseCacheChange);
+  modalClearResponseCacheBtn.addEventListener('click', handleClearResponseCache);
+  modalSaveRetryRuleBtn.addEventListener('click', handleSaveRetryRule);
+  responseProfileSelect.addEventListener('change', handleResponseProfileChange);
   
   // Model selector listeners
   modelPrevBtn.addEventListener('click', handleModelPrevious);
@@ -358,6 +860,9 @@ function init() {
   voiceBtn.addEventListener('click', handleVoiceInput);
 
   sendBtn.addEventListener('click', handleSendMessage);
+  attachmentInput.accept = ATTACHMENT_ACCEPT;
+  attachBtn.addEventListener('click', () => attachmentInput.click());
+  attachmentInput.addEventListener('change', handleAttachFiles);
   chatInput.addEventListener('keydown', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -371,12 +876,24 @@ function init() {
     chatInput.style.height = Math.min(chatInput.scrollHeight, 200) + 'px';
     
     // Enable/disable send button based on content
-    sendBtn.disabled = !chatInput.value.trim();
+    sendBtn.disabled = !chatInput.value.trim() && pendingAttachments.length === 0;
   });
 
   prevBtn.addEventListener('click', handlePrevConversation);
   nextBtn.addEventListener('click', handleNextConversation);
 
+  // Stop buttons: show "Stop all" only while requests are in flight
+  stopAllBtn.addEventListener('click', () => abortAllRequests());
+  onRequestsChange((pendingCount) => {
+    stopAllBtn.style.display = pendingCount > 0 ? 'flex' : 'none';
+  });
+
+  // Queue depth: requests running and waiting for a free slot
+  onQueueChange(({ running, queued }) => {
+    queueStatus.style.display = running + queued > 0 ? 'inline' : 'none';
+    queueStatus.textContent = queued > 0 ? `${running} running · ${queued} queued` : `${running} running`;
+  });
+
   // Debate Mode and Counselor listeners
   debateModeBtn.addEventListener('click', handleDebateMode);
   sendToCounselorBtn.addEventListener('click', handleSendToCounselor);
@@ -782,6 +1299,14 @@ function renderAgentMessages() {
         console.error('Error rendering council message:', e);
         msgDiv.textContent = 'Error displaying council results';
       }
+    } else if (msg.comparison) {
+      msgDiv.classList.add('comparison-message');
+      try {
+        msgDiv.innerHTML = renderComparisonMessage(msg.comparison);
+      } catch (e) {
+        console.error('Error rendering comparison message:', e);
+        msgDiv.textContent = 'Error displaying comparison';
+      }
     } else if (msg.councilLoading) {
       msgDiv.innerHTML = renderCouncilLoading(msg.councilLoading);
     } else if (msg.councilError) {
@@ -790,6 +1315,17 @@ function renderAgentMessages() {
       // Render markdown for assistant messages, plain text for user
       if (msg.role === 'assistant') {
         msgDiv.innerHTML = `<div class="md-content">${parseMarkdown(msg.content || '')}</div>`;
+        if (runningPlans.has(msg)) {
+          const stopBtn = document.createElement('button');
+          stopBtn.className = 'btn-stop';
+          stopBtn.title = 'Stop the running step and cancel the rest of the plan';
+          stopBtn.innerHTML = '<i class="fas fa-stop"></i><span>Stop plan</span>';
+          stopBtn.addEventListener('click', () => runningPlans.get(msg).abort());
+          msgDiv.appendChild(stopBtn);
+        }
+        if (agentContexts.has(msg)) {
+          msgDiv.appendChild(renderAgentContext(agentContexts.get(msg)));
+        }
       } else {
         msgDiv.textContent = msg.content || '';
       }
@@ -801,6 +1337,36 @@ function renderAgentMessages() {
   agentMessages.scrollTop = agentMessages.scrollHeight;
 }
 
+// What the agent model saw for each reply (kept for this page only, not saved with the session)
+const agentContexts = new WeakMap();
+
+// Collapsible debug view of the agent's prompt: budget use and the exact messages sent
+function renderAgentContext(context) {
+  const { stats } = context;
+  const details = document.createElement('details');
+  details.className = 'agent-context';
+  details.innerHTML = `<summary><i class="fas fa-bug"></i> What the agent saw (~${stats.tokens.toLocaleString()} of ${stats.budget.toLocaleString()} tokens)</summary>`;
+
+  const summary = document.createElement('div');
+  summary.className = 'agent-context-stats';
+  const parts = [`Model: ${context.modelId}`];
+  if (stats.currentMessages > 0) {
+    parts.push(`current conversation: ${stats.currentMessages} messages${stats.currentOmitted > 0 ? ` (${stats.currentOmitted} older omitted)` : ''}`);
+  }
+  parts.push(`${stats.summarized} summarized`);
+  if (stats.listed > 0) {
+    parts.push(`${stats.listed} listed by ID only`);
+  }
+  summary.textContent = parts.join(' · ');
+  details.appendChild(summary);
+
+  const content = document.createElement('div');
+  content.className = 'agent-context-content';
+  content.textContent = context.messages.map(message => `[${message.role}]\n${message.content}`).join('\n\n');
+  details.appendChild(content);
+  return details;
+}
+
 // Agent Suggestions (Council button, etc.)
 function renderAgentSuggestions() {
   if (!agentSuggestions) {
@@ -812,7 +1378,7 @@ function renderAgentSuggestions() {
 
   // Count responses that have completed (have assistant response)
   const completedResponses = roots.filter(c =>
-    c.history.some(m => m.role === 'assistant' && !m.content.startsWith('Error:'))
+    c.history.some(m => m.role === 'assistant' && !m.tool_calls && !m.content.startsWith('Error:'))
   );
 
   // Show council button only when 2+ completed responses exist
@@ -835,14 +1401,14 @@ function renderAgentSuggestions() {
 
 // Council Handler
 async function handleConsultCouncil() {
-  if (!hasApiKey()) {
+  const apiKey = loadApiKey();
+  const roots = getRootConversations();
+
+  if (!roots.every(c => hasCredentials(getConversationProvider(c)))) {
     alert('Please configure your API key first');
     return;
   }
 
-  const apiKey = loadApiKey();
-  const roots = getRootConversations();
-
   // Get the original user query from the first conversation
   const userQuery = roots[0]?.history.find(m => m.role === 'user')?.content || '';
 
@@ -850,7 +1416,7 @@ async function handleConsultCouncil() {
   const responses = roots.map(c => ({
     modelId: c.modelId,
     modelName: c.modelName,
-    content: c.history.find(m => m.role === 'assistant')?.content
+    content: c.history.find(m => m.role === 'assistant' && !m.tool_calls)?.content
   })).filter(r => r.content && !r.content.startsWith('Error:'));
 
   if (responses.length < 2) {
@@ -865,6 +1431,7 @@ async function handleConsultCouncil() {
   addAgentMessage('assistant', `🏛️ Consulting the Council with ${responses.length} responses...`);
   renderAgentMessages();
 
+  const controller = createRequestController('council');
   try {
     // Import council functions dynamically to show progress
     const { collectRankings, synthesizeFinal, calculateAggregateRankings } = await import('./council.js');
@@ -873,14 +1440,14 @@ async function handleConsultCouncil() {
     updateLastAgentMessage('🏛️ Stage 1/2: Collecting peer rankings...');
     renderAgentMessages();
 
-    const { rankings, labelToModel } = await collectRankings(userQuery, responses, apiKey);
+    const { rankings, labelToModel } = await collectRankings(userQuery, responses, apiKey, { signal: controller.signal });
     const aggregateRankings = calculateAggregateRankings(rankings, labelToModel);
 
     // Stage 3: Synthesis
     updateLastAgentMessage('🏛️ Stage 2/2: Chairman synthesizing final answer...');
     renderAgentMessages();
 
-    const synthesis = await synthesizeFinal(userQuery, responses, rankings, responses[0].modelId, apiKey);
+    const synthesis = await synthesizeFinal(userQuery, responses, rankings, responses[0].modelId, apiKey, { signal: controller.signal });
 
     // Build result object
     const result = { rankings, labelToModel, aggregateRankings, synthesis };
@@ -893,15 +1460,20 @@ async function handleConsultCouncil() {
     renderAgentSuggestions();
 
   } catch (error) {
-    console.error('Council error:', error);
-
-    // Remove status message and add error
+    // Remove status message
     const history = getAgentHistory();
     history.pop();
 
-    addAgentMessage('assistant', `❌ Council Error: ${error.message}`);
+    if (isAbortError(error)) {
+      addAgentMessage('assistant', '🛑 Council stopped');
+    } else {
+      console.error('Council error:', error);
+      addAgentMessage('assistant', `❌ Council Error: ${error.message}`);
+    }
     renderAgentMessages();
     renderAgentSuggestions();
+  } finally {
+    releaseRequestController('council', controller);
   }
 }
 
@@ -917,7 +1489,7 @@ async function handleAgentSend() {
   const message = agentInput.value.trim();
   if (!message) return;
 
-  if (!hasApiKey()) {
+  if (!hasCredentials(getAgentProvider())) {
     alert('Please configure your API key first');
     return;
   }
@@ -940,15 +1512,36 @@ async function handleAgentSend() {
     // Remove loading message
     getAgentHistory().pop();
 
+    // Destructive actions are confirmed first, so the agent's response never announces one the user cancelled
+    const confirmation = getAgentConfirmation(command);
+    const confirmed = !confirmation || confirm(confirmation.question);
+
     // Add agent response
-    addAgentMessage('assistant', command.response);
+    const reply = addAgentMessage('assistant', confirmed ? command.response : `Cancelled. ${confirmation.cancelled}`);
+    agentContexts.set(reply, getLastAgentContext());
     renderAgentMessages();
+    if (!confirmed) return;
 
     // Execute command
     if (command.action === 'create_conversations') {
       await handleCreateConversations(command);
     } else if (command.action === 'continue_conversations') {
       await handleContinueConversations(command);
+    } else if (command.action === 'plan') {
+      await handleRunPlan(command);
+    } else if (command.action === 'council') {
+      await handleAgentCouncil(command);
+    } else if (command.action === 'compare_conversations') {
+      addAgentMessage('assistant', '').comparison = { conversationIds: command.conversationIds };
+      renderAgentMessages();
+    } else if (command.action === 'delete_conversations') {
+      handleDeleteConversations(command);
+    } else if (command.action === 'rename_conversation') {
+      renameConversation(command.conversationId, command.name);
+      renderTree();
+      updateConversationIndicator();
+    } else if (['add_model', 'remove_model', 'load_preset'].includes(command.action)) {
+      handleAgentModelAction(command);
     }
   } catch (error) {
     getAgentHistory().pop(); // Remove loading
@@ -957,6 +1550,176 @@ async function handleAgentSend() {
   }
 }
 
+// Progress messages of running plans, with the controller that stops them
+const runningPlans = new Map();
+
+const PLAN_STATUS_ICONS = {
+  pending: '⏳',
+  running: '▶️',
+  done: '✅',
+  failed: '❌',
+  skipped: '⏭️',
+  cancelled: '🛑'
+};
+
+// A conversation ID, or a reference to an earlier step's output, as shown in the plan
+function describePlanTarget(value) {
+  if (!isStepReference(value)) {
+    return `conversation ${value}`;
+  }
+  const [reference] = findStepReferences(value);
+  return `the ${reference.output} of step ${reference.step}`;
+}
+
+// One line per step: what it does and how far it got
+function formatPlanProgress(run) {
+  const lines = run.map(({ number, step, status, error }) => {
+    let text;
+    if (step.action === 'create_conversations') {
+      text = `Create ${step.conversationCount} conversation${step.conversationCount === 1 ? '' : 's'}: "${step.initialPrompt}"`;
+    } else if (step.action === 'continue_conversations') {
+      text = `Branch ${describePlanTarget(step.sourceConversationId)} ${step.branchCount} time${step.branchCount === 1 ? '' : 's'}`;
+    } else {
+      text = 'Run the council';
+    }
+    return `${number}. ${PLAN_STATUS_ICONS[status]} ${text}${error ? ` (${error})` : ''}`;
+  });
+  return `**Plan** (${run.filter(entry => entry.status === 'done').length}/${run.length} steps done)\n\n${lines.join('\n')}`;
+}
+
+// Run an agent plan step by step, updating one progress message (council steps add their results below it)
+async function handleRunPlan(command) {
+  const progressMsg = addAgentMessage('assistant', formatPlanProgress(createPlanRun(command)));
+  const controller = createRequestController('agent-plan');
+  runningPlans.set(progressMsg, controller);
+  renderAgentMessages();
+
+  const shownResults = new Set();
+  try {
+    const run = await runPlan(command, {
+      signal: controller.signal,
+      onUpdate: (run) => {
+        progressMsg.content = formatPlanProgress(run);
+        run.filter(entry => entry.result && !shownResults.has(entry)).forEach(entry => {
+          shownResults.add(entry);
+          addAgentMessage('assistant', '').councilResult = entry.result;
+        });
+        renderAgentMessages();
+      },
+      onConversationsChange: () => {
+        renderCurrentConversation();
+        renderTree();
+        updateConversationIndicator();
+        renderAgentSuggestions();
+      }
+    });
+    if (run.some(entry => entry.status === 'cancelled')) {
+      addAgentMessage('assistant', '🛑 Plan stopped');
+    }
+  } catch (error) {
+    console.error('Error running plan:', error);
+    addAgentMessage('assistant', `Error running plan: ${error.message}`);
+  } finally {
+    runningPlans.delete(progressMsg);
+    releaseRequestController('agent-plan', controller);
+    renderAgentMessages();
+    renderAgentSuggestions();
+  }
+}
+
+// Council on the conversations the agent picked (the root conversations when it named none)
+async function handleAgentCouncil(command) {
+  const ids = command.conversations || getRootConversations().map(c => c.id);
+  const statusMsg = addAgentMessage('assistant', `🏛️ Consulting the Council on ${ids.length} conversations...`);
+  renderAgentMessages();
+
+  const controller = createRequestController('council');
+  try {
+    const { result } = await runConversationCouncil(ids, command.question, { signal: controller.signal });
+    statusMsg.councilResult = result;
+  } catch (error) {
+    if (isAbortError(error)) {
+      statusMsg.content = '🛑 Council stopped';
+    } else {
+      console.error('Council error:', error);
+      statusMsg.content = `❌ Council Error: ${error.message}`;
+    }
+  } finally {
+    releaseRequestController('council', controller);
+    renderAgentMessages();
+    renderAgentSuggestions();
+  }
+}
+
+// What to ask before an agent action that deletes or replaces something: { question, cancelled }, or null
+function getAgentConfirmation(command) {
+  if (command.action === 'delete_conversations') {
+    const all = getAllConversations();
+    const branchCount = all.filter(c => !command.conversationIds.includes(c.id) &&
+      command.conversationIds.some(id => isDescendantOf(c, id, all))).length;
+    const names = command.conversationIds.map(id => `#${id} ${getConversationName(all.find(c => c.id === id))}`);
+    const branches = branchCount > 0 ? ` and ${branchCount} branch${branchCount === 1 ? '' : 'es'} of them` : '';
+    return { question: `Delete ${names.join(', ')}${branches}? This can't be undone.`, cancelled: 'Nothing was deleted.' };
+  }
+  if (command.action === 'remove_model') {
+    const model = getActiveModels().find(m => m.id === command.modelId);
+    return {
+      question: `Remove ${model ? model.name : command.modelId} from the active models?`,
+      cancelled: 'The active models were not changed.'
+    };
+  }
+  if (command.action === 'load_preset') {
+    const count = getActiveModels().length;
+    return {
+      question: `Load the "${command.preset}" preset? It replaces your ${count} active model${count === 1 ? '' : 's'}.`,
+      cancelled: 'The active models were not changed.'
+    };
+  }
+  return null;
+}
+
+// Delete conversations the agent picked (the user has confirmed, see getAgentConfirmation)
+function handleDeleteConversations(command) {
+  const removed = deleteConversations(command.conversationIds);
+  setExpandState(getExpandedConversations());
+  addAgentMessage('assistant', `🗑️ Deleted ${removed.length} conversation${removed.length === 1 ? '' : 's'}`);
+  renderCurrentConversation();
+  renderTree();
+  updateConversationIndicator();
+  renderAgentMessages();
+  renderAgentSuggestions();
+}
+
+// Whether a conversation is a branch (at any depth) of another
+function isDescendantOf(conversation, ancestorId, conversations) {
+  let parentId = conversation.parentId;
+  while (parentId) {
+    if (parentId === ancestorId) return true;
+    parentId = conversations.find(c => c.id === parentId)?.parentId;
+  }
+  return false;
+}
+
+// Add or remove an active model, or load a preset (removing and loading a preset are confirmed before this runs)
+function handleAgentModelAction(command) {
+  let result;
+  if (command.action === 'add_model') {
+    result = addActiveModel(command.modelId, command.modelName);
+  } else if (command.action === 'remove_model') {
+    result = removeActiveModel(command.modelId);
+  } else {
+    result = loadPreset(command.preset);
+  }
+
+  if (!result.success) {
+    addAgentMessage('assistant', `Error: ${result.message}`);
+    renderAgentMessages();
+    return;
+  }
+  renderModalActiveModels();
+  updatePresetDropdown();
+}
+
 async function handleCreateConversations(command) {
   try {
     // Show conversations immediately as they're created
@@ -1037,11 +1800,24 @@ function renderCurrentConversation() {
 
   if (!conversation) {
     chatMessages.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--text-tertiary);">No active conversation. Ask the agent to create some!</div>';
+    responseProfileSelect.disabled = true;
+    renderConversationTools(null);
+    renderUsageTotals(null);
     updateBranchIndicator([], null);
     return;
   }
 
+  responseProfileSelect.disabled = false;
+  responseProfileSelect.value = getConversationResponseProfile(conversation);
+  renderConversationTools(conversation);
+  renderUsageTotals(conversation);
+
   conversation.history.forEach((msg, index) => {
+    if (msg.role === 'tool' || msg.tool_calls) {
+      chatMessages.appendChild(renderToolMessage(msg, index));
+      return;
+    }
+
     const msgDiv = document.createElement('div');
     msgDiv.className = `message ${msg.role}`;
     msgDiv.dataset.messageId = `msg-${index}`;
@@ -1068,6 +1844,53 @@ function renderCurrentConversation() {
 
     bubble.appendChild(header);
     bubble.appendChild(content);
+    if (msg.attachments) {
+      bubble.appendChild(renderAttachmentList(msg.attachments));
+    }
+    if (msg.reasoning) {
+      bubble.appendChild(renderThinking(msg.reasoning));
+    }
+
+    // Answers stopped by the user keep their partial content
+    if (msg.interrupted) {
+      const meta = document.createElement('div');
+      meta.className = 'message-meta interrupted';
+      meta.textContent = 'Interrupted';
+      bubble.appendChild(meta);
+    }
+
+    // Answers cut off by the token limit and continued
+    if (msg.segments > 1) {
+      const meta = document.createElement('div');
+      meta.className = 'message-meta';
+      meta.textContent = `Assembled from ${msg.segments} continuation segments`;
+      bubble.appendChild(meta);
+    }
+
+    // Answers produced by a fallback model after the conversation's model failed
+    if (msg.answeredBy) {
+      const meta = document.createElement('div');
+      meta.className = 'message-meta';
+      meta.textContent = `Answered by fallback model ${msg.answeredBy}`;
+      bubble.appendChild(meta);
+    }
+
+    // What the proxy's content filter did to the request or the answer
+    if (msg.contentFilter) {
+      const meta = document.createElement('div');
+      meta.className = 'message-meta content-filter';
+      meta.textContent = formatContentFilter(msg.contentFilter);
+      bubble.appendChild(meta);
+    }
+
+    // Tokens and cost of every request behind the answer
+    if (msg.usage) {
+      const meta = document.createElement('div');
+      meta.className = 'message-meta usage';
+      meta.textContent = formatMessageUsage(msg.usage);
+      bubble.appendChild(meta);
+    }
+
     msgDiv.appendChild(bubble);
     chatMessages.appendChild(msgDiv);
   });
@@ -1082,7 +1905,9 @@ function renderCurrentConversation() {
     bubble.innerHTML = `
       <div class="message-header">${conversation.modelName}</div>
       <div class="message-content">Thinking...</div>
+      <button class="btn-stop" title="Stop this response"><i class="fas fa-stop"></i> Stop</button>
     `;
+    bubble.querySelector('.btn-stop').addEventListener('click', () => abortRequests(conversation.id));
     loadingDiv.appendChild(bubble);
     chatMessages.appendChild(loadingDiv);
   }
@@ -1095,7 +1920,8 @@ function renderCurrentConversation() {
 
 async function handleSendMessage() {
   const message = chatInput.value.trim();
-  if (!message) return;
+  const attachments = [...pendingAttachments];
+  if (!message && attachments.length === 0) return;
 
   const conversation = getCurrentConversation();
   if (!conversation) {
@@ -1105,6 +1931,8 @@ async function handleSendMessage() {
 
   chatInput.value = '';
   sendBtn.disabled = true;
+  pendingAttachments = [];
+  renderPendingAttachments();
 
   // Show user message immediately in current conversation
   const msgDiv = document.createElement('div');
@@ -1113,6 +1941,9 @@ async function handleSendMessage() {
     <div class="message-header">You</div>
     <div class="message-content">${message}</div>
   `;
+  if (attachments.length > 0) {
+    msgDiv.appendChild(renderAttachmentList(attachments));
+  }
   chatMessages.appendChild(msgDiv);
 
   // Add streaming message container
@@ -1121,22 +1952,35 @@ async function handleSendMessage() {
   streamingDiv.innerHTML = `
     <div class="message-header">${conversation.modelName}</div>
     <div class="message-content"></div>
+    <button class="btn-stop" title="Stop this response"><i class="fas fa-stop"></i> Stop</button>
   `;
   chatMessages.appendChild(streamingDiv);
   const contentDiv = streamingDiv.querySelector('.message-content');
+  const stopBtn = streamingDiv.querySelector('.btn-stop');
+  let thinkingDetails = null;
   chatMessages.scrollTop = chatMessages.scrollHeight;
 
   try {
     // Create a branch from the current conversation with streaming
     const newBranches = await branchConversation(conversation.id, 1, [message], {
       source: 'user',
+      attachments,
       onBranchCreated: (branches) => {
-        // Branch created, now waiting for response
+        // Branch created, now waiting for response - the stop button targets it
+        stopBtn.addEventListener('click', () => abortRequests(branches[0].id));
       },
       onStreamChunk: (chunk, fullContent, branch) => {
         // Update streaming content
         contentDiv.textContent = fullContent;
         chatMessages.scrollTop = chatMessages.scrollHeight;
+      },
+      onReasoningChunk: (fullReasoning) => {
+        // Reasoning models think before answering - show it live, collapsed under the answer
+        if (!thinkingDetails) {
+          thinkingDetails = renderThinking('');
+          streamingDiv.insertBefore(thinkingDetails, stopBtn);
+        }
+        thinkingDetails.querySelector('.thinking-content').textContent = fullReasoning;
       }
     });
     
@@ -1170,6 +2014,92 @@ async function handleSendMessage() {
   }
 }
 
+// Attachments waiting to be sent with the next message
+let pendingAttachments = [];
+
+// Read the files picked for the next message (images are downscaled, text files read as text)
+async function handleAttachFiles() {
+  const files = [...attachmentInput.files];
+  attachmentInput.value = '';
+
+  for (const file of files) {
+    if (pendingAttachments.length >= MAX_ATTACHMENTS) {
+      alert(`You can attach up to ${MAX_ATTACHMENTS} files per message`);
+      break;
+    }
+    try {
+      pendingAttachments.push(await readAttachment(file));
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+  renderPendingAttachments();
+}
+
+// Show the attachments waiting to be sent, each with a remove button
+function renderPendingAttachments() {
+  pendingAttachmentsDiv.innerHTML = '';
+  pendingAttachmentsDiv.style.display = pendingAttachments.length > 0 ? 'flex' : 'none';
+  if (pendingAttachments.length > 0) {
+    pendingAttachmentsDiv.appendChild(renderAttachmentList(pendingAttachments, (index) => {
+      pendingAttachments.splice(index, 1);
+      renderPendingAttachments();
+    }));
+  }
+  sendBtn.disabled = !chatInput.value.trim() && pendingAttachments.length === 0;
+}
+
+// Collapsible "thinking" section with a reasoning model's reasoning (collapsed by default)
+function renderThinking(reasoning) {
+  const details = document.createElement('details');
+  details.className = 'message-thinking';
+  details.innerHTML = '<summary><i class="fas fa-brain"></i> Thinking</summary>';
+
+  const content = document.createElement('div');
+  content.className = 'thinking-content';
+  content.textContent = reasoning;
+  details.appendChild(content);
+  return details;
+}
+
+// Image thumbnails and text file chips; onRemove(index) adds a remove button to each
+function renderAttachmentList(attachments, onRemove = null) {
+  const list = document.createElement('div');
+  list.className = 'message-attachments';
+
+  attachments.forEach((attachment, index) => {
+    const item = document.createElement('div');
+    item.className = `attachment ${attachment.type}`;
+    item.title = attachment.name;
+
+    if (attachment.type === 'image') {
+      const image = document.createElement('img');
+      image.src = attachment.dataUrl;
+      image.alt = attachment.name;
+      image.addEventListener('click', () => window.open(attachment.dataUrl, '_blank'));
+      item.appendChild(image);
+    } else {
+      item.innerHTML = '<i class="fas fa-file-alt"></i>';
+      const name = document.createElement('span');
+      name.textContent = attachment.name;
+      item.appendChild(name);
+    }
+
+    if (onRemove) {
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'attachment-remove';
+      removeBtn.title = 'Remove attachment';
+      removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+      removeBtn.addEventListener('click', () => onRemove(index));
+      item.appendChild(removeBtn);
+    }
+
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
 function handlePrevConversation() {
   switchToPreviousConversation();
   renderCurrentConversation();
@@ -1231,7 +2161,7 @@ function renderTree() {
   
   // Add current conversation model name
   if (currentConv) {
-    indicatorText += ` • ${currentConv.modelName}`;
+    indicatorText += ` • ${getConversationName(currentConv)}`;
   }
   
   treeIndicator.textContent = indicatorText;
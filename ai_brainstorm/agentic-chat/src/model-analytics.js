@@ -1,5 +1,6 @@
 // Model Performance Analytics
 // Tracks response times, token usage, costs, quality scores, and historical performance
+// Answers served from a response cache are recorded (marked `cached`) but only counted, so they don't skew the stats
 
 const STORAGE_KEY = 'model_analytics';
 
@@ -44,17 +45,20 @@ export function recordInteraction(interaction) {
     timestamp: Date.now(),
     modelId: interaction.modelId,
     modelName: interaction.modelName,
+    requestedModelId: interaction.requestedModelId || null, // Set when a fallback model answered
     taskType: interaction.taskType || 'general',
     responseTime: interaction.responseTime || 0,
     promptTokens: interaction.promptTokens || 0,
     completionTokens: interaction.completionTokens || 0,
     totalTokens: interaction.totalTokens || 0,
+    reasoningTokens: interaction.reasoningTokens || 0, // Thinking tokens, counted separately from the answer
     cost: interaction.cost || 0,
     qualityScore: interaction.qualityScore || null,
     userRating: interaction.userRating || null,
     error: interaction.error || null,
     finishReason: interaction.finishReason || null,
-    responseLength: interaction.responseLength || 0
+    responseLength: interaction.responseLength || 0,
+    cached: Boolean(interaction.cached)
   };
   
   analytics.interactions.push(record);
@@ -84,21 +88,29 @@ function updateModelStats(analytics, record) {
       totalInteractions: 0,
       totalResponseTime: 0,
       totalTokens: 0,
+      totalReasoningTokens: 0,
       totalCost: 0,
       totalQualityScore: 0,
       qualityScoreCount: 0,
       totalUserRating: 0,
       userRatingCount: 0,
       errorCount: 0,
+      cachedInteractions: 0,
       taskTypes: {},
       lastUsed: record.timestamp
     };
   }
   
   const stats = analytics.modelStats[modelId];
+  if (record.cached) {
+    stats.cachedInteractions = (stats.cachedInteractions || 0) + 1;
+    stats.lastUsed = record.timestamp;
+    return;
+  }
   stats.totalInteractions++;
   stats.totalResponseTime += record.responseTime;
   stats.totalTokens += record.totalTokens;
+  stats.totalReasoningTokens = (stats.totalReasoningTokens || 0) + record.reasoningTokens; // Stats saved before reasoning was tracked
   stats.totalCost += record.cost;
   stats.lastUsed = record.timestamp;
   
@@ -137,6 +149,7 @@ function updateModelStats(analytics, record) {
 
 // Update task type statistics
 function updateTaskTypeStats(analytics, record) {
+  if (record.cached) return;
   const taskType = record.taskType;
   if (!analytics.taskTypeStats[taskType]) {
     analytics.taskTypeStats[taskType] = {
@@ -256,11 +269,11 @@ export function getRecentInteractions(limit = 50) {
     .reverse();
 }
 
-// Get interactions for a model
+// Get interactions for a model (real calls only; cached answers repeat earlier ones)
 export function getModelInteractions(modelId, limit = 50) {
   const analytics = getAnalytics();
   return analytics.interactions
-    .filter(i => i.modelId === modelId)
+    .filter(i => i.modelId === modelId && !i.cached)
     .slice(-limit)
     .reverse();
 }
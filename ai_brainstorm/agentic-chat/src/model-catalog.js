@@ -0,0 +1,89 @@
+// Model Catalog
+// Model IDs with context length, pricing and modalities, from /api/models in proxy mode
+// or OpenRouter's public /models list otherwise; used to autocomplete model IDs and flag saved IDs that no longer exist
+// (also imported by the proxy, so it stays free of browser-only code)
+
+let cachedCatalog = null;
+
+// OpenRouter prices are USD per token strings; the app uses USD per million tokens (see pricing.js)
+function toPricePerMillion(value) {
+  const price = Number(value);
+  return value === undefined || value === null || !Number.isFinite(price) ? null : Math.round(price * 1e6 * 1e4) / 1e4;
+}
+
+/**
+ * Convert a model from OpenRouter's /models response to a catalog entry
+ * @param {Object} model - OpenRouter model
+ * @returns {Object} { id, name, contextLength, maxCompletionTokens, pricing: { prompt, completion }, modalities: { input, output },
+ *   vision, tools, reasoning }
+ */
+export function normalizeCatalogModel(model) {
+  const input = model.architecture?.input_modalities || ['text'];
+  const output = model.architecture?.output_modalities || ['text'];
+  const parameters = model.supported_parameters || [];
+  return {
+    id: model.id,
+    name: model.name || model.id,
+    contextLength: model.context_length ?? model.top_provider?.context_length ?? null,
+    maxCompletionTokens: model.top_provider?.max_completion_tokens ?? null,
+    pricing: {
+      prompt: toPricePerMillion(model.pricing?.prompt),
+      completion: toPricePerMillion(model.pricing?.completion)
+    },
+    modalities: { input, output },
+    vision: input.includes('image'),
+    tools: parameters.includes('tools'),
+    reasoning: parameters.includes('reasoning')
+  };
+}
+
+/**
+ * Build catalog entries from a /models response
+ * @param {Object|Array} data - { data: [...] } or a bare array of OpenRouter models
+ * @returns {Array} Catalog entries sorted by ID
+ */
+export function normalizeCatalog(data) {
+  const models = Array.isArray(data) ? data : data?.data;
+  if (!Array.isArray(models)) {
+    throw new Error('Model catalog must be a /models response ({ data: [...] }) or an array of models');
+  }
+  return models
+    .filter(model => typeof model?.id === 'string')
+    .map(normalizeCatalogModel)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Load the catalog once per page (later calls reuse it)
+ * @param {string} url - /api/models, or a provider's /models endpoint
+ * @returns {Promise<Array>} Catalog entries
+ */
+export async function loadModelCatalog(url) {
+  if (cachedCatalog) {
+    return cachedCatalog;
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Model catalog unavailable (${response.status})`);
+  }
+  const data = await response.json();
+  // /api/models returns entries already normalized as { models }
+  cachedCatalog = data.models || normalizeCatalog(data);
+  return cachedCatalog;
+}
+
+// The catalog if it has been loaded already (null otherwise)
+export function getLoadedModelCatalog() {
+  return cachedCatalog;
+}
+
+// Catalog entry for a model ID (OpenRouter variants such as ':free' match their base model)
+export function findCatalogModel(catalog, modelId) {
+  const baseId = modelId.split(':')[0];
+  return catalog.find(model => model.id === modelId) || catalog.find(model => model.id === baseId) || null;
+}
+
+// Model IDs missing from the catalog (each reported once)
+export function findMissingModels(catalog, modelIds) {
+  return [...new Set(modelIds)].filter(modelId => modelId && !findCatalogModel(catalog, modelId));
+}
@@ -325,7 +325,7 @@ Provide your vote, confidence, and reasoning.`;
         const response = await sendChatCompletion(model.modelId, [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: userPrompt }
-        ], apiKey);
+        ], apiKey, { priority: 'background' });
 
         const content = extractMessageContent(response);
         const parsed = this.parseVote(content, options);
@@ -1,39 +1,33 @@
 // OpenRouter API Client
-// Handles all communication with OpenRouter's unified API
-// Supports both client-side and proxy modes
+// Handles all chat completion traffic through the provider layer (see providers.js)
+// Supports OpenRouter (client-side and proxy modes), local OpenAI-compatible servers and the fake provider
+// Identical deterministic requests can be answered from the opt-in response cache (see response-cache.js)
 
-import { config } from './config.js';
 import { recordInteraction, calculateQualityScore } from './model-analytics.js';
+import { getProvider, providerRequiresApiKey, getProviderEndpoint, getProviderHeaders, providerFetch, usesProxy } from './providers.js';
+import { getModelProvider, getActiveModels } from './active-models.js';
+import { isAbortError, createAbortError } from './request-control.js';
+import { createApiError, parseRetryAfter, withRetries, withFallbacks } from './retry-policy.js';
+import { scheduleRequest } from './request-scheduler.js';
+import { getResponseProfile, applyResponseProfile, getTruncationMode } from './response-profiles.js';
+import { getToolDefinitions, runToolCalls, MAX_TOOL_ROUNDS } from './tools.js';
+import { appendToContent } from './attachments.js';
+import { createUsage, createCachedUsage, addUsage, normalizeUsage, calculateCost } from './pricing.js';
+import { getCacheKey, isCacheableRequest, isResponseCacheEnabled, getCachedResponse, putCachedResponse } from './response-cache.js';
 
-const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+// Client-side options that are never forwarded in the request body
+// localTools: names of registered local tools the model may call (sent as `tools`)
+// onReasoning(chunk): streamed reasoning ("thinking") text as it arrives
+// cache: true lets the response cache answer any request, false keeps it out (default: temperature 0 only)
+const CLIENT_OPTION_KEYS = ['taskType', 'provider', 'signal', 'responseProfile', 'truncation', 'priority', 'localTools', 'onReasoning', 'cache'];
 
-// System message to ensure concise but complete responses
-const CONCISE_COMPLETE_SYSTEM_MESSAGE = `You must provide concise but complete responses. Be brief and direct while ensuring your answer fully addresses the question. Avoid unnecessary elaboration. Aim for 2-3 sentences that are complete and self-contained.`;
+// Instruction sent after a partial answer to get the rest of it
+const CONTINUE_PROMPT = 'Your previous answer was cut off. Continue exactly where it stopped. Do not repeat anything you already wrote and do not add an introduction.';
 
-// Helper to inject concise-complete instruction into messages
-function ensureConciseCompleteMessages(messages) {
-  // Check if there's already a system message
-  const hasSystemMessage = messages.some(msg => msg.role === 'system');
-  
-  if (hasSystemMessage) {
-    // If system message exists, prepend our instruction to it
-    return messages.map(msg => {
-      if (msg.role === 'system') {
-        return {
-          ...msg,
-          content: `${CONCISE_COMPLETE_SYSTEM_MESSAGE}\n\n${msg.content}`
-        };
-      }
-      return msg;
-    });
-  } else {
-    // Add system message at the beginning
-    return [
-      { role: 'system', content: CONCISE_COMPLETE_SYSTEM_MESSAGE },
-      ...messages
-    ];
-  }
-}
+// Repeated text shorter than this is not treated as overlap (could be a coincidence)
+const MIN_OVERLAP_LENGTH = 12;
+// Longest overlap searched for between a segment and the text before it
+const MAX_OVERLAP_LENGTH = 120;
 
 // Check if response was truncated
 function isTruncated(response) {
@@ -45,8 +39,8 @@ function isTruncated(response) {
   }
 }
 
-// Create a retry prompt for truncated responses
-function createRetryPrompt(originalMessages) {
+// Create a retry prompt for truncated responses using the profile's retry instruction
+function createRetryPrompt(originalMessages, profile) {
   // Find the last user message (might not be the last message in array)
   let lastUserIndex = -1;
   for (let i = originalMessages.length - 1; i >= 0; i--) {
@@ -61,25 +55,230 @@ function createRetryPrompt(originalMessages) {
     return originalMessages;
   }
   
-  // Create a new message array with enhanced concise instruction
+  // Create a new message array with enhanced length instruction
   const retryMessages = [...originalMessages];
   const lastUserMessage = retryMessages[lastUserIndex];
   
-  // Enhance the last user message with explicit concise instruction
+  // Enhance the last user message with the profile's explicit length instruction
+  // (content may be a string or content parts with attachments)
   retryMessages[lastUserIndex] = {
     role: 'user',
-    content: `${lastUserMessage.content}\n\nIMPORTANT: Provide a concise but complete answer in 2-3 sentences. Be brief but ensure your response fully addresses the question.`
+    content: appendToContent(lastUserMessage.content, profile.retryInstruction)
   };
   
   return retryMessages;
 }
 
-// Track analytics for API response
-async function trackAnalytics(data, modelId, startTime, taskType = 'general') {
+// Create a continuation prompt: the partial answer goes back as the assistant turn
+function createContinuationPrompt(baseMessages, partialContent) {
+  return [
+    ...baseMessages,
+    { role: 'assistant', content: partialContent },
+    { role: 'user', content: CONTINUE_PROMPT }
+  ];
+}
+
+// Drop text a continuation segment repeated from the end of the previous one
+function trimOverlap(previous, next) {
+  const maxOverlap = Math.min(previous.length, next.length, MAX_OVERLAP_LENGTH);
+  for (let size = maxOverlap; size >= MIN_OVERLAP_LENGTH; size--) {
+    if (previous.endsWith(next.slice(0, size))) {
+      return next.slice(size);
+    }
+  }
+  return next;
+}
+
+// Replace the content (and reasoning) of a completion with the stitched answer
+function withStitchedContent(data, content, segments, reasoning = '') {
+  const choice = data.choices?.[0] || {};
+  const message = { ...choice.message, role: 'assistant', content };
+  if (reasoning) {
+    message.reasoning = reasoning;
+  }
+  return {
+    ...data,
+    choices: [{ ...choice, message }],
+    segments
+  };
+}
+
+// Rough token count for text (about 4 characters per token)
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Usage of one request: the provider's exact `usage` when it sent one, otherwise an estimate
+// from the text (flagged `estimated`). Reasoning tokens fall back to an estimate from the reasoning text
+// Answers from a response cache (ours or the proxy's) used no tokens
+function getRequestUsage(data, modelId, providerId, messages) {
+  if (data.cached) {
+    return createCachedUsage();
+  }
+  const reasoningEstimate = estimateTokens(extractReasoning(data));
+  if (data.usage) {
+    const usage = normalizeUsage(data.usage, modelId, providerId);
+    return { ...usage, reasoningTokens: usage.reasoningTokens || reasoningEstimate };
+  }
+
+  const promptTokens = estimateTokens(JSON.stringify(messages));
+  const completionTokens = estimateTokens(extractMessageContent(data)) + reasoningEstimate;
+  const tokens = {
+    promptTokens,
+    completionTokens,
+    reasoningTokens: reasoningEstimate,
+    totalTokens: promptTokens + completionTokens
+  };
+  return { ...tokens, cost: calculateCost(modelId, tokens, providerId), estimated: true };
+}
+
+// Resolve the provider for a request (explicit option, else the active model's backend)
+function resolveProvider(modelId, options) {
+  return getProvider(options.provider || getModelProvider(modelId));
+}
+
+// Strip client-side options so only API parameters reach the request body
+function getApiOptions(options) {
+  const apiOptions = { ...options };
+  CLIENT_OPTION_KEYS.forEach(key => delete apiOptions[key]);
+  if (options.localTools?.length > 0) {
+    apiOptions.tools = getToolDefinitions(options.localTools);
+  }
+  return apiOptions;
+}
+
+// Base request body for a profile (max_tokens is left out when the profile has no cap)
+function buildRequestBody(modelId, messages, profile, apiOptions) {
+  const requestBody = { model: modelId, messages };
+  if (profile.maxTokens) {
+    requestBody.max_tokens = profile.maxTokens;
+  }
+  return { ...requestBody, ...apiOptions }; // Allow override via options
+}
+
+// Options for a fallback model: it runs on its own provider if it is an active model,
+// otherwise on the requested model's provider
+function getCandidateOptions(requestedModelId, candidateId, options) {
+  if (candidateId === requestedModelId) {
+    return options;
+  }
+  const activeModel = getActiveModels().find(model => model.id === candidateId);
+  return {
+    ...options,
+    provider: activeModel?.provider || options.provider || getModelProvider(requestedModelId)
+  };
+}
+
+// Response cache key for a request, or null when the cache is off or doesn't apply to it
+async function getResponseCacheKey(requestBody, provider, options) {
+  if (!isResponseCacheEnabled() || !isCacheableRequest(requestBody, options.cache)) {
+    return null;
+  }
+  try {
+    return await getCacheKey(requestBody, provider.id);
+  } catch (error) {
+    // crypto.subtle only exists on secure (https or localhost) pages
+    console.error('Response cache unavailable:', error);
+    return null;
+  }
+}
+
+// A completion served from the response cache
+function createCachedCompletion(modelId, cached) {
+  const message = { role: 'assistant', content: cached.content };
+  if (cached.reasoning) {
+    message.reasoning = cached.reasoning;
+  }
+  return { model: modelId, choices: [{ message, finish_reason: cached.finishReason || 'stop' }], cached: true };
+}
+
+// Save a finished answer to the response cache (cut-off answers and tool calls are left out)
+function storeCachedResponse(cacheKey, modelId, content, reasoning, finishReason) {
+  if (!cacheKey || !content || finishReason === 'length' || finishReason === 'tool_calls') {
+    return;
+  }
+  putCachedResponse(cacheKey, { model: modelId, content, reasoning, finishReason });
+}
+
+// Content filter hits the proxy reported for a request (X-Content-Filter: "rule=action, ...")
+function readContentFilterHeader(response) {
+  const header = response.headers?.get('X-Content-Filter');
+  if (!header) {
+    return [];
+  }
+  return header.split(',').map(entry => {
+    const [rule, action] = entry.trim().split('=');
+    return { rule, action };
+  }).filter(hit => hit.rule && hit.action);
+}
+
+// Add content filter hits to an answer's list, once per rule and action
+function addContentFilterHits(list, hits = []) {
+  hits.forEach(hit => {
+    if (!list.some(entry => entry.rule === hit.rule && entry.action === hit.action)) {
+      list.push(hit);
+    }
+  });
+  return list;
+}
+
+// Pass an explicit cache choice on to the proxy's response cache (other servers don't know the header)
+function getCacheHeaders(provider, options) {
+  if (options.cache === undefined || !usesProxy(provider)) {
+    return {};
+  }
+  return { 'X-Response-Cache': options.cache ? 'allow' : 'bypass' };
+}
+
+// POST a chat completion request to the provider and return the raw response
+// Aborting the signal cancels the fetch and any body read still in progress
+async function postChatCompletion(provider, apiKey, requestBody, signal, extraHeaders = {}) {
+  const response = await providerFetch(provider, getProviderEndpoint(provider, '/chat/completions'), {
+    method: 'POST',
+    headers: { ...getProviderHeaders(provider, apiKey), ...extraHeaders },
+    body: JSON.stringify(requestBody),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    // Upstream sends Retry-After as a header; the proxy also puts it in the body
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After') ?? errorData.retryAfter);
+    // The proxy's own limits send { error: { code, message, ... } } with a string code (402 budget, 429 quota);
+    // upstream errors use numeric codes
+    const details = typeof errorData.error?.code === 'string' ? errorData.error : null;
+    
+    // Handle rate limit errors
+    if (response.status === 429 && retryAfter !== null) {
+      throw createApiError(details?.message || `Rate limit exceeded. Please try again in ${retryAfter} seconds.`, {
+        status: response.status,
+        retryAfter,
+        code: details?.code || null,
+        details
+      });
+    }
+    
+    throw createApiError(errorData.error?.message || errorData.error || `API request failed: ${response.status}`, {
+      status: response.status,
+      retryAfter,
+      code: errorData.error?.code || null,
+      details
+    });
+  }
+
+  return response;
+}
+
+// POST with retries for transient failures (429, 5xx, network errors)
+function postWithRetries(provider, apiKey, requestBody, signal, extraHeaders) {
+  return withRetries(requestBody.model, () => postChatCompletion(provider, apiKey, requestBody, signal, extraHeaders), { signal });
+}
+
+// Track analytics for API response (modelId is the model that answered, usage from getRequestUsage)
+async function trackAnalytics(data, modelId, startTime, taskType = 'general', requestedModelId = modelId, usage = createUsage()) {
   try {
     const responseTime = Date.now() - startTime;
     const content = extractMessageContent(data);
-    const usage = data.usage || {};
     
     // Get model name (try to extract from modelId)
     const modelName = modelId.split('/').pop() || modelId;
@@ -87,23 +286,22 @@ async function trackAnalytics(data, modelId, startTime, taskType = 'general') {
     // Calculate quality score
     const qualityScore = calculateQualityScore(content, responseTime, data.error);
     
-    // Estimate cost (rough estimate, actual cost depends on model pricing)
-    // This is a placeholder - actual cost calculation would need model-specific pricing
-    const estimatedCost = (usage.prompt_tokens || 0) * 0.000001 + (usage.completion_tokens || 0) * 0.000002;
-    
     recordInteraction({
       modelId,
       modelName,
+      requestedModelId: requestedModelId !== modelId ? requestedModelId : null,
       taskType,
       responseTime,
-      promptTokens: usage.prompt_tokens || 0,
-      completionTokens: usage.completion_tokens || 0,
-      totalTokens: usage.total_tokens || 0,
-      cost: estimatedCost,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      totalTokens: usage.totalTokens,
+      reasoningTokens: usage.reasoningTokens,
+      cost: usage.cost || 0, // Models missing from the pricing table count as free here
       qualityScore,
       finishReason: data.choices?.[0]?.finish_reason || null,
       responseLength: content.length,
-      error: data.error || null
+      error: data.error || null,
+      cached: Boolean(data.cached)
     });
   } catch (error) {
     // Silently fail analytics tracking
@@ -111,125 +309,177 @@ async function trackAnalytics(data, modelId, startTime, taskType = 'general') {
   }
 }
 
-// Send chat completion request to OpenRouter with automatic truncation handling
+// Send chat completion request to the model's provider with automatic truncation handling
+// Transient failures are retried, then the model's fallbacks are tried in order
+// Requests wait in the shared scheduler queue (options.priority: 'interactive' | 'normal' | 'background')
+// Continued answers come back stitched into one message, with data.segments set to the piece count
+// data.answeredBy is the model that actually produced the answer
+// With options.localTools, tool calls are run locally and sent back until the model answers;
+// data.toolMessages then holds the tool-call and tool-result messages in order
+// (reasoning from the tool-calling rounds is kept in front of the answer's reasoning)
+// data.messageUsage totals the tokens and cost of every request that went into the answer (see pricing.js)
+// data.cached is set when the answer came from a response cache
+// data.contentFilter lists what the proxy's content filter did ([{ rule, action }], empty when nothing)
 export async function sendChatCompletion(modelId, messages, apiKey, options = {}) {
-  // In proxy mode, API key is not required (handled server-side)
-  if (!config.useProxy && !apiKey) {
+  const toolMessages = [];
+  const toolReasoning = [];
+  const usage = createUsage();
+  const contentFilter = [];
+
+  for (let round = 0; ; round++) {
+    const roundOptions = getToolRoundOptions(options, round);
+    const { result, modelId: answeredBy } = await withFallbacks(
+      modelId,
+      candidateId => scheduleRequest(
+        candidateId,
+        () => requestChatCompletion(candidateId, [...messages, ...toolMessages], apiKey, getCandidateOptions(modelId, candidateId, roundOptions), modelId),
+        { priority: options.priority, signal: options.signal }
+      ),
+      { signal: options.signal }
+    );
+
+    addUsage(usage, result.messageUsage);
+    addContentFilterHits(contentFilter, result.contentFilter);
+
+    const message = result.choices?.[0]?.message;
+    if (!options.localTools?.length || !message?.tool_calls?.length || round >= MAX_TOOL_ROUNDS) {
+      if (toolMessages.length === 0) {
+        return { ...result, answeredBy, messageUsage: usage, contentFilter };
+      }
+      const reasoning = joinReasoning([...toolReasoning, extractReasoning(result)]);
+      return { ...withReasoning(result, reasoning), answeredBy, toolMessages, messageUsage: usage, contentFilter };
+    }
+    toolReasoning.push(extractReasoning(result));
+    toolMessages.push(...await runToolRound(message, options.signal));
+  }
+}
+
+// Replace the reasoning of a completion
+function withReasoning(data, reasoning) {
+  if (!reasoning) {
+    return data;
+  }
+  const choice = data.choices?.[0] || {};
+  return {
+    ...data,
+    choices: [{ ...choice, message: { ...choice.message, reasoning } }]
+  };
+}
+
+// Join the reasoning of several rounds, skipping rounds without any
+function joinReasoning(parts) {
+  return parts.filter(Boolean).join('\n\n');
+}
+
+// Options for one round of a tool-calling exchange
+// The last allowed round forbids further tool calls so the model has to answer
+// (a model that calls tools anyway ends the exchange with whatever text it sent)
+function getToolRoundOptions(options, round) {
+  if (!options.localTools?.length || round < MAX_TOOL_ROUNDS) {
+    return options;
+  }
+  return { ...options, tool_choice: 'none' };
+}
+
+// Run the tool calls of one response; stopping the request also stops the exchange
+async function runToolRound(message, signal) {
+  const messages = await runToolCalls(message);
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+  return messages;
+}
+
+// Run one model's chat completion (including truncation handling)
+// Called from inside a scheduler slot, so it must not schedule itself again
+async function requestChatCompletion(modelId, messages, apiKey, options, requestedModelId) {
+  const provider = resolveProvider(modelId, options);
+
+  // Proxy mode, local servers and the fake provider don't need the user's key
+  if (providerRequiresApiKey(provider.id) && !apiKey) {
     throw new Error('API key is required');
   }
 
   // Track start time for analytics
   const startTime = Date.now();
   const taskType = options.taskType || 'general';
+  const apiOptions = getApiOptions(options);
+  const profile = getResponseProfile(options.responseProfile);
+  const truncationMode = getTruncationMode(profile, options.truncation);
 
-  // Ensure messages have concise-complete instruction
-  let processedMessages = ensureConciseCompleteMessages(messages);
-  const maxRetries = 2; // Maximum retries for truncated responses
+  // Inject the response profile's length instruction
+  const baseMessages = applyResponseProfile(messages, profile);
+  let processedMessages = baseMessages;
+  const maxRetries = truncationMode === 'keep' ? 0 : profile.truncationRetries; // Maximum retries for truncated responses
   let retryCount = 0;
+  let stitchedContent = ''; // Pieces received so far in continue mode
+  let stitchedReasoning = '';
+  let segments = 0;
+  const usage = createUsage(); // Every request for this answer (continuations and shortened retries too)
+  const contentFilter = [];
 
-  while (retryCount <= maxRetries) {
-    const requestBody = {
-      model: modelId,
-      messages: processedMessages,
-      max_tokens: 200, // Default to 200 tokens (enough for 2-3 lines) to minimize credit usage
-      ...options // Allow override via options
-    };
+  const cacheKey = await getResponseCacheKey(buildRequestBody(modelId, baseMessages, profile, apiOptions), provider, options);
+  const cached = cacheKey && await getCachedResponse(cacheKey);
+  if (cached) {
+    const data = createCachedCompletion(modelId, cached);
+    const cachedUsage = createCachedUsage();
+    trackAnalytics(data, modelId, startTime, taskType, requestedModelId, cachedUsage).catch(err =>
+      console.error('Analytics tracking error:', err)
+    );
+    return { ...data, messageUsage: addUsage(usage, cachedUsage) };
+  }
+  const cacheHeaders = getCacheHeaders(provider, options);
 
-    // Determine endpoint and headers based on mode
-    const endpoint = config.useProxy 
-      ? '/api/chat' 
-      : `${OPENROUTER_BASE_URL}/chat/completions`;
-    
-    const headers = {
-      'Content-Type': 'application/json'
-    };
-    
-    // Add authorization and referer headers only in client-side mode
-    if (!config.useProxy) {
-      headers['Authorization'] = `Bearer ${apiKey}`;
-      headers['HTTP-Referer'] = window.location.origin;
-      headers['X-Title'] = 'AI Brainstorm';
-    }
+  // Every pass returns the answer, throws, or retries (the last allowed pass never retries)
+  while (retryCount <= maxRetries) {
+    const requestBody = buildRequestBody(modelId, processedMessages, profile, apiOptions);
 
     try {
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        
-        // Handle rate limit errors in proxy mode
-        if (response.status === 429 && errorData.retryAfter) {
-          throw new Error(`Rate limit exceeded. Please try again in ${errorData.retryAfter} seconds.`);
-        }
-        
-        throw new Error(errorData.error?.message || errorData.error || `API request failed: ${response.status}`);
-      }
-
+      const response = await postWithRetries(provider, apiKey, requestBody, options.signal, cacheHeaders);
+      addContentFilterHits(contentFilter, readContentFilterHeader(response));
       const data = await response.json();
+      const requestUsage = getRequestUsage(data, modelId, provider.id, processedMessages);
+      addUsage(usage, requestUsage);
       
       // Track analytics (async, don't block)
-      trackAnalytics(data, modelId, startTime, taskType).catch(err => 
+      trackAnalytics(data, modelId, startTime, taskType, requestedModelId, requestUsage).catch(err => 
         console.error('Analytics tracking error:', err)
       );
+
+      if (truncationMode === 'continue') {
+        const segment = extractMessageContent(data);
+        stitchedContent += segments > 0 ? trimOverlap(stitchedContent, segment) : segment;
+        stitchedReasoning += extractReasoning(data);
+        segments++;
+      }
       
       // Check if response was truncated
       if (isTruncated(data) && retryCount < maxRetries) {
-        // Retry with a more explicit concise prompt
-        processedMessages = createRetryPrompt(processedMessages);
+        if (truncationMode === 'continue') {
+          // Ask for the rest of the answer
+          processedMessages = createContinuationPrompt(baseMessages, stitchedContent);
+        } else {
+          // Retry with a more explicit length prompt
+          processedMessages = createRetryPrompt(processedMessages, profile);
+        }
         retryCount++;
         continue; // Retry the request
       }
       
-      return data;
+      const answer = segments > 1 ? withStitchedContent(data, stitchedContent, segments, stitchedReasoning) : data;
+      // Answers the content filter touched aren't cached (a cached copy would lose the report)
+      if (!data.error && contentFilter.length === 0 && !answer.choices?.[0]?.message?.tool_calls?.length) {
+        storeCachedResponse(cacheKey, modelId, extractMessageContent(answer), extractReasoning(answer), answer.choices?.[0]?.finish_reason);
+      }
+      return { ...answer, messageUsage: usage, contentFilter };
     } catch (error) {
-      // If it's not a truncation retry, throw immediately
-      if (retryCount === 0 || !error.message.includes('TRUNCATED')) {
+      // Stopped by the user - let the caller decide how to record it
+      if (!isAbortError(error)) {
         console.error('OpenRouter API error:', error);
-        throw error;
       }
-      // If retry failed, throw the error
       throw error;
     }
   }
-  
-  // If we exhausted retries, make one final attempt and return whatever we get
-  const requestBody = {
-    model: modelId,
-    messages: processedMessages,
-    max_tokens: 200,
-    ...options
-  };
-  
-  const endpoint = config.useProxy 
-    ? '/api/chat' 
-    : `${OPENROUTER_BASE_URL}/chat/completions`;
-  
-  const headers = {
-    'Content-Type': 'application/json'
-  };
-  
-  if (!config.useProxy) {
-    headers['Authorization'] = `Bearer ${apiKey}`;
-    headers['HTTP-Referer'] = window.location.origin;
-    headers['X-Title'] = 'AI Brainstorm';
-  }
-  
-  const response = await fetch(endpoint, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(requestBody)
-  });
-  
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.error?.message || errorData.error || `API request failed: ${response.status}`);
-  }
-  
-  return await response.json();
 }
 
 // Extract message content from OpenRouter response
@@ -242,70 +492,182 @@ export function extractMessageContent(response) {
   }
 }
 
-// Send streaming chat completion request to OpenRouter with automatic truncation handling
+// Extract reasoning ("thinking") text from a response
+// OpenRouter sends it as message.reasoning; DeepSeek-style servers as message.reasoning_content
+export function extractReasoning(response) {
+  const message = response?.choices?.[0]?.message;
+  return message?.reasoning || message?.reasoning_content || '';
+}
+
+// Send streaming chat completion request to the model's provider with automatic truncation handling
+// Resolves to { content, reasoning, interrupted, segments, answeredBy, messageUsage, contentFilter, toolMessages?, cached? }; aborting options.signal ends the stream cleanly
+// and resolves with the partial content instead of throwing
+// onChunk(chunk, { replace }) - replace is set when a regenerated answer supersedes everything sent so far
+// Failing over to a fallback model only happens before the first chunk arrives
+// Tool calls (options.localTools) are run between streamed rounds, as in sendChatCompletion
 export async function sendStreamingChatCompletion(modelId, messages, apiKey, onChunk, options = {}) {
-  // In proxy mode, API key is not required (handled server-side)
-  if (!config.useProxy && !apiKey) {
+  let receivedChunks = false;
+  const trackedOnChunk = (chunk, info) => {
+    receivedChunks = true;
+    onChunk(chunk, info);
+  };
+  const toolMessages = [];
+  const toolReasoning = [];
+  const usage = createUsage();
+  const contentFilter = [];
+
+  for (let round = 0; ; round++) {
+    const roundOptions = getToolRoundOptions(options, round);
+    const { result, modelId: answeredBy } = await withFallbacks(
+      modelId,
+      candidateId => scheduleRequest(
+        candidateId,
+        () => streamChatCompletion(candidateId, [...messages, ...toolMessages], apiKey, trackedOnChunk, getCandidateOptions(modelId, candidateId, roundOptions), modelId),
+        { priority: options.priority || 'interactive', signal: options.signal }
+      ),
+      { signal: options.signal, canFailover: () => !receivedChunks }
+    );
+
+    addUsage(usage, result.messageUsage);
+    addContentFilterHits(contentFilter, result.contentFilter);
+
+    if (!options.localTools?.length || !result.toolCalls || result.interrupted || round >= MAX_TOOL_ROUNDS) {
+      const { toolCalls, ...answer } = result;
+      if (toolMessages.length === 0) {
+        return { ...answer, answeredBy, messageUsage: usage, contentFilter };
+      }
+      return { ...answer, reasoning: joinReasoning([...toolReasoning, answer.reasoning]), answeredBy, toolMessages, messageUsage: usage, contentFilter };
+    }
+    toolReasoning.push(result.reasoning);
+
+    // Text streamed before the tool call belongs to the tool-call message, not the final answer
+    if (result.content) {
+      onChunk('', { replace: true });
+    }
+    try {
+      toolMessages.push(...await runToolRound({ content: result.content, tool_calls: result.toolCalls }, options.signal));
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { content: '', reasoning: joinReasoning(toolReasoning), interrupted: true, segments: 0, answeredBy, toolMessages, messageUsage: usage, contentFilter };
+      }
+      throw error;
+    }
+  }
+}
+
+// Merge streamed tool call fragments (delta.tool_calls, keyed by index) into complete calls
+function mergeToolCallDeltas(toolCalls, deltas) {
+  for (const delta of deltas) {
+    const index = delta.index ?? toolCalls.length;
+    const call = toolCalls[index] || (toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.function.name += delta.function.name;
+    if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+  }
+}
+
+// Stream one model's chat completion (including truncation handling)
+async function streamChatCompletion(modelId, messages, apiKey, onChunk, options, requestedModelId) {
+  const provider = resolveProvider(modelId, options);
+
+  // Proxy mode, local servers and the fake provider don't need the user's key
+  if (providerRequiresApiKey(provider.id) && !apiKey) {
     throw new Error('API key is required');
   }
 
   // Track start time for analytics
   const startTime = Date.now();
   const taskType = options.taskType || 'general';
+  const apiOptions = getApiOptions(options);
+  const profile = getResponseProfile(options.responseProfile);
+  const truncationMode = getTruncationMode(profile, options.truncation);
 
-  // Ensure messages have concise-complete instruction
-  let processedMessages = ensureConciseCompleteMessages(messages);
-  const maxRetries = 2; // Maximum retries for truncated responses
+  // Inject the response profile's length instruction
+  const baseMessages = applyResponseProfile(messages, profile);
+  let processedMessages = baseMessages;
+  const maxRetries = truncationMode === 'keep' ? 0 : profile.truncationRetries; // Maximum retries for truncated responses
   let retryCount = 0;
 
+  // Everything handed to the caller so far (kept when the stream is stopped)
+  // Reasoning deltas are collected separately and never mixed into the answer
+  let streamedContent = '';
+  let streamedReasoning = '';
+  let segments = 0;
+  const emit = (chunk) => {
+    streamedContent += chunk;
+    onChunk(chunk, { replace: false });
+  };
+
+  // Usage of every request for this answer; each segment reports its own in the final chunk
+  const usage = createUsage();
+  // What the proxy's content filter did, from each response's header and the stream's content_filter event
+  const contentFilter = [];
+  const recordSegment = (content, reasoning, streamUsage, finishReason, cached = false) => {
+    const segmentData = {
+      choices: [{ message: { content, reasoning }, finish_reason: finishReason }],
+      usage: streamUsage || undefined, // Servers that ignore stream_options get an estimate
+      cached
+    };
+    const requestUsage = getRequestUsage(segmentData, modelId, provider.id, processedMessages);
+    addUsage(usage, requestUsage);
+    return { segmentData, requestUsage };
+  };
+
+  // A cached answer is handed over in one chunk
+  const cacheKey = await getResponseCacheKey(buildRequestBody(modelId, baseMessages, profile, apiOptions), provider, options);
+  const cached = cacheKey && await getCachedResponse(cacheKey);
+  if (cached) {
+    if (cached.reasoning) {
+      options.onReasoning?.(cached.reasoning);
+    }
+    emit(cached.content);
+    const { segmentData, requestUsage } = recordSegment(cached.content, cached.reasoning || '', null, cached.finishReason || 'stop', true);
+    trackAnalytics(segmentData, modelId, startTime, taskType, requestedModelId, requestUsage).catch(err =>
+      console.error('Analytics tracking error:', err)
+    );
+    return { content: cached.content, reasoning: cached.reasoning || '', interrupted: false, segments: 1, messageUsage: usage, cached: true };
+  }
+  const cacheHeaders = getCacheHeaders(provider, options);
+
+  // Every pass returns the answer, throws, or retries (the last allowed pass never retries)
   while (retryCount <= maxRetries) {
     const requestBody = {
-      model: modelId,
-      messages: processedMessages,
+      ...buildRequestBody(modelId, processedMessages, profile, apiOptions),
       stream: true,
-      max_tokens: 200, // Default to 200 tokens (enough for 2-3 lines) to minimize credit usage
-      ...options // Allow override via options
+      stream_options: { include_usage: true } // Exact usage arrives in the final chunk
     };
-
-    // Determine endpoint and headers based on mode
-    const endpoint = config.useProxy 
-      ? '/api/chat' 
-      : `${OPENROUTER_BASE_URL}/chat/completions`;
-    
-    const headers = {
-      'Content-Type': 'application/json'
-    };
-    
-    // Add authorization and referer headers only in client-side mode
-    if (!config.useProxy) {
-      headers['Authorization'] = `Bearer ${apiKey}`;
-      headers['HTTP-Referer'] = window.location.origin;
-      headers['X-Title'] = 'AI Brainstorm';
-    }
+    let fullContent = '';
+    let fullReasoning = '';
 
     try {
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        
-        // Handle rate limit errors in proxy mode
-        if (response.status === 429 && errorData.retryAfter) {
-          throw new Error(`Rate limit exceeded. Please try again in ${errorData.retryAfter} seconds.`);
-        }
-        
-        throw new Error(errorData.error?.message || errorData.error || `API request failed: ${response.status}`);
-      }
+      const response = await postWithRetries(provider, apiKey, requestBody, options.signal, cacheHeaders);
+      // The proxy replays answers from its own cache with this header set
+      const servedFromCache = response.headers?.get('X-Response-Cache') === 'HIT';
+      addContentFilterHits(contentFilter, readContentFilterHeader(response));
 
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
       let buffer = '';
       let wasTruncated = false;
-      let fullContent = '';
+      let streamUsage = null;
+      let streamError = null;
+      const toolCalls = [];
+
+      // The start of a continuation segment is held back until any repeated overlap can be trimmed
+      let overlapBuffer = '';
+      let trimmingOverlap = segments > 0;
+      const emitSegment = (content) => {
+        if (!trimmingOverlap) {
+          emit(content);
+          return;
+        }
+        overlapBuffer += content;
+        if (overlapBuffer.length >= MAX_OVERLAP_LENGTH) {
+          emit(trimOverlap(streamedContent, overlapBuffer));
+          overlapBuffer = '';
+          trimmingOverlap = false;
+        }
+      };
 
       while (true) {
         const { done, value } = await reader.read();
@@ -324,87 +686,119 @@ export async function sendStreamingChatCompletion(modelId, messages, apiKey, onC
             try {
               const jsonStr = trimmedLine.slice(6);
               const data = JSON.parse(jsonStr);
-              const content = data.choices[0]?.delta?.content;
+
+              // The proxy reports content filter hits on the answer after its last chunk
+              if (data.contentFilter) {
+                addContentFilterHits(contentFilter, data.contentFilter);
+                continue;
+              }
+
+              // A stream that fails part-way ends with an error chunk (the proxy's terminal `event: error`, or OpenRouter's own)
+              if (data.error) {
+                streamError = createApiError(data.error.message || 'The stream failed before the answer was finished', {
+                  code: typeof data.error.code === 'string' ? data.error.code : 'stream_error'
+                });
+                continue;
+              }
+
+              const content = data.choices?.[0]?.delta?.content;
+              const toolCallDeltas = data.choices?.[0]?.delta?.tool_calls;
+              const reasoning = data.choices?.[0]?.delta?.reasoning ?? data.choices?.[0]?.delta?.reasoning_content;
+
+              // The usage chunk comes last (its choices array is empty)
+              if (data.usage) {
+                streamUsage = data.usage;
+              }
               
               // Check for truncation in streaming response
-              const finishReason = data.choices[0]?.finish_reason;
+              const finishReason = data.choices?.[0]?.finish_reason;
               if (finishReason === 'length') {
                 wasTruncated = true;
               }
               
               if (content) {
                 fullContent += content;
-                onChunk(content);
+                emitSegment(content);
+              }
+
+              if (toolCallDeltas) {
+                mergeToolCallDeltas(toolCalls, toolCallDeltas);
+              }
+
+              if (reasoning) {
+                fullReasoning += reasoning;
+                streamedReasoning += reasoning;
+                options.onReasoning?.(reasoning);
               }
             } catch (error) {
               console.error('Error parsing streaming chunk:', error);
             }
           }
         }
+
+        if (streamError) {
+          throw streamError;
+        }
       }
-      
-      // If truncated and we haven't exhausted retries, retry with non-streaming to get complete response
-      if (wasTruncated && retryCount < maxRetries) {
-        processedMessages = createRetryPrompt(processedMessages);
+
+      // Short segment - flush whatever was held back
+      if (overlapBuffer) {
+        emit(trimOverlap(streamedContent, overlapBuffer));
+      }
+      segments++;
+
+      // Track analytics for streaming response (exact when the server sent usage)
+      const finishReason = toolCalls.length > 0 ? 'tool_calls' : wasTruncated ? 'length' : 'stop';
+      const { segmentData, requestUsage } = recordSegment(fullContent, fullReasoning, streamUsage, finishReason, servedFromCache);
+      trackAnalytics(segmentData, modelId, startTime, taskType, requestedModelId, requestUsage).catch(err => 
+        console.error('Analytics tracking error:', err)
+      );
+
+      // The model asked for tools - the caller runs them and streams the next round
+      if (toolCalls.length > 0) {
+        return { content: streamedContent, reasoning: streamedReasoning, interrupted: false, segments, toolCalls: toolCalls.filter(Boolean), messageUsage: usage, contentFilter };
+      }
+
+      // Truncated in continue mode: stream the rest of the answer onto what was already sent
+      if (wasTruncated && truncationMode === 'continue' && retryCount < maxRetries) {
+        processedMessages = createContinuationPrompt(baseMessages, streamedContent);
         retryCount++;
-        
-        // Fall back to non-streaming for retry to ensure complete response
-        const retryOptions = { ...options };
-        delete retryOptions.stream; // Remove stream option for retry
-        
-        const retryResponse = await sendChatCompletion(modelId, processedMessages, apiKey, retryOptions);
+        continue;
+      }
+      
+      // Truncated in shorten mode: regenerate with non-streaming to ensure a complete response
+      if (wasTruncated && truncationMode === 'shorten' && retryCount < maxRetries) {
+        const retryResponse = await requestChatCompletion(modelId, createRetryPrompt(messages, profile), apiKey, options, requestedModelId);
         const retryContent = extractMessageContent(retryResponse);
+        addUsage(usage, retryResponse.messageUsage);
+        addContentFilterHits(contentFilter, retryResponse.contentFilter);
         
-        // Track analytics for retry
-        const retryData = {
-          ...retryResponse,
-          usage: retryResponse.usage || { total_tokens: 0 }
-        };
-        trackAnalytics(retryData, modelId, startTime, taskType).catch(err => 
-          console.error('Analytics tracking error:', err)
-        );
-        
-        // Send the complete retry response to ensure caller gets full content
-        // The retry response is complete and concise, so we send it entirely
-        // Caller's accumulation will handle it (may result in partial + complete, but complete is better than truncated)
+        // The regenerated answer replaces the cut-off one instead of being appended to it
         if (retryContent && retryContent.trim()) {
-          // Check if retry content starts with what we already sent
-          if (retryContent.startsWith(fullContent.trim())) {
-            // Retry is continuation - send only the new part
-            const newContent = retryContent.slice(fullContent.trim().length);
-            if (newContent.trim()) {
-              onChunk(newContent);
-            }
-          } else {
-            // Retry is a different/better response - send it completely
-            // This ensures the caller gets the complete, concise response
-            onChunk(retryContent);
-          }
+          streamedContent = retryContent;
+          streamedReasoning = extractReasoning(retryResponse);
+          onChunk(retryContent, { replace: true });
         }
         
-        return; // Return after successful retry
-      }
-      
-      // Track analytics for streaming response (approximate)
-      if (fullContent) {
-        const streamingData = {
-          choices: [{ message: { content: fullContent }, finish_reason: wasTruncated ? 'length' : 'stop' }],
-          usage: { total_tokens: Math.ceil(fullContent.length / 4) } // Rough estimate
-        };
-        trackAnalytics(streamingData, modelId, startTime, taskType).catch(err => 
-          console.error('Analytics tracking error:', err)
-        );
+        return { content: streamedContent, reasoning: streamedReasoning, interrupted: false, segments: 1, messageUsage: usage, contentFilter }; // Return after successful retry
       }
       
       // If we got here, either it wasn't truncated or we've exhausted retries
-      return;
+      if (contentFilter.length === 0) {
+        storeCachedResponse(cacheKey, modelId, streamedContent, streamedReasoning, finishReason);
+      }
+      return { content: streamedContent, reasoning: streamedReasoning, interrupted: false, segments, messageUsage: usage, contentFilter };
     } catch (error) {
-      // If it's not a truncation retry, throw immediately
-      if (retryCount === 0 || !error.message.includes('TRUNCATED')) {
-        console.error('OpenRouter streaming API error:', error);
-        throw error;
+      // Stopped by the user - end the stream cleanly and keep what arrived
+      // (the stopped segment never sent its usage, so it is estimated from what arrived)
+      if (isAbortError(error)) {
+        if (fullContent || fullReasoning) {
+          recordSegment(fullContent, fullReasoning, null, 'stop');
+        }
+        return { content: streamedContent, reasoning: streamedReasoning, interrupted: true, segments, messageUsage: usage, contentFilter };
       }
-      // If retry failed, throw the error
+
+      console.error('OpenRouter streaming API error:', error);
       throw error;
     }
   }
@@ -0,0 +1,128 @@
+// Pricing & Usage
+// Local model pricing table and per-answer usage totals built from the provider's `usage` data
+// Prices are USD per million tokens (OpenRouter list prices); update them when providers change theirs
+
+export const MODEL_PRICING = {
+  'openai/gpt-5.1': { prompt: 1.25, completion: 10 },
+  'openai/gpt-5-mini': { prompt: 0.25, completion: 2 },
+  'openai/gpt-oss-120b': { prompt: 0.1, completion: 0.5 },
+  'anthropic/claude-opus-4.5': { prompt: 5, completion: 25 },
+  'anthropic/claude-sonnet-4.5': { prompt: 3, completion: 15 },
+  'anthropic/claude-haiku-4.5': { prompt: 1, completion: 5 },
+  'google/gemini-3-pro-preview': { prompt: 2, completion: 12 },
+  'google/gemini-2.5-pro': { prompt: 1.25, completion: 10 },
+  'google/gemini-2.5-flash': { prompt: 0.3, completion: 2.5 },
+  'x-ai/grok-4-fast': { prompt: 0.2, completion: 0.5 },
+  'moonshotai/kimi-k2-thinking': { prompt: 0.6, completion: 2.5 },
+  'minimax/minimax-m2': { prompt: 0.3, completion: 1.2 },
+  'qwen/qwen3-vl-235b-a22b-thinking': { prompt: 0.3, completion: 1.2 },
+  'deepseek/deepseek-v3.2-exp': { prompt: 0.27, completion: 0.4 },
+  'z-ai/glm-4.6': { prompt: 0.6, completion: 2.2 }
+};
+
+// Providers that never bill (local servers and the offline fake provider)
+const FREE_PROVIDERS = ['local', 'fake'];
+
+/**
+ * Price per million tokens for a model
+ * @param {string} modelId - Model ID
+ * @param {string} providerId - Provider the request ran on
+ * @returns {Object|null} { prompt, completion } or null when the model isn't in the table
+ */
+export function getModelPricing(modelId, providerId = null) {
+  if (FREE_PROVIDERS.includes(providerId)) {
+    return { prompt: 0, completion: 0 };
+  }
+  // OpenRouter variants such as ':free' or ':thinking' share the base model's entry
+  const [baseId, variant] = modelId.split(':');
+  if (variant === 'free') {
+    return { prompt: 0, completion: 0 };
+  }
+  return MODEL_PRICING[modelId] || MODEL_PRICING[baseId] || null;
+}
+
+/**
+ * Cost of one request from its token counts
+ * @param {string} modelId - Model that answered
+ * @param {Object} tokens - { promptTokens, completionTokens }
+ * @param {string} providerId - Provider the request ran on
+ * @returns {number|null} Cost in USD, or null when the model has no price
+ */
+export function calculateCost(modelId, { promptTokens = 0, completionTokens = 0 }, providerId = null) {
+  const pricing = getModelPricing(modelId, providerId);
+  if (!pricing) {
+    return null;
+  }
+  return (promptTokens * pricing.prompt + completionTokens * pricing.completion) / 1000000;
+}
+
+// Empty usage totals for an answer
+export function createUsage() {
+  return {
+    promptTokens: 0,
+    completionTokens: 0,
+    reasoningTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    requests: 0,
+    cachedRequests: 0, // Answered from a response cache (no tokens used, nothing billed)
+    estimated: false, // Some request reported no usage and was estimated from the text
+    unpriced: false // Some request ran on a model missing from the pricing table
+  };
+}
+
+/**
+ * Normalize a provider `usage` object (OpenAI / OpenRouter format) and price it
+ * @param {Object} usage - Raw usage from the response or the final stream chunk
+ * @param {string} modelId - Model that answered
+ * @param {string} providerId - Provider the request ran on
+ * @returns {Object} { promptTokens, completionTokens, reasoningTokens, totalTokens, cost }
+ */
+export function normalizeUsage(usage, modelId, providerId = null) {
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const tokens = {
+    promptTokens,
+    completionTokens,
+    reasoningTokens: usage.completion_tokens_details?.reasoning_tokens ?? usage.reasoning_tokens ?? 0,
+    totalTokens: usage.total_tokens || promptTokens + completionTokens
+  };
+  return { ...tokens, cost: calculateCost(modelId, tokens, providerId) };
+}
+
+// Usage of a request answered from a response cache (see response-cache.js)
+export function createCachedUsage() {
+  return { ...createUsage(), cachedRequests: 1 };
+}
+
+/**
+ * Add one request's usage to an answer's totals (mutates and returns totals)
+ * @param {Object} totals - Totals from createUsage
+ * @param {Object} usage - Normalized usage from normalizeUsage
+ * @param {Object} flags - { estimated }
+ * @returns {Object} totals
+ */
+export function addUsage(totals, usage, { estimated = false } = {}) {
+  totals.promptTokens += usage.promptTokens;
+  totals.completionTokens += usage.completionTokens;
+  totals.reasoningTokens += usage.reasoningTokens || 0;
+  totals.totalTokens += usage.totalTokens;
+  totals.cost += usage.cost || 0;
+  totals.requests += usage.requests || 1;
+  totals.cachedRequests = (totals.cachedRequests || 0) + (usage.cachedRequests || 0); // Totals saved before caching
+  totals.estimated = totals.estimated || estimated || Boolean(usage.estimated);
+  totals.unpriced = totals.unpriced || usage.cost === null || Boolean(usage.unpriced);
+  return totals;
+}
+
+// Sum several usage totals (e.g. the messages of a conversation)
+export function sumUsage(usages) {
+  return usages.filter(Boolean).reduce((totals, usage) => addUsage(totals, usage), createUsage());
+}
+
+// Format a cost for display ($0.0012, $1.23); unpriced totals are marked as a lower bound
+export function formatCost(usage) {
+  const cost = usage.cost;
+  const text = cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  return usage.unpriced ? `≥${text}` : text;
+}
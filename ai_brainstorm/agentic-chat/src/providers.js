@@ -0,0 +1,158 @@
+// Provider Registry
+// Describes the backends a conversation can run on: OpenRouter,
+// any OpenAI-compatible local server (llama.cpp, vLLM, Ollama) or a scripted fake
+
+import { config } from './config.js';
+import { hasApiKey } from './api-key-manager.js';
+import { getProxyAuthHeaders } from './proxy-auth.js';
+import { fakeFetch } from './fake-provider.js';
+
+const PROVIDER_SETTINGS_STORAGE_KEY = 'agentic_chat_provider_settings';
+
+export const DEFAULT_PROVIDER_ID = 'openrouter';
+
+// Built-in providers (baseUrl/apiKey of the local provider can be overridden in settings)
+export const PROVIDERS = {
+  openrouter: {
+    id: 'openrouter',
+    name: 'OpenRouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    requiresApiKey: true,
+    supportsProxy: true
+  },
+  local: {
+    id: 'local',
+    name: 'Local (OpenAI-compatible)',
+    baseUrl: config.localProviderUrl,
+    requiresApiKey: false,
+    supportsProxy: false
+  },
+  fake: {
+    id: 'fake',
+    name: 'Scripted Fake',
+    baseUrl: 'fake://local',
+    requiresApiKey: false,
+    supportsProxy: false
+  }
+};
+
+// Load per-provider overrides from localStorage
+function loadProviderSettings() {
+  try {
+    const stored = localStorage.getItem(PROVIDER_SETTINGS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Failed to load provider settings:', error);
+    return {};
+  }
+}
+
+// Save overrides for a provider (e.g. { baseUrl, apiKey } for the local server)
+export function saveProviderSettings(providerId, settings) {
+  try {
+    const allSettings = loadProviderSettings();
+    allSettings[providerId] = { ...allSettings[providerId], ...settings };
+    localStorage.setItem(PROVIDER_SETTINGS_STORAGE_KEY, JSON.stringify(allSettings));
+    return true;
+  } catch (error) {
+    console.error('Failed to save provider settings:', error);
+    return false;
+  }
+}
+
+// Get a provider definition merged with its saved overrides
+export function getProvider(providerId = DEFAULT_PROVIDER_ID) {
+  const base = PROVIDERS[providerId];
+  if (!base) {
+    throw new Error(`Unknown provider: ${providerId}`);
+  }
+  const overrides = loadProviderSettings()[providerId] || {};
+  return { ...base, ...overrides };
+}
+
+// Get all providers (for settings UI)
+export function getProviders() {
+  return Object.keys(PROVIDERS).map(id => getProvider(id));
+}
+
+// Whether requests to this provider go through the serverless proxy
+export function usesProxy(provider) {
+  return config.useProxy && provider.supportsProxy;
+}
+
+// Whether the user's OpenRouter key is needed to talk to this provider
+export function providerRequiresApiKey(providerId = DEFAULT_PROVIDER_ID) {
+  const provider = getProvider(providerId);
+  return provider.requiresApiKey && !usesProxy(provider);
+}
+
+// Check the credentials a provider needs are available
+export function hasCredentials(providerId = DEFAULT_PROVIDER_ID) {
+  return !providerRequiresApiKey(providerId) || hasApiKey();
+}
+
+// Resolve the URL for a provider path ('/chat/completions', '/models')
+export function getProviderEndpoint(provider, path) {
+  if (usesProxy(provider) && path === '/chat/completions') {
+    return '/api/chat';
+  }
+  return `${provider.baseUrl.replace(/\/$/, '')}${path}`;
+}
+
+// Build request headers for a provider
+export function getProviderHeaders(provider, apiKey) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  // The proxy holds the OpenRouter key; it only needs the user's access code (when it asks for one)
+  if (usesProxy(provider)) {
+    return { ...headers, ...getProxyAuthHeaders() };
+  }
+
+  if (provider.id === 'openrouter') {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+    headers['HTTP-Referer'] = window.location.origin;
+    headers['X-Title'] = 'AI Brainstorm';
+  } else if (provider.apiKey) {
+    // Local servers usually ignore auth, but vLLM/llama.cpp can be started with --api-key
+    headers['Authorization'] = `Bearer ${provider.apiKey}`;
+  }
+
+  return headers;
+}
+
+// fetch() that routes the fake provider to its scripted handler
+export function providerFetch(provider, url, init) {
+  if (provider.id === 'fake') {
+    return fakeFetch(url, init);
+  }
+  return fetch(url, init);
+}
+
+/**
+ * Discover the models a provider serves via its OpenAI-compatible /models endpoint
+ * @param {string} providerId - Provider ID
+ * @param {string} apiKey - OpenRouter API key (only used for OpenRouter)
+ * @returns {Promise<Array>} Array of {id, name, provider}
+ */
+export async function listProviderModels(providerId = DEFAULT_PROVIDER_ID, apiKey = null) {
+  const provider = getProvider(providerId);
+  // The model list is public on OpenRouter, so it is fetched directly even in proxy mode
+  const url = `${provider.baseUrl.replace(/\/$/, '')}/models`;
+  const headers = usesProxy(provider) ? { 'Content-Type': 'application/json' } : getProviderHeaders(provider, apiKey);
+
+  const response = await providerFetch(provider, url, { method: 'GET', headers });
+  if (!response.ok) {
+    throw new Error(`Failed to list models from ${provider.name}: ${response.status}`);
+  }
+
+  const data = await response.json();
+  // OpenAI-compatible servers return { data: [...] }; Ollama's native API returns { models: [...] }
+  const models = data.data || data.models || [];
+  return models.map(model => ({
+    id: model.id || model.name,
+    name: model.name || model.id,
+    provider: provider.id
+  }));
+}
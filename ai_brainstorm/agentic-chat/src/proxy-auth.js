@@ -0,0 +1,53 @@
+// Proxy Access
+// Access token / invite code for proxy mode, and the signed-in user's quota usage from /api/me
+
+const PROXY_TOKEN_STORAGE_KEY = 'agentic_chat_proxy_token';
+
+// Load the access code from localStorage
+export function loadProxyToken() {
+  try {
+    return localStorage.getItem(PROXY_TOKEN_STORAGE_KEY);
+  } catch (error) {
+    console.error('Failed to load access code:', error);
+    return null;
+  }
+}
+
+// Save the access code to localStorage
+export function saveProxyToken(token) {
+  try {
+    localStorage.setItem(PROXY_TOKEN_STORAGE_KEY, token);
+    return true;
+  } catch (error) {
+    console.error('Failed to save access code:', error);
+    return false;
+  }
+}
+
+// Clear the access code
+export function clearProxyToken() {
+  try {
+    localStorage.removeItem(PROXY_TOKEN_STORAGE_KEY);
+    return true;
+  } catch (error) {
+    console.error('Failed to clear access code:', error);
+    return false;
+  }
+}
+
+// Authorization header for proxy requests (empty when no access code is set)
+export function getProxyAuthHeaders() {
+  const token = loadProxyToken();
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+// Fetch the current user and quota usage from the proxy
+// Resolves to the /api/me body, or { error, authRequired } when the access code is missing or rejected
+export async function fetchProxyUsage() {
+  const response = await fetch('/api/me', { headers: getProxyAuthHeaders() });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    return { error: data.error || `Usage unavailable (${response.status})`, authRequired: response.status === 401 };
+  }
+  return data;
+}
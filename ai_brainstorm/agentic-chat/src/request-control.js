@@ -0,0 +1,102 @@
+// Request Control
+// Tracks AbortControllers for in-flight requests so they can be stopped
+// per conversation (keyed by conversation ID), per feature ('council') or all at once
+
+const controllersByKey = new Map(); // key -> Set of AbortControllers
+let changeCallback = null;
+
+// Register callback for pending-request changes (used to show/hide stop buttons)
+export function onRequestsChange(callback) {
+  changeCallback = callback;
+}
+
+function notifyChange() {
+  if (changeCallback) {
+    changeCallback(getPendingRequestCount());
+  }
+}
+
+/**
+ * Create an AbortController tracked under a key
+ * @param {string} key - Conversation ID or feature name
+ * @returns {AbortController}
+ */
+export function createRequestController(key) {
+  const controller = new AbortController();
+  if (!controllersByKey.has(key)) {
+    controllersByKey.set(key, new Set());
+  }
+  controllersByKey.get(key).add(controller);
+  notifyChange();
+  return controller;
+}
+
+/**
+ * Stop tracking a controller once its request has settled
+ * @param {string} key - Key the controller was created under
+ * @param {AbortController} controller - Controller to release
+ */
+export function releaseRequestController(key, controller) {
+  const controllers = controllersByKey.get(key);
+  if (!controllers) return;
+
+  controllers.delete(controller);
+  if (controllers.size === 0) {
+    controllersByKey.delete(key);
+  }
+  notifyChange();
+}
+
+/**
+ * Abort every in-flight request under a key
+ * @param {string} key - Conversation ID or feature name
+ * @returns {boolean} True if anything was aborted
+ */
+export function abortRequests(key) {
+  const controllers = controllersByKey.get(key);
+  if (!controllers || controllers.size === 0) {
+    return false;
+  }
+
+  controllers.forEach(controller => controller.abort());
+  return true;
+}
+
+/**
+ * Abort every in-flight request
+ * @returns {number} Number of requests aborted
+ */
+export function abortAllRequests() {
+  let count = 0;
+  controllersByKey.forEach(controllers => {
+    controllers.forEach(controller => {
+      controller.abort();
+      count++;
+    });
+  });
+  return count;
+}
+
+// Check whether a key has requests in flight
+export function hasPendingRequests(key) {
+  return controllersByKey.has(key);
+}
+
+// Total number of requests in flight
+export function getPendingRequestCount() {
+  let count = 0;
+  controllersByKey.forEach(controllers => {
+    count += controllers.size;
+  });
+  return count;
+}
+
+// Check whether an error came from an aborted request
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+// Create the error thrown when a request is stopped before it produced a result
+export function createAbortError(message = 'Request stopped') {
+  return new DOMException(message, 'AbortError');
+}
@@ -0,0 +1,120 @@
+// Request Scheduler
+// Shared queue for model requests with a global and a per-model concurrency cap
+// Higher-priority work (the user's own messages) starts before queued background work (council rankings)
+
+import { config } from './config.js';
+import { createAbortError } from './request-control.js';
+
+// Lower number runs first
+export const PRIORITIES = {
+  interactive: 0, // User messages and agent commands
+  normal: 1, // Initial fan-out to new conversations
+  background: 2 // Council rankings, votes and other follow-up work
+};
+
+const queue = []; // Waiting entries, kept sorted by priority then arrival
+const runningByModel = new Map(); // modelId -> running request count
+let runningCount = 0;
+let sequence = 0;
+let changeCallback = null;
+
+// Register callback for queue changes (used to show the queue depth)
+export function onQueueChange(callback) {
+  changeCallback = callback;
+}
+
+function notifyChange() {
+  if (changeCallback) {
+    changeCallback(getQueueStats());
+  }
+}
+
+// Current queue depth and running request count
+export function getQueueStats() {
+  return {
+    queued: queue.length,
+    running: runningCount
+  };
+}
+
+// Check whether a request to a model can start right now
+function hasCapacity(modelId) {
+  return runningCount < config.scheduler.maxConcurrent &&
+    (runningByModel.get(modelId) || 0) < config.scheduler.maxConcurrentPerModel;
+}
+
+// Start every queued entry that fits under the caps, in priority order
+// An entry blocked by its model's cap doesn't hold back entries for other models
+function pump() {
+  for (let i = 0; i < queue.length && runningCount < config.scheduler.maxConcurrent;) {
+    const entry = queue[i];
+    if (!hasCapacity(entry.modelId)) {
+      i++;
+      continue;
+    }
+    queue.splice(i, 1);
+    start(entry);
+  }
+  notifyChange();
+}
+
+function start(entry) {
+  runningCount++;
+  runningByModel.set(entry.modelId, (runningByModel.get(entry.modelId) || 0) + 1);
+  entry.signal?.removeEventListener('abort', entry.onAbort);
+
+  Promise.resolve()
+    .then(entry.task)
+    .then(entry.resolve, entry.reject)
+    .finally(() => {
+      runningCount--;
+      const modelCount = runningByModel.get(entry.modelId) - 1;
+      if (modelCount > 0) {
+        runningByModel.set(entry.modelId, modelCount);
+      } else {
+        runningByModel.delete(entry.modelId);
+      }
+      pump();
+    });
+}
+
+/**
+ * Run a request once there is capacity for it
+ * @param {string} modelId - Model the request goes to (per-model cap)
+ * @param {Function} task - async () => result, started when a slot frees up
+ * @param {Object} options - { priority: 'interactive' | 'normal' | 'background', signal }
+ * @returns {Promise<*>} The task's result; rejects with an AbortError if stopped while queued
+ */
+export function scheduleRequest(modelId, task, { priority = 'normal', signal } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const entry = {
+      modelId,
+      task,
+      priority: PRIORITIES[priority] ?? PRIORITIES.normal,
+      order: sequence++,
+      signal,
+      resolve,
+      reject
+    };
+
+    // Stopped while waiting: leave the queue without ever starting
+    entry.onAbort = () => {
+      const index = queue.indexOf(entry);
+      if (index !== -1) {
+        queue.splice(index, 1);
+        reject(createAbortError());
+        notifyChange();
+      }
+    };
+    signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+    // Insert after every entry of the same or higher priority
+    const index = queue.findIndex(queued => queued.priority > entry.priority);
+    queue.splice(index === -1 ? queue.length : index, 0, entry);
+    pump();
+  });
+}
@@ -0,0 +1,182 @@
+// Response Cache
+// Opt-in cache of answers to identical requests (same provider, model, messages and sampling parameters), in IndexedDB
+// Serves deterministic requests (temperature 0) and ones marked cacheable (conversation and branch answers while the
+// setting is on); entries expire after a day and the oldest are dropped past the size cap
+// The key helpers are shared with the proxy's cache
+
+const ENABLED_STORAGE_KEY = 'response_cache_enabled';
+const DB_NAME = 'ai_brainstorm_response_cache';
+const STORE_NAME = 'responses';
+
+export const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_CACHE_MAX_ENTRIES = 200;
+
+// Request fields that change the answer (anything else, e.g. stream options, doesn't), plus the provider that answers it
+const KEY_FIELDS = [
+  'provider', 'model', 'messages', 'max_tokens', 'temperature', 'top_p', 'top_k', 'min_p', 'stop', 'seed',
+  'frequency_penalty', 'presence_penalty', 'repetition_penalty', 'response_format', 'tools', 'tool_choice', 'reasoning'
+];
+
+// JSON with object keys sorted, so equal requests always give the same text
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Cache key for a chat completion request: a SHA-256 of its provider, model, messages and sampling parameters
+ * @param {Object} body - Request body
+ * @param {string} [provider] - Provider ID (the same model on another provider gets its own entry)
+ * @returns {Promise<string>} Hex digest
+ */
+export async function getCacheKey(body, provider) {
+  const request = { ...body, provider };
+  const fields = Object.fromEntries(KEY_FIELDS.filter(field => request[field] !== undefined).map(field => [field, request[field]]));
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(stableStringify(fields)));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Whether a request may be answered from the cache
+ * @param {Object} body - Request body
+ * @param {boolean} [cacheable] - Explicit choice: true caches any request, false none; unset caches temperature 0 only
+ * @returns {boolean}
+ */
+export function isCacheableRequest(body, cacheable) {
+  return cacheable ?? body.temperature === 0;
+}
+
+// Whether the user turned the browser cache on (off by default)
+export function isResponseCacheEnabled() {
+  try {
+    return localStorage.getItem(ENABLED_STORAGE_KEY) === 'true';
+  } catch (error) {
+    console.error('Failed to load response cache setting:', error);
+    return false;
+  }
+}
+
+// Turn the browser cache on or off
+export function setResponseCacheEnabled(enabled) {
+  try {
+    if (enabled) {
+      localStorage.setItem(ENABLED_STORAGE_KEY, 'true');
+    } else {
+      localStorage.removeItem(ENABLED_STORAGE_KEY);
+    }
+    return true;
+  } catch (error) {
+    console.error('Failed to save response cache setting:', error);
+    return false;
+  }
+}
+
+let databasePromise = null;
+
+// Open (and on first use create) the cache database
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Try again next time instead of remembering the failure
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+// Run work against the store in one transaction; resolves with the request's result once it commits
+async function withStore(mode, work) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = work(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Look up a cached answer (expired entries are deleted)
+ * @param {string} key - Key from getCacheKey
+ * @param {Object} options - { now, ttlMs }
+ * @returns {Promise<Object|null>} { model, content, reasoning, finishReason } or null
+ */
+export async function getCachedResponse(key, { now = Date.now(), ttlMs = DEFAULT_CACHE_TTL_MS } = {}) {
+  try {
+    const entry = await withStore('readonly', store => store.get(key));
+    if (!entry) {
+      return null;
+    }
+    if (now - entry.createdAt >= ttlMs) {
+      await withStore('readwrite', store => store.delete(key));
+      return null;
+    }
+    return entry.response;
+  } catch (error) {
+    console.error('Failed to read response cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Cache an answer, dropping the oldest entries past the size cap
+ * @param {string} key - Key from getCacheKey
+ * @param {Object} response - { model, content, reasoning, finishReason }
+ * @param {Object} options - { now, maxEntries }
+ * @returns {Promise<boolean>} Whether it was saved
+ */
+export async function putCachedResponse(key, response, { now = Date.now(), maxEntries = DEFAULT_CACHE_MAX_ENTRIES } = {}) {
+  try {
+    await withStore('readwrite', store => {
+      store.put({ key, response, createdAt: now });
+      const count = store.count();
+      count.onsuccess = () => {
+        let excess = count.result - maxEntries;
+        if (excess <= 0) return;
+        store.index('createdAt').openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor && excess-- > 0) {
+            cursor.delete();
+            cursor.continue();
+          }
+        };
+      };
+      return null;
+    });
+    return true;
+  } catch (error) {
+    console.error('Failed to save to response cache:', error);
+    return false;
+  }
+}
+
+// Delete every cached answer
+export async function clearResponseCache() {
+  try {
+    await withStore('readwrite', store => store.clear());
+    return true;
+  } catch (error) {
+    console.error('Failed to clear response cache:', error);
+    return false;
+  }
+}
@@ -0,0 +1,166 @@
+// Response Profiles
+// Controls how long model answers may be: the injected length instruction,
+// max_tokens and what happens when an answer is cut off (finish_reason 'length')
+
+import { getCurrentPreset, getPresetResponseProfile } from './active-models.js';
+
+const DEFAULT_PROFILE_STORAGE_KEY = 'agentic_chat_response_profile';
+const TRUNCATION_MODE_STORAGE_KEY = 'agentic_chat_truncation_mode';
+
+export const DEFAULT_RESPONSE_PROFILE_ID = 'terse';
+
+// What to do when an answer is cut off (finish_reason 'length')
+// shorten: regenerate the whole answer with retryInstruction
+// continue: send the partial answer back, ask the model to carry on and stitch the pieces
+// keep: accept the cut-off answer
+export const TRUNCATION_MODES = ['shorten', 'continue', 'keep'];
+
+// Built-in profiles
+// instruction: system message injected into every request (null = none)
+// maxTokens: max_tokens sent with the request (null = let the provider decide)
+// truncation: default truncation mode (see TRUNCATION_MODES)
+// truncationRetries: how many extra requests a cut-off answer may trigger
+export const RESPONSE_PROFILES = {
+  terse: {
+    id: 'terse',
+    name: 'Terse',
+    description: '2-3 sentences, lowest cost',
+    instruction: 'You must provide concise but complete responses. Be brief and direct while ensuring your answer fully addresses the question. Avoid unnecessary elaboration. Aim for 2-3 sentences that are complete and self-contained.',
+    maxTokens: 200,
+    truncation: 'shorten',
+    truncationRetries: 2,
+    retryInstruction: 'IMPORTANT: Provide a concise but complete answer in 2-3 sentences. Be brief but ensure your response fully addresses the question.'
+  },
+  normal: {
+    id: 'normal',
+    name: 'Normal',
+    description: 'A few paragraphs when the question needs them',
+    instruction: 'Provide complete, well-organized answers. Use as much detail as the question needs and no more.',
+    maxTokens: 1024,
+    truncation: 'continue',
+    truncationRetries: 2,
+    retryInstruction: 'IMPORTANT: Your previous answer was too long and got cut off. Provide a complete answer in a few short paragraphs.'
+  },
+  'long-form': {
+    id: 'long-form',
+    name: 'Long-form',
+    description: 'Code, long explanations and detailed brainstorming',
+    instruction: 'Provide thorough, well-structured answers. Full code listings, step-by-step explanations and long lists are welcome.',
+    maxTokens: 4096,
+    truncation: 'continue',
+    truncationRetries: 3,
+    retryInstruction: 'IMPORTANT: Your previous answer was too long and got cut off. Provide a complete answer that is more compact.'
+  },
+  unlimited: {
+    id: 'unlimited',
+    name: 'Unlimited',
+    description: 'No length instruction or token cap',
+    instruction: null,
+    maxTokens: null,
+    truncation: 'continue',
+    truncationRetries: 3,
+    retryInstruction: 'IMPORTANT: Your previous answer was too long and got cut off. Provide a complete answer that is more compact.'
+  }
+};
+
+// Get all profiles (for selects in the UI)
+export function getResponseProfiles() {
+  return Object.values(RESPONSE_PROFILES);
+}
+
+// Get a profile by ID (unknown IDs fall back to the default profile)
+export function getResponseProfile(profileId) {
+  return RESPONSE_PROFILES[profileId] || RESPONSE_PROFILES[getDefaultResponseProfileId()];
+}
+
+// Load the user's default profile from localStorage
+export function loadDefaultResponseProfile() {
+  try {
+    const stored = localStorage.getItem(DEFAULT_PROFILE_STORAGE_KEY);
+    return stored && RESPONSE_PROFILES[stored] ? stored : DEFAULT_RESPONSE_PROFILE_ID;
+  } catch (error) {
+    console.error('Failed to load response profile:', error);
+    return DEFAULT_RESPONSE_PROFILE_ID;
+  }
+}
+
+// Save the user's default profile to localStorage
+export function saveDefaultResponseProfile(profileId) {
+  if (!RESPONSE_PROFILES[profileId]) {
+    return false;
+  }
+  try {
+    localStorage.setItem(DEFAULT_PROFILE_STORAGE_KEY, profileId);
+    return true;
+  } catch (error) {
+    console.error('Failed to save response profile:', error);
+    return false;
+  }
+}
+
+// Load the user's truncation override ('' = use each profile's default)
+export function loadTruncationMode() {
+  try {
+    const stored = localStorage.getItem(TRUNCATION_MODE_STORAGE_KEY);
+    return TRUNCATION_MODES.includes(stored) ? stored : '';
+  } catch (error) {
+    console.error('Failed to load truncation mode:', error);
+    return '';
+  }
+}
+
+// Save the user's truncation override ('' clears it)
+export function saveTruncationMode(mode) {
+  if (mode && !TRUNCATION_MODES.includes(mode)) {
+    return false;
+  }
+  try {
+    if (mode) {
+      localStorage.setItem(TRUNCATION_MODE_STORAGE_KEY, mode);
+    } else {
+      localStorage.removeItem(TRUNCATION_MODE_STORAGE_KEY);
+    }
+    return true;
+  } catch (error) {
+    console.error('Failed to save truncation mode:', error);
+    return false;
+  }
+}
+
+// Truncation mode for a request: explicit option, else the user's override, else the profile default
+export function getTruncationMode(profile, requestedMode = '') {
+  if (TRUNCATION_MODES.includes(requestedMode)) {
+    return requestedMode;
+  }
+  return loadTruncationMode() || profile.truncation;
+}
+
+// Profile for requests that don't name one: the active preset's profile, else the user's default
+export function getDefaultResponseProfileId() {
+  return getPresetResponseProfile(getCurrentPreset()) || loadDefaultResponseProfile();
+}
+
+// Inject a profile's length instruction into messages (prepended to an existing system message)
+export function applyResponseProfile(messages, profile) {
+  if (!profile.instruction) {
+    return messages;
+  }
+
+  const hasSystemMessage = messages.some(msg => msg.role === 'system');
+  if (hasSystemMessage) {
+    return messages.map(msg => {
+      if (msg.role === 'system') {
+        return {
+          ...msg,
+          content: `${profile.instruction}\n\n${msg.content}`
+        };
+      }
+      return msg;
+    });
+  }
+
+  return [
+    { role: 'system', content: profile.instruction },
+    ...messages
+  ];
+}
@@ -0,0 +1,214 @@
+// Retry Policy
+// Retries transient API failures (429, 5xx, network errors) with Retry-After aware,
+// jittered exponential backoff, then fails over to the model's fallback list
+
+import { createAbortError } from './request-control.js';
+
+const RETRY_POLICY_STORAGE_KEY = 'agentic_chat_retry_policy';
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+// Statuses worth retrying on the same model
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+// Statuses (and proxy error codes) that won't improve on the same model but may on a fallback
+const FAILOVER_STATUSES = [404];
+const FAILOVER_CODES = ['model_not_allowed', 'stream_error'];
+// Proxy limits on the user (not the model): a fallback model would be refused too
+const USER_LIMIT_CODES = ['rate_limited', 'token_quota_exceeded', 'budget_exceeded'];
+
+/**
+ * Create the error thrown for a failed API response
+ * @param {string} message - Error message
+ * @param {Object} details - { status, retryAfter (seconds), code, details: structured proxy error body }
+ * @returns {Error}
+ */
+export function createApiError(message, { status = null, retryAfter = null, code = null, details = null } = {}) {
+  const error = new Error(message);
+  error.name = 'ApiError';
+  error.status = status;
+  error.retryAfter = retryAfter;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Parse a Retry-After value (delay in seconds or an HTTP date) into seconds
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds);
+  }
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Network failures (fetch rejects with a TypeError) have no status and are worth retrying
+function isNetworkError(error) {
+  return error?.name === 'TypeError';
+}
+
+// Check whether an error is worth retrying on the same model
+export function isRetryableError(error) {
+  return isNetworkError(error) || RETRYABLE_STATUSES.includes(error?.status);
+}
+
+// Check whether an error should move on to the next fallback model
+export function shouldFailover(error) {
+  if (USER_LIMIT_CODES.includes(error?.code)) {
+    return false;
+  }
+  return isRetryableError(error) || FAILOVER_STATUSES.includes(error?.status) || FAILOVER_CODES.includes(error?.code);
+}
+
+/**
+ * Delay before the next attempt
+ * Honours Retry-After when the server sent one, otherwise uses full-jitter exponential backoff
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number|null} retryAfter - Server-requested delay in seconds
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, retryAfter = null) {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  }
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+// Wait for a delay; rejects with an AbortError if the request is stopped meanwhile
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Load per-model rules: { [modelId]: { maxAttempts, fallbacks: [modelId] } }
+export function loadRetryRules() {
+  try {
+    const stored = localStorage.getItem(RETRY_POLICY_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Failed to load retry policy:', error);
+    return {};
+  }
+}
+
+// Save the rule for a model (maxAttempts and fallback model IDs)
+export function saveRetryRule(modelId, { maxAttempts = DEFAULT_MAX_ATTEMPTS, fallbacks = [] } = {}) {
+  try {
+    const rules = loadRetryRules();
+    rules[modelId] = {
+      maxAttempts: Math.max(1, Math.round(maxAttempts) || DEFAULT_MAX_ATTEMPTS),
+      fallbacks: fallbacks.filter(id => id && id !== modelId)
+    };
+    localStorage.setItem(RETRY_POLICY_STORAGE_KEY, JSON.stringify(rules));
+    return true;
+  } catch (error) {
+    console.error('Failed to save retry policy:', error);
+    return false;
+  }
+}
+
+// Remove the rule for a model (it goes back to the defaults)
+export function removeRetryRule(modelId) {
+  try {
+    const rules = loadRetryRules();
+    delete rules[modelId];
+    localStorage.setItem(RETRY_POLICY_STORAGE_KEY, JSON.stringify(rules));
+    return true;
+  } catch (error) {
+    console.error('Failed to save retry policy:', error);
+    return false;
+  }
+}
+
+// Max attempts for a model (including the first one)
+export function getMaxAttempts(modelId) {
+  return loadRetryRules()[modelId]?.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+}
+
+// Fallback models for a model, in the order they are tried
+export function getFallbackModels(modelId) {
+  return loadRetryRules()[modelId]?.fallbacks || [];
+}
+
+/**
+ * Run a request, retrying transient failures on the same model
+ * @param {string} modelId - Model the request goes to (selects the max attempts)
+ * @param {Function} requestFn - async (attempt) => result
+ * @param {Object} options - { signal, onRetry(info) }
+ * @returns {Promise<*>} requestFn's result
+ */
+export async function withRetries(modelId, requestFn, { signal, onRetry } = {}) {
+  const maxAttempts = getMaxAttempts(modelId);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await requestFn(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryableError(error) || signal?.aborted) {
+        throw error;
+      }
+      // Not worth waiting in the browser when the server asks for a long pause (e.g. hourly proxy limit)
+      if (error.retryAfter && error.retryAfter * 1000 > MAX_DELAY_MS) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error.retryAfter);
+      console.warn(`Request to ${modelId} failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${maxAttempts})`);
+      if (onRetry) {
+        onRetry({ modelId, attempt, maxAttempts, delay, error });
+      }
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Run a request on a model, failing over to its fallback models
+ * @param {string} modelId - Requested model
+ * @param {Function} requestFn - async (candidateModelId) => result
+ * @param {Object} options - { signal, canFailover(error) }
+ * @returns {Promise<{result, modelId}>} Result and the model that produced it
+ */
+export async function withFallbacks(modelId, requestFn, { signal, canFailover = () => true } = {}) {
+  const candidates = [modelId, ...getFallbackModels(modelId)];
+  let lastError = null;
+
+  for (const candidateId of candidates) {
+    try {
+      const result = await requestFn(candidateId);
+      return { result, modelId: candidateId };
+    } catch (error) {
+      lastError = error;
+      if (!shouldFailover(error) || !canFailover(error) || signal?.aborted) {
+        throw error;
+      }
+      if (candidateId !== candidates[candidates.length - 1]) {
+        console.warn(`Model ${candidateId} failed (${error.message}), falling back to the next model`);
+      }
+    }
+  }
+
+  throw lastError;
+}
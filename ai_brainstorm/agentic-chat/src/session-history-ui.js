@@ -113,6 +113,9 @@ export function displayConversationDetails(sessionName, messages) {
     if (msg.content.length > 500) {
       content.textContent += '...';
     }
+    if (msg.attachments) {
+      content.textContent += ` [Attached: ${msg.attachments.map(attachment => attachment.name).join(', ')}]`;
+    }
     
     messageItem.appendChild(roleLabel);
     messageItem.appendChild(content);
@@ -160,6 +163,9 @@ export function displayConversationOnRightPanel(messages) {
     if (msg.content.length > 300) {
       content.textContent += '...';
     }
+    if (msg.attachments) {
+      content.textContent += ` [Attached: ${msg.attachments.map(attachment => attachment.name).join(', ')}]`;
+    }
     
     messageItem.appendChild(roleLabel);
     messageItem.appendChild(content);
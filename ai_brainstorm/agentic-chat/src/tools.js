@@ -0,0 +1,425 @@
+// Local Tools
+// Registry of tools a conversation can declare; the model calls them through
+// OpenAI-style tool_calls and the client runs them in the browser
+
+import { getAllSessions } from './session-manager.js';
+
+const DEFAULT_TOOLS_STORAGE_KEY = 'agentic_chat_default_tools';
+
+// Maximum model <-> tool round trips for a single answer
+export const MAX_TOOL_ROUNDS = 5;
+
+// Longest tool result sent back to the model (characters)
+const MAX_RESULT_LENGTH = 4000;
+
+// How long sandboxed JavaScript may run
+const SANDBOX_TIMEOUT_MS = 3000;
+
+const tools = new Map(); // name -> { name, description, parameters, execute }
+
+/**
+ * Register a local tool
+ * @param {Object} tool - { name, description, parameters (JSON schema), execute: async (args) => result }
+ */
+export function registerTool(tool) {
+  tools.set(tool.name, tool);
+}
+
+// Get all registered tools (for settings UI)
+export function getTools() {
+  return [...tools.values()];
+}
+
+/**
+ * Build the `tools` request parameter for a set of tool names
+ * @param {Array} names - Tool names declared by the conversation
+ * @returns {Array} OpenAI-style function tool definitions
+ */
+export function getToolDefinitions(names = []) {
+  return names
+    .filter(name => tools.has(name))
+    .map(name => {
+      const tool = tools.get(name);
+      return {
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      };
+    });
+}
+
+// Load the tools new conversations declare
+export function loadDefaultTools() {
+  try {
+    const stored = localStorage.getItem(DEFAULT_TOOLS_STORAGE_KEY);
+    return stored ? JSON.parse(stored).filter(name => tools.has(name)) : [];
+  } catch (error) {
+    console.error('Failed to load default tools:', error);
+    return [];
+  }
+}
+
+// Save the tools new conversations declare
+export function saveDefaultTools(names) {
+  try {
+    localStorage.setItem(DEFAULT_TOOLS_STORAGE_KEY, JSON.stringify(names.filter(name => tools.has(name))));
+    return true;
+  } catch (error) {
+    console.error('Failed to save default tools:', error);
+    return false;
+  }
+}
+
+// Turn a tool's return value into the string sent back to the model
+function formatResult(result) {
+  const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+  return text.length > MAX_RESULT_LENGTH ? `${text.slice(0, MAX_RESULT_LENGTH)}\n...[truncated]` : text;
+}
+
+/**
+ * Run one tool call from a model response
+ * Failures are reported back to the model as the tool result instead of throwing
+ * @param {Object} toolCall - { id, function: { name, arguments (JSON string) } }
+ * @returns {Promise<Object>} Tool result message { role: 'tool', tool_call_id, name, content }
+ */
+export async function executeToolCall(toolCall) {
+  const name = toolCall.function?.name;
+  const message = { role: 'tool', tool_call_id: toolCall.id, name, content: '' };
+
+  const tool = tools.get(name);
+  if (!tool) {
+    return { ...message, content: `Error: unknown tool "${name}"` };
+  }
+
+  try {
+    const args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+    const result = await tool.execute(args);
+    return { ...message, content: formatResult(result) };
+  } catch (error) {
+    return { ...message, content: `Error: ${error.message}` };
+  }
+}
+
+// Check whether a tool result message reports a failure
+export function isToolError(message) {
+  return message.role === 'tool' && message.content.startsWith('Error:');
+}
+
+/**
+ * Run every tool call of an assistant message
+ * @param {Object} assistantMessage - Response message with tool_calls
+ * @returns {Promise<Array>} [assistant tool-call message, ...tool result messages] to append to the conversation
+ */
+export async function runToolCalls(assistantMessage) {
+  const callMessage = {
+    role: 'assistant',
+    content: assistantMessage.content || '',
+    tool_calls: assistantMessage.tool_calls
+  };
+  const results = [];
+  for (const toolCall of assistantMessage.tool_calls) {
+    results.push(await executeToolCall(toolCall));
+  }
+  return [callMessage, ...results];
+}
+
+// Calculator
+
+const CALCULATOR_FUNCTIONS = {
+  sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  log: Math.log10, ln: Math.log, exp: Math.exp,
+  round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  min: Math.min, max: Math.max, pow: Math.pow
+};
+
+const CALCULATOR_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// Split an expression into number, name, operator and parenthesis tokens
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+)|([a-z_]+)|(\*\*|[-+*/%^(),]))/giy;
+  let match;
+  while (pattern.lastIndex < expression.length) {
+    match = pattern.exec(expression);
+    if (!match) {
+      if (expression.slice(pattern.lastIndex).trim() === '') break;
+      throw new Error(`Unexpected character at position ${pattern.lastIndex + 1}`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3] });
+  }
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression without eval()
+ * Supports + - * / % ^, parentheses, unary minus, pi, e and common Math functions
+ * @param {string} expression - Expression such as "2 * (3 + sqrt(16))"
+ * @returns {number}
+ */
+export function evaluateExpression(expression) {
+  const tokens = tokenize(String(expression));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const take = (value) => {
+    const token = tokens[position];
+    if (!token || (value && token.value !== value)) {
+      throw new Error(`Expected "${value || 'a value'}"`);
+    }
+    position++;
+    return token;
+  };
+
+  // expression := term (('+' | '-') term)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() && (peek().value === '+' || peek().value === '-')) {
+      value = take().value === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  // term := power (('*' | '/' | '%') power)*
+  const parseTerm = () => {
+    let value = parsePower();
+    while (peek() && ['*', '/', '%'].includes(peek().value)) {
+      const op = take().value;
+      const right = parsePower();
+      value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+
+  // power := unary ('^' power)?  (right-associative)
+  const parsePower = () => {
+    const base = parseUnary();
+    if (peek() && peek().value === '^') {
+      take('^');
+      return Math.pow(base, parsePower());
+    }
+    return base;
+  };
+
+  // unary := ('-' | '+') unary | primary
+  const parseUnary = () => {
+    if (peek() && (peek().value === '-' || peek().value === '+')) {
+      return take().value === '-' ? -parseUnary() : parseUnary();
+    }
+    return parsePrimary();
+  };
+
+  // primary := number | constant | function '(' args ')' | '(' expression ')'
+  const parsePrimary = () => {
+    const token = take();
+    if (token.type === 'number') {
+      return token.value;
+    }
+    if (token.type === 'name') {
+      if (token.value in CALCULATOR_CONSTANTS) {
+        return CALCULATOR_CONSTANTS[token.value];
+      }
+      const fn = CALCULATOR_FUNCTIONS[token.value];
+      if (!fn) {
+        throw new Error(`Unknown function "${token.value}"`);
+      }
+      take('(');
+      const args = [parseExpression()];
+      while (peek() && peek().value === ',') {
+        take(',');
+        args.push(parseExpression());
+      }
+      take(')');
+      return fn(...args);
+    }
+    if (token.value === '(') {
+      const value = parseExpression();
+      take(')');
+      return value;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return result;
+}
+
+registerTool({
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and sqrt, sin, cos, tan, log, ln, exp, abs, round, floor, ceil, min, max, pow.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', description: 'Expression to evaluate, e.g. "2 * (3 + sqrt(16))"' }
+    },
+    required: ['expression']
+  },
+  execute: ({ expression }) => {
+    const result = evaluateExpression(expression);
+    if (!Number.isFinite(result)) {
+      throw new Error('Result is not a finite number');
+    }
+    return String(result);
+  }
+});
+
+// JavaScript sandbox
+// The code runs in a Web Worker started by a sandboxed iframe: the frame's opaque origin keeps it away from the app's
+// storage and session, and its CSP (inherited by the worker) blocks every request, dynamic import() included
+
+// Worker body: takes away network and storage APIs, runs the code with console capture and posts the outcome back
+const SANDBOX_WORKER_SOURCE = `(() => {
+  const post = self.postMessage.bind(self);
+  for (const name of ['fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts', 'indexedDB',
+    'caches', 'BroadcastChannel', 'Worker', 'SharedWorker', 'postMessage']) {
+    for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+      try { delete scope[name]; } catch {}
+    }
+    try { Object.defineProperty(self, name, { value: undefined }); } catch {}
+  }
+  self.onmessage = async (event) => {
+    const logs = [];
+    const format = (value) => typeof value === 'string' ? value : JSON.stringify(value);
+    self.console = { log: (...args) => logs.push(args.map(format).join(' ')) };
+    self.console.error = self.console.warn = self.console.info = self.console.log;
+    try {
+      const result = await (0, eval)(event.data);
+      post({ logs, result: result === undefined ? undefined : format(result) });
+    } catch (error) {
+      post({ logs, error: String(error && error.message || error) });
+    }
+  };
+})();
+`;
+
+// Sandboxed frame page: starts a worker for the code it is sent and passes the outcome up
+const SANDBOX_FRAME_SOURCE = `<!DOCTYPE html>
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'; worker-src blob:">
+<script>
+const workerUrl = URL.createObjectURL(new Blob([${JSON.stringify(SANDBOX_WORKER_SOURCE)}], { type: 'text/javascript' }));
+onmessage = (event) => {
+  const worker = new Worker(workerUrl);
+  worker.onmessage = (message) => parent.postMessage(message.data, '*');
+  worker.onerror = (error) => parent.postMessage({ logs: [], error: error.message || 'Sandbox error' }, '*');
+  worker.postMessage(event.data);
+};
+</script>`;
+
+/**
+ * Run JavaScript in a throwaway sandbox: no DOM, network, storage or access to the app's state
+ * @param {string} code - Code to run; the value of the last expression is returned
+ * @returns {Promise<Object>} { logs, result }
+ */
+export function runSandboxedJavaScript(code) {
+  if (typeof document === 'undefined' || typeof Worker === 'undefined') {
+    return Promise.reject(new Error('JavaScript sandbox is not available in this environment'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-scripts');
+    frame.style.display = 'none';
+    frame.srcdoc = SANDBOX_FRAME_SOURCE;
+
+    const finish = () => {
+      clearTimeout(timer);
+      window.removeEventListener('message', handleMessage);
+      frame.remove(); // Ends the frame's worker too
+    };
+    const timer = setTimeout(() => {
+      finish();
+      reject(new Error(`Execution timed out after ${SANDBOX_TIMEOUT_MS / 1000}s`));
+    }, SANDBOX_TIMEOUT_MS);
+
+    // The frame runs model-written code, so its messages are read defensively
+    function handleMessage(event) {
+      if (event.source !== frame.contentWindow) return;
+      finish();
+      const logs = Array.isArray(event.data?.logs) ? event.data.logs.map(String) : [];
+      if (event.data?.error !== undefined) {
+        reject(new Error(String(event.data.error) + (logs.length ? `\nOutput:\n${logs.join('\n')}` : '')));
+      } else {
+        resolve({ logs, result: event.data?.result === undefined ? undefined : String(event.data.result) });
+      }
+    }
+    window.addEventListener('message', handleMessage);
+    frame.addEventListener('load', () => frame.contentWindow.postMessage(code, '*'));
+    document.body.appendChild(frame);
+  });
+}
+
+registerTool({
+  name: 'run_javascript',
+  description: 'Run JavaScript in a sandbox without network, storage, DOM or app access and return console output and the value of the last expression. Times out after 3 seconds.',
+  parameters: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', description: 'JavaScript source to run' }
+    },
+    required: ['code']
+  },
+  execute: ({ code }) => runSandboxedJavaScript(code)
+});
+
+// Session search
+
+/**
+ * Search saved sessions for messages containing every word of a query
+ * @param {string} query - Words to look for (case-insensitive)
+ * @param {number} limit - Maximum number of matches
+ * @returns {Array} Matches { session, model, role, snippet }
+ */
+export function searchSessions(query, limit = 5) {
+  const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    return [];
+  }
+
+  const matches = [];
+  for (const session of getAllSessions()) {
+    for (const conversation of session.conversations || []) {
+      for (const message of conversation.history || []) {
+        const text = typeof message.content === 'string' ? message.content : '';
+        const lower = text.toLowerCase();
+        if (!words.every(word => lower.includes(word))) continue;
+
+        const start = Math.max(0, lower.indexOf(words[0]) - 80);
+        matches.push({
+          session: session.name,
+          model: conversation.modelName,
+          role: message.role,
+          snippet: `${start > 0 ? '...' : ''}${text.slice(start, start + 240)}${start + 240 < text.length ? '...' : ''}`
+        });
+        if (matches.length >= limit) {
+          return matches;
+        }
+      }
+    }
+  }
+  return matches;
+}
+
+registerTool({
+  name: 'search_sessions',
+  description: 'Search the user\'s saved brainstorming sessions for earlier messages containing all the given words.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Words to search for' },
+      limit: { type: 'integer', description: 'Maximum number of matches (default 5)' }
+    },
+    required: ['query']
+  },
+  execute: ({ query, limit = 5 }) => {
+    const matches = searchSessions(query, Math.min(Math.max(1, limit), 20));
+    return matches.length > 0 ? matches : 'No matching messages found';
+  }
+});
@@ -0,0 +1,214 @@
+// Proxy Audit Log
+// Append-only record of every proxied request: who called which model, when, status, latency, tokens, cost and truncation
+// Written to a JSON Lines file, a Redis list or stdout (AUDIT_LOG); prompts are left out unless AUDIT_LOG_PROMPTS is set,
+// and are redacted and shortened when included
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRedisClient } from './rate-limit-store.js';
+
+const REDIS_LIST_KEY = 'audit:log';
+
+// Characters of prompt kept when prompts are logged
+const DEFAULT_PROMPT_CHARS = 500;
+
+// Secrets and personal details replaced before a prompt is logged
+const REDACTIONS = [
+  [/\bsk-[A-Za-z0-9_-]{8,}/g, '[api-key]'],
+  [/\bBearer\s+[A-Za-z0-9._~+/=-]+/gi, 'Bearer [token]'],
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[email]'],
+  [/\b(?:\d[ -]?){12,18}\d\b/g, '[number]'],
+  [/(?:\+\d{1,3}[ .-]?)?(?:\(\d{3}\)|\b\d{3})[ .-]?\d{3}[ .-]\d{4}\b/g, '[phone]']
+];
+
+/**
+ * Redact secrets and personal details from text and shorten it
+ * @param {string} text - Text to log
+ * @param {number} maxChars - Characters to keep
+ * @returns {string} Redacted text ("…" marks a cut)
+ */
+export function redactText(text, maxChars = DEFAULT_PROMPT_CHARS) {
+  const redacted = REDACTIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+  return redacted.length > maxChars ? `${redacted.slice(0, maxChars)}…` : redacted;
+}
+
+/**
+ * The prompt to log for a request: the last user message, redacted (images become "[image]")
+ * @param {Array} messages - Chat messages
+ * @param {Object} env - Environment variables
+ * @returns {string|undefined} Prompt, or undefined when AUDIT_LOG_PROMPTS is off
+ */
+export function getPromptExcerpt(messages, env = process.env) {
+  if (env.AUDIT_LOG_PROMPTS !== 'true' || !Array.isArray(messages)) {
+    return undefined;
+  }
+  const message = [...messages].reverse().find(entry => entry?.role === 'user');
+  if (!message) {
+    return '';
+  }
+  const text = Array.isArray(message.content)
+    ? message.content.map(part => (part?.type === 'image_url' ? '[image]' : part?.text || '')).join(' ')
+    : String(message.content ?? '');
+  return redactText(text, parseInt(env.AUDIT_LOG_PROMPT_CHARS, 10) || DEFAULT_PROMPT_CHARS);
+}
+
+/**
+ * JSON Lines file log (one entry per line, only ever appended to)
+ * @param {string} filePath - Log file (created with its directory)
+ * @returns {Object} { append(entry), read() }
+ */
+export function createFileAuditLog(filePath) {
+  return {
+    async append(entry) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+    },
+    async read() {
+      try {
+        const text = await fs.readFile(filePath, 'utf8');
+        return parseEntries(text.split('\n'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Redis list log (RPUSH), shared by every instance
+ * @param {string} url - Redis URL
+ * @param {Object} options - { client } to reuse a connection
+ * @returns {Object} { append(entry), read() }
+ */
+export function createRedisAuditLog(url, { client = createRedisClient(url) } = {}) {
+  return {
+    async append(entry) {
+      await client.command(['RPUSH', REDIS_LIST_KEY, JSON.stringify(entry)]);
+    },
+    async read() {
+      return parseEntries(await client.command(['LRANGE', REDIS_LIST_KEY, 0, -1]) || []);
+    }
+  };
+}
+
+/**
+ * Log to stdout as JSON lines (for hosts that collect logs, e.g. Vercel log drains); can't be read back
+ * @returns {Object} { append(entry), read: null }
+ */
+export function createConsoleAuditLog() {
+  return {
+    async append(entry) {
+      console.log(JSON.stringify({ audit: entry }));
+    },
+    read: null
+  };
+}
+
+// Parse logged lines, skipping any that are cut off or corrupt
+function parseEntries(lines) {
+  return lines.filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Create the audit log selected by the environment
+ * AUDIT_LOG: off (default), file, redis or console
+ * AUDIT_LOG_FILE: file log path (default .data/audit-log.jsonl)
+ * REDIS_URL: Redis server for the redis log
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Audit log, or null when logging is off
+ */
+export function createAuditLog(env = process.env) {
+  const type = (env.AUDIT_LOG || 'off').toLowerCase();
+  switch (type) {
+    case 'off':
+      return null;
+    case 'file':
+      return createFileAuditLog(env.AUDIT_LOG_FILE || path.join('.data', 'audit-log.jsonl'));
+    case 'redis':
+      if (!env.REDIS_URL) {
+        throw new Error('AUDIT_LOG=redis requires REDIS_URL');
+      }
+      return createRedisAuditLog(env.REDIS_URL);
+    case 'console':
+      return createConsoleAuditLog();
+    default:
+      throw new Error(`Unknown AUDIT_LOG "${type}" (use off, file, redis or console)`);
+  }
+}
+
+let sharedAuditLog;
+
+/**
+ * Get the configured audit log, created on first use (throws when the configuration is invalid)
+ * @returns {Object|null} Audit log, or null when logging is off
+ */
+export function getAuditLog() {
+  if (sharedAuditLog === undefined) {
+    sharedAuditLog = createAuditLog();
+  }
+  return sharedAuditLog;
+}
+
+// Empty totals for one group of the report
+function createTotals() {
+  return { requests: 0, errors: 0, truncated: 0, cached: 0, promptTokens: 0, completionTokens: 0, cost: 0, latencyMs: 0 };
+}
+
+// Add one entry to a group's totals
+function addEntry(totals, entry) {
+  totals.requests++;
+  if (entry.status >= 400) totals.errors++;
+  if (entry.truncated) totals.truncated++;
+  if (entry.cached) totals.cached++;
+  totals.promptTokens += entry.promptTokens || 0;
+  totals.completionTokens += entry.completionTokens || 0;
+  totals.cost += entry.cost || 0;
+  totals.latencyMs += entry.latencyMs || 0;
+}
+
+// Round the cost and turn the summed latency into an average
+function finishTotals(totals) {
+  const { latencyMs, ...rest } = totals;
+  return {
+    ...rest,
+    cost: Math.round(totals.cost * 1e6) / 1e6,
+    averageLatencyMs: totals.requests > 0 ? Math.round(latencyMs / totals.requests) : 0
+  };
+}
+
+/**
+ * Aggregate audit entries by user, model and day (UTC)
+ * @param {Array} entries - Audit entries
+ * @param {Object} filters - { from, to } as YYYY-MM-DD (inclusive), { user } as a user ID
+ * @returns {Object} { totals, byUser, byModel, byDay } (each group: requests, errors, truncated, cached, tokens, cost, average latency)
+ */
+export function summarizeAuditLog(entries, { from = null, to = null, user = null } = {}) {
+  const totals = createTotals();
+  const groups = { byUser: {}, byModel: {}, byDay: {} };
+
+  entries.forEach(entry => {
+    const day = entry.time?.slice(0, 10);
+    if (!day || (from && day < from) || (to && day > to) || (user && entry.user !== user)) return;
+
+    addEntry(totals, entry);
+    [['byUser', entry.user || 'anonymous'], ['byModel', entry.model || 'unknown'], ['byDay', day]].forEach(([group, key]) => {
+      groups[group][key] = groups[group][key] || createTotals();
+      addEntry(groups[group][key], entry);
+    });
+  });
+
+  const finishGroup = group => Object.fromEntries(Object.entries(group).map(([key, value]) => [key, finishTotals(value)]));
+  return {
+    totals: finishTotals(totals),
+    byUser: finishGroup(groups.byUser),
+    byModel: finishGroup(groups.byModel),
+    byDay: finishGroup(groups.byDay)
+  };
+}
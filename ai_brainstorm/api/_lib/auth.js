@@ -0,0 +1,130 @@
+// Proxy Authentication
+// Identifies proxy users by signed access token or invite code (Authorization: Bearer ...)
+// Without PROXY_AUTH_SECRET or PROXY_INVITE_CODES the proxy stays open and clients are told apart by IP
+
+import crypto from 'node:crypto';
+
+/**
+ * Get client IP address from request
+ */
+export function getClientIp(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0].trim()
+    || req.headers['x-real-ip']
+    || 'unknown';
+}
+
+// HMAC-SHA256 signature of a token payload, base64url encoded
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Compare secrets in constant time (hashing first evens out the lengths)
+function safeEqual(a, b) {
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * Create a signed access token
+ * @param {Object} claims - { sub: user name, exp: expiry (unix seconds),
+ *   quota: { requests, tokens, dailyBudget, monthlyBudget } (budgets in USD; see quotas.js and budgets.js) }
+ * @param {string} secret - PROXY_AUTH_SECRET
+ * @returns {string} Token
+ */
+export function createAccessToken(claims, secret) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verify a signed access token
+ * @param {string} token - Token from createAccessToken
+ * @param {string} secret - PROXY_AUTH_SECRET
+ * @returns {Object|null} Claims, or null when the signature is wrong or the token has expired
+ */
+export function verifyAccessToken(token, secret) {
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload, secret))) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub || (claims.exp && claims.exp * 1000 < Date.now())) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse PROXY_INVITE_CODES ("code:name,code:name")
+ * @param {string} value - Environment value
+ * @returns {Array} [{ code, name }]
+ */
+export function parseInviteCodes(value = '') {
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { code: entry, name: entry }
+        : { code: entry.slice(0, separator).trim(), name: entry.slice(separator + 1).trim() };
+    });
+}
+
+// Credential from the Authorization: Bearer header
+function getBearerToken(req) {
+  return req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1].trim() || null;
+}
+
+// Whether the proxy only serves authenticated users
+export function isAuthRequired(env = process.env) {
+  return Boolean(env.PROXY_AUTH_SECRET || env.PROXY_INVITE_CODES);
+}
+
+/**
+ * Identify the user behind a request
+ * @param {Object} req - Request
+ * @param {Object} env - Environment variables
+ * @returns {Object} { user: { id, name, quota }, method: 'token' | 'invite' | 'ip' } or { error } when rejected
+ */
+export function authenticate(req, env = process.env) {
+  if (!isAuthRequired(env)) {
+    const ip = getClientIp(req);
+    return { user: { id: `ip:${ip}`, name: null, quota: {} }, method: 'ip' };
+  }
+
+  const credential = getBearerToken(req);
+  if (!credential) {
+    return { error: 'Access code required' };
+  }
+
+  // Signed tokens contain a dot; invite codes don't
+  if (env.PROXY_AUTH_SECRET && credential.includes('.')) {
+    const claims = verifyAccessToken(credential, env.PROXY_AUTH_SECRET);
+    if (claims) {
+      return { user: { id: `user:${claims.sub}`, name: claims.sub, quota: claims.quota || {} }, method: 'token' };
+    }
+    return { error: 'Invalid or expired access token' };
+  }
+
+  const invite = parseInviteCodes(env.PROXY_INVITE_CODES).find(entry => safeEqual(entry.code, credential));
+  if (invite) {
+    return { user: { id: `user:${invite.name}`, name: invite.name, quota: {} }, method: 'invite' };
+  }
+  return { error: 'Invalid access code' };
+}
+
+/**
+ * Check a request carries the admin token (PROXY_ADMIN_TOKEN); admin endpoints are off when it isn't set
+ * @param {Object} req - Request
+ * @param {Object} env - Environment variables
+ * @returns {boolean} Whether the request may use admin endpoints
+ */
+export function isAdminRequest(req, env = process.env) {
+  const credential = getBearerToken(req);
+  return Boolean(env.PROXY_ADMIN_TOKEN && credential && safeEqual(credential, env.PROXY_ADMIN_TOKEN));
+}
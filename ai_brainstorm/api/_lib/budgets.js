@@ -0,0 +1,162 @@
+// Proxy Budgets
+// Daily and monthly dollar budgets, per user and for the whole proxy (calendar periods, UTC)
+// A request reserves its estimated cost before it is forwarded and is settled with the real cost afterwards,
+// so concurrent requests can't all slip under a nearly spent budget
+
+import { calculateCost, MODEL_PRICING } from '../../agentic-chat/src/pricing.js';
+
+// Rough token counts used for the estimate (about 4 characters per token)
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 1000;
+
+// Answer length assumed when the request sets no max_tokens
+const DEFAULT_OUTPUT_TOKENS = 1024;
+
+// Models missing from the price table are estimated at the highest listed price
+const FALLBACK_PRICING = Object.values(MODEL_PRICING).reduce((max, price) => ({
+  prompt: Math.max(max.prompt, price.prompt),
+  completion: Math.max(max.completion, price.completion)
+}), { prompt: 0, completion: 0 });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse an optional dollar amount (unset means no budget)
+function parseBudget(value) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Estimate a request's input tokens from its messages
+ * @param {Array} messages - Chat messages (string content or content parts)
+ * @returns {number} Tokens
+ */
+export function estimateInputTokens(messages) {
+  let characters = 0;
+  let images = 0;
+  messages.forEach(message => {
+    if (Array.isArray(message.content)) {
+      message.content.forEach(part => {
+        if (part?.type === 'image_url') {
+          images++;
+        } else if (typeof part?.text === 'string') {
+          characters += part.text.length;
+        }
+      });
+    } else if (typeof message.content === 'string') {
+      characters += message.content.length;
+    }
+    if (message.tool_calls) {
+      characters += JSON.stringify(message.tool_calls).length;
+    }
+  });
+  return Math.ceil(characters / CHARS_PER_TOKEN) + images * IMAGE_TOKENS;
+}
+
+/**
+ * Estimate what a request will cost before it is sent
+ * @param {Object} body - Chat completion request body
+ * @returns {number} USD (assumes the answer uses all of max_tokens)
+ */
+export function estimateRequestCost(body) {
+  const tokens = {
+    promptTokens: estimateInputTokens(body.messages),
+    completionTokens: body.max_tokens || DEFAULT_OUTPUT_TOKENS
+  };
+  const cost = calculateCost(body.model, tokens);
+  if (cost !== null) {
+    return cost;
+  }
+  return (tokens.promptTokens * FALLBACK_PRICING.prompt + tokens.completionTokens * FALLBACK_PRICING.completion) / 1000000;
+}
+
+// Current daily and monthly periods: store key suffix, reset time and how long to keep the counter
+function getPeriods(now) {
+  const date = new Date(now);
+  const day = date.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+  const nextDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  const nextMonth = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return {
+    daily: { id: day, resetAt: nextDay, ttlMs: nextDay - now + DAY_MS },
+    monthly: { id: month, resetAt: nextMonth, ttlMs: nextMonth - now + DAY_MS }
+  };
+}
+
+/**
+ * Budgets that apply to a user, with their store keys
+ * Keys are budget:<user ID>:<period>:<date> (user IDs already say what they are: user:alice, ip:1.2.3.4)
+ * or budget:global:<period>:<date>
+ * @param {Object} user - User from authenticate()
+ * @param {Object} env - Environment variables
+ * @returns {Array} [{ scope: 'user' | 'global', period: 'daily' | 'monthly', limit, key, resetAt, ttlMs }]
+ */
+export function getBudgets(user, env = process.env, now = Date.now()) {
+  const quota = user.quota || {};
+  const periods = getPeriods(now);
+  const budgets = [
+    { scope: 'user', period: 'daily', limit: quota.dailyBudget ?? parseBudget(env.PROXY_USER_DAILY_BUDGET) },
+    { scope: 'user', period: 'monthly', limit: quota.monthlyBudget ?? parseBudget(env.PROXY_USER_MONTHLY_BUDGET) },
+    { scope: 'global', period: 'daily', limit: parseBudget(env.PROXY_GLOBAL_DAILY_BUDGET) },
+    { scope: 'global', period: 'monthly', limit: parseBudget(env.PROXY_GLOBAL_MONTHLY_BUDGET) }
+  ];
+  return budgets
+    .filter(budget => budget.limit !== null)
+    .map(budget => {
+      const { id, resetAt, ttlMs } = periods[budget.period];
+      const owner = budget.scope === 'user' ? user.id : 'global';
+      return { ...budget, key: `budget:${owner}:${budget.period}:${id}`, resetAt, ttlMs };
+    });
+}
+
+/**
+ * Spending so far against each budget (for /api/me)
+ * @returns {Promise<Array>} [{ scope, period, limit, spent, resetAt }]
+ */
+export async function getBudgetStatus(store, user, env = process.env, now = Date.now()) {
+  const budgets = getBudgets(user, env, now);
+  const spent = await Promise.all(budgets.map(budget => store.get(budget.key)));
+  return budgets.map(({ scope, period, limit, resetAt }, index) => ({
+    scope,
+    period,
+    limit,
+    spent: Math.max(0, spent[index]),
+    resetAt
+  }));
+}
+
+/**
+ * Reserve a request's estimated cost against every budget that applies
+ * @param {Object} store - Store from rate-limit-store.js
+ * @param {Object} user - User from authenticate()
+ * @param {number} estimate - Estimated cost (USD)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} { allowed: true, reservation } or { allowed: false, exceeded: { scope, period, limit, spent, resetAt } }
+ */
+export async function reserveBudget(store, user, estimate, env = process.env, now = Date.now()) {
+  const budgets = getBudgets(user, env, now);
+  const totals = await Promise.all(budgets.map(budget => store.increment(budget.key, estimate, budget.ttlMs)));
+
+  const index = budgets.findIndex((budget, i) => totals[i] > budget.limit);
+  if (index !== -1) {
+    // Refused requests don't spend anything
+    await Promise.all(budgets.map(budget => store.increment(budget.key, -estimate, budget.ttlMs)));
+    const { scope, period, limit, resetAt } = budgets[index];
+    return { allowed: false, exceeded: { scope, period, limit, spent: Math.max(0, totals[index] - estimate), resetAt } };
+  }
+
+  return { allowed: true, reservation: { budgets, estimate } };
+}
+
+/**
+ * Replace a reservation's estimate with the request's real cost
+ * @param {Object} store - Store from rate-limit-store.js
+ * @param {Object} reservation - From reserveBudget
+ * @param {number} cost - Real cost (0 for a failed request)
+ */
+export async function settleBudget(store, reservation, cost) {
+  const difference = cost - reservation.estimate;
+  if (difference === 0) return;
+  await Promise.all(reservation.budgets.map(budget => store.increment(budget.key, difference, budget.ttlMs)));
+}
@@ -0,0 +1,278 @@
+// Proxy Content Filter
+// Scans the user's messages for secrets (API keys, private keys, email addresses) and prompt-injection phrases,
+// and answers for text repeated from the policy's forced system prompt
+// Each rule blocks, masks or only logs (policy `contentFilter`); hits go in the X-Content-Filter header as "rule=action" pairs
+
+// What a rule can do with a hit
+export const FILTER_ACTIONS = ['block', 'mask', 'log', 'off'];
+
+// Actions used for rules the policy doesn't set
+export const DEFAULT_CONTENT_FILTER = {
+  api_key: 'mask',
+  private_key: 'mask',
+  email: 'log',
+  prompt_injection: 'log',
+  system_prompt_echo: 'log'
+};
+
+// Rules for the user's messages: what they match and what a masked match becomes
+const MESSAGE_RULES = {
+  api_key: {
+    label: 'an API key',
+    replacement: '[api-key]',
+    patterns: [
+      /\bsk-[A-Za-z0-9_-]{20,}/g, // OpenAI, OpenRouter, Anthropic
+      /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, // AWS access key IDs
+      /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g, // GitHub tokens
+      /\bgithub_pat_[A-Za-z0-9_]{22,}/g,
+      /\bxox[abposr]-[A-Za-z0-9-]{10,}/g, // Slack tokens
+      /\bAIza[0-9A-Za-z_-]{35}\b/g, // Google API keys
+      /\b[rs]k_live_[A-Za-z0-9]{20,}/g // Stripe secret keys
+    ]
+  },
+  private_key: {
+    label: 'a private key',
+    replacement: '[private-key]',
+    // A key pasted without its END line is masked to the end of the message
+    patterns: [/-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g]
+  },
+  email: {
+    label: 'an email address',
+    replacement: '[email]',
+    patterns: [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g]
+  },
+  prompt_injection: {
+    label: 'a prompt-injection phrase',
+    replacement: '[filtered]',
+    patterns: [
+      /\b(?:ignore|disregard|forget)\s+(?:all\s+)?(?:of\s+)?(?:the\s+|your\s+)?(?:previous|prior|above|earlier)\s+(?:instructions|prompts?|rules)\b/gi,
+      /\b(?:reveal|print|show|repeat|output)\s+(?:me\s+)?(?:your|the)\s+(?:system\s+prompt|hidden\s+instructions|initial\s+instructions)\b/gi
+    ]
+  }
+};
+
+// An answer repeating this many consecutive words of a system prompt echoes it
+// (shorter prompts must be repeated whole; prompts under the minimum are ignored)
+const ECHO_WINDOW_WORDS = 8;
+const ECHO_MIN_WORDS = 4;
+const ECHO_REPLACEMENT = '[system prompt]';
+
+/**
+ * The content filter configured by the policy: an action for every rule
+ * @param {Object} policy - Policy (`contentFilter`: { rule: action })
+ * @returns {Object} { api_key, private_key, email, prompt_injection, system_prompt_echo }
+ */
+export function getContentFilter(policy) {
+  const filter = { ...DEFAULT_CONTENT_FILTER, ...policy.contentFilter };
+  Object.entries(filter).forEach(([rule, action]) => {
+    if (!(rule in DEFAULT_CONTENT_FILTER)) {
+      throw new Error(`Unknown content filter rule "${rule}" (use ${Object.keys(DEFAULT_CONTENT_FILTER).join(', ')})`);
+    }
+    if (!FILTER_ACTIONS.includes(action)) {
+      throw new Error(`Unknown content filter action "${action}" for ${rule} (use ${FILTER_ACTIONS.join(', ')})`);
+    }
+  });
+  return filter;
+}
+
+/**
+ * Format hits for the X-Content-Filter header and the audit log
+ * @param {Array} hits - [{ rule, action }]
+ * @returns {string} "api_key=mask, email=log"
+ */
+export function formatFilterHits(hits) {
+  return hits.map(({ rule, action }) => `${rule}=${action}`).join(', ');
+}
+
+// Run a rule over text: whether it matched, and the text with matches masked
+function scanText(text, rule, mask) {
+  let matched = false;
+  const scanned = rule.patterns.reduce((result, pattern) => result.replace(pattern, match => {
+    matched = true;
+    return mask ? rule.replacement : match;
+  }), text);
+  return { matched, text: scanned };
+}
+
+// Apply one rule to a message's content (a string or content parts; only text parts are scanned)
+function scanContent(content, rule, mask) {
+  if (typeof content === 'string') {
+    return scanText(content, rule, mask);
+  }
+  if (!Array.isArray(content)) {
+    return { matched: false, text: content };
+  }
+  let matched = false;
+  const parts = content.map(part => {
+    if (part?.type !== 'text' || typeof part.text !== 'string') return part;
+    const result = scanText(part.text, rule, mask);
+    matched = matched || result.matched;
+    return result.matched && mask ? { ...part, text: result.text } : part;
+  });
+  return { matched, text: parts };
+}
+
+/**
+ * Scan the user's messages before they are forwarded
+ * @param {Object} body - Request body (after the policy)
+ * @param {Object} filter - From getContentFilter
+ * @returns {Object} { body: with masked matches, hits: [{ rule, action }], blocked: { rule, message } | null }
+ */
+export function filterRequest(body, filter) {
+  const hits = [];
+  let messages = body.messages;
+
+  for (const [ruleName, rule] of Object.entries(MESSAGE_RULES)) {
+    const action = filter[ruleName];
+    if (action === 'off') continue;
+
+    let matched = false;
+    messages = messages.map(message => {
+      if (message?.role !== 'user') return message;
+      const result = scanContent(message.content, rule, action === 'mask');
+      matched = matched || result.matched;
+      return result.matched && action === 'mask' ? { ...message, content: result.text } : message;
+    });
+    if (!matched) continue;
+
+    hits.push({ rule: ruleName, action });
+    if (action === 'block') {
+      return { body, hits, blocked: { rule: ruleName, message: `Your message contains ${rule.label}. Remove it and try again.` } };
+    }
+  }
+
+  return { body: hits.length > 0 ? { ...body, messages } : body, hits, blocked: null };
+}
+
+// Words of a text with their positions, lowercased and stripped of punctuation
+function getWords(text) {
+  return Array.from(text.matchAll(/\S+/g), match => ({
+    word: match[0].toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''),
+    start: match.index,
+    end: match.index + match[0].length
+  })).filter(entry => entry.word);
+}
+
+// Word runs of the forced system prompt that an answer must not repeat: { size, runs }, or null when it is too short
+function getEchoRuns(systemPrompt) {
+  const words = getWords(systemPrompt || '').map(entry => entry.word);
+  if (words.length < ECHO_MIN_WORDS) {
+    return null;
+  }
+  const size = Math.min(ECHO_WINDOW_WORDS, words.length);
+  const runs = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    runs.add(words.slice(i, i + size).join(' '));
+  }
+  return { size, runs };
+}
+
+// Character ranges of text that repeat the system prompt, checking runs that end at or after word `from`
+function findEchoes(text, { size, runs }, from = 0) {
+  const words = getWords(text);
+  const ranges = [];
+  for (let i = Math.max(0, from - size + 1); i + size <= words.length; i++) {
+    if (runs.has(words.slice(i, i + size).map(entry => entry.word).join(' '))) {
+      ranges.push([words[i].start, words[i + size - 1].end]);
+    }
+  }
+  return { ranges, words };
+}
+
+// Replace character ranges (which may overlap) with the echo marker
+function maskRanges(text, ranges) {
+  const merged = [...ranges].sort((a, b) => a[0] - b[0]).reduce((result, range) => {
+    const last = result[result.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      result.push([...range]);
+    }
+    return result;
+  }, []);
+  return merged.reduceRight((result, [start, end]) => `${result.slice(0, start)}${ECHO_REPLACEMENT}${result.slice(end)}`, text);
+}
+
+/**
+ * Check a complete (JSON) answer for text repeated from the system prompt
+ * Only the prompt the policy forces is watched: the client's own system messages may well be repeated
+ * @param {Object} data - Upstream chat completion
+ * @param {string} systemPrompt - Forced system prompt from applyPolicy ('' when there is none)
+ * @param {Object} filter - From getContentFilter
+ * @returns {Object} { data: with the echo masked, hit: { rule, action } | null }
+ */
+export function filterResponse(data, systemPrompt, filter) {
+  const action = filter.system_prompt_echo;
+  const content = data.choices?.[0]?.message?.content;
+  const echo = action === 'off' ? null : getEchoRuns(systemPrompt);
+  if (!echo || typeof content !== 'string') {
+    return { data, hit: null };
+  }
+  const { ranges } = findEchoes(content, echo);
+  if (ranges.length === 0) {
+    return { data, hit: null };
+  }
+
+  const hit = { rule: 'system_prompt_echo', action };
+  if (action !== 'mask') {
+    return { data, hit };
+  }
+  const [choice, ...rest] = data.choices;
+  return {
+    data: { ...data, choices: [{ ...choice, message: { ...choice.message, content: maskRanges(content, ranges) } }, ...rest] },
+    hit
+  };
+}
+
+/**
+ * Watch a streamed answer for text repeated from the system prompt while it is passed through
+ * Text already sent can't be taken back, so in streams `mask` only reports the echo (like `log`)
+ * @param {string} systemPrompt - Forced system prompt from applyPolicy ('' when there is none)
+ * @param {Object} filter - From getContentFilter
+ * @returns {Object|null} { push(text): hit or null, hit }, or null when there is nothing to watch for
+ */
+export function createEchoWatcher(systemPrompt, filter) {
+  const action = filter.system_prompt_echo;
+  const echo = action === 'off' ? null : getEchoRuns(systemPrompt);
+  if (!echo) {
+    return null;
+  }
+
+  let buffer = '';
+  // Only the end of the answer is kept: the last run's worth of words, which new text may complete
+  let tail = '';
+  let checkedWords = 0;
+  const watcher = {
+    hit: null,
+    push(text) {
+      buffer += text;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      let added = '';
+      lines.forEach(line => {
+        if (!line.startsWith('data: ')) return;
+        try {
+          const delta = JSON.parse(line.slice(6)).choices?.[0]?.delta?.content;
+          if (typeof delta === 'string') {
+            added += delta;
+          }
+        } catch {
+          // Not JSON (e.g. [DONE]) - no text
+        }
+      });
+      if (!watcher.hit && added) {
+        const content = tail + added;
+        const { ranges, words } = findEchoes(content, echo, checkedWords);
+        if (ranges.length > 0) {
+          watcher.hit = { rule: 'system_prompt_echo', action };
+        }
+        // The last word may still be arriving, so it is checked again next time
+        const kept = words.slice(-echo.size);
+        tail = kept.length > 0 ? content.slice(kept[0].start) : content;
+        checkedWords = Math.max(0, kept.length - 1);
+      }
+      return watcher.hit;
+    }
+  };
+  return watcher;
+}
@@ -0,0 +1,69 @@
+// Model Catalog
+// The models /api/models offers, read from MODEL_CATALOG_FILE (a saved OpenRouter /models response)
+// or fetched from OpenRouter, and cached in memory for MODEL_CATALOG_TTL_MS
+
+import fs from 'node:fs/promises';
+import { normalizeCatalog } from '../../agentic-chat/src/model-catalog.js';
+
+const OPENROUTER_MODELS_URL = 'https://openrouter.ai/api/v1/models';
+
+// Default cache lifetime (1 hour) and how long to wait for OpenRouter
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+
+// After a failed reload the cached copy is served this long before the source is tried again
+const RETRY_AFTER_FAILURE_MS = 60 * 1000;
+
+let cachedCatalog = null;
+// When the cached catalog is due for a reload, and the reload in progress (shared by concurrent requests)
+let reloadAt = 0;
+let reloading = null;
+
+// Read the raw /models response from the configured source
+async function readCatalogSource(env) {
+  if (env.MODEL_CATALOG_FILE) {
+    return { data: JSON.parse(await fs.readFile(env.MODEL_CATALOG_FILE, 'utf8')), source: 'file' };
+  }
+  const response = await fetch(OPENROUTER_MODELS_URL, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`OpenRouter /models returned ${response.status}`);
+  }
+  return { data: await response.json(), source: 'openrouter' };
+}
+
+// Load the catalog into the cache; a failure keeps the previous catalog (flagged `stale`) until the retry interval
+async function reloadCatalog(env, now, ttlMs) {
+  try {
+    const { data, source } = await readCatalogSource(env);
+    cachedCatalog = { models: normalizeCatalog(data), source, fetchedAt: now, stale: false };
+    reloadAt = now + ttlMs;
+  } catch (error) {
+    if (!cachedCatalog) {
+      throw error;
+    }
+    console.error('Model catalog reload failed, serving the cached copy:', error.message);
+    cachedCatalog = { ...cachedCatalog, stale: true };
+    reloadAt = now + RETRY_AFTER_FAILURE_MS;
+  }
+  return cachedCatalog;
+}
+
+/**
+ * Get the model catalog, reloading it once the cache expires
+ * When a reload fails the previous catalog is served (flagged `stale`) rather than nothing, and the source is
+ * only tried again after a short interval; concurrent requests share one reload
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} { models, source: 'file' | 'openrouter', fetchedAt, stale }
+ */
+export async function getModelCatalog(env = process.env, now = Date.now()) {
+  if (cachedCatalog && now < reloadAt) {
+    return cachedCatalog;
+  }
+  if (!reloading) {
+    const ttlMs = parseInt(env.MODEL_CATALOG_TTL_MS, 10) || DEFAULT_TTL_MS;
+    reloading = reloadCatalog(env, now, ttlMs).finally(() => {
+      reloading = null;
+    });
+  }
+  return reloading;
+}
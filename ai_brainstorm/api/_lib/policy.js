@@ -0,0 +1,107 @@
+// Proxy Request Policy
+// Server-side rules for what clients may send: allowed models, a max_tokens cap per model,
+// permitted request parameters and forced system prompts
+// Configured with PROXY_POLICY (JSON) or PROXY_POLICY_FILE (path to a JSON file); see policy.example.json
+
+import fs from 'node:fs';
+
+// Parameters clients may set when the policy doesn't list its own
+// (everything the app sends, plus common sampling settings)
+export const DEFAULT_PARAMETERS = [
+  'max_tokens', 'temperature', 'top_p', 'stop', 'seed', 'presence_penalty', 'frequency_penalty',
+  'response_format', 'tools', 'tool_choice', 'stream_options', 'reasoning'
+];
+
+// Fields that are part of every request rather than parameters
+const REQUEST_FIELDS = ['model', 'messages', 'stream'];
+
+let cachedPolicy = null;
+
+/**
+ * Read the policy from the environment (an empty policy allows every model with default parameters)
+ * @param {Object} env - Environment variables
+ * @returns {Object} Policy
+ */
+export function loadPolicy(env = process.env) {
+  if (env.PROXY_POLICY) {
+    return JSON.parse(env.PROXY_POLICY);
+  }
+  if (env.PROXY_POLICY_FILE) {
+    return JSON.parse(fs.readFileSync(env.PROXY_POLICY_FILE, 'utf8'));
+  }
+  return {};
+}
+
+/**
+ * Get the configured policy, read once (throws when the configuration is invalid)
+ * @returns {Object} Policy
+ */
+export function getPolicy() {
+  if (!cachedPolicy) {
+    cachedPolicy = loadPolicy();
+  }
+  return cachedPolicy;
+}
+
+/**
+ * Models the policy allows
+ * @param {Object} policy - Policy
+ * @returns {Array|null} Model IDs, or null when every model is allowed
+ */
+export function getAllowedModels(policy) {
+  const models = Object.keys(policy.models || {});
+  return models.length > 0 && !policy.allowUnlistedModels ? models : null;
+}
+
+// Rejection with a machine-readable code
+function reject(code, message) {
+  return { valid: false, code, error: message };
+}
+
+// Join the global and per-model forced system prompts
+function getForcedSystemPrompt(policy, modelRule) {
+  return [policy.systemPrompt, modelRule.systemPrompt].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Check a request against the policy and build the body to forward
+ * @param {Object} body - Validated request body
+ * @param {Object} policy - Policy
+ * @returns {Object} { valid: true, body, systemPrompt } with max_tokens capped and the forced system prompt
+ *   (also returned, '' when there is none) added, or { valid: false, code, error }
+ */
+export function applyPolicy(body, policy) {
+  const allowedModels = getAllowedModels(policy);
+  if (allowedModels && !allowedModels.includes(body.model)) {
+    return reject('model_not_allowed', `Model "${body.model}" is not allowed on this server. Allowed models: ${allowedModels.join(', ')}`);
+  }
+
+  const parameters = policy.parameters || DEFAULT_PARAMETERS;
+  const rejected = Object.keys(body).filter(key => !REQUEST_FIELDS.includes(key) && !parameters.includes(key));
+  if (rejected.length > 0) {
+    return reject('parameter_not_allowed', `Parameter${rejected.length === 1 ? '' : 's'} not allowed: ${rejected.join(', ')}. Allowed: ${parameters.join(', ')}`);
+  }
+
+  const modelRule = policy.models?.[body.model] || {};
+  const maxTokens = modelRule.maxTokens ?? policy.maxTokens ?? null;
+  if (body.max_tokens !== undefined && (!Number.isInteger(body.max_tokens) || body.max_tokens < 1)) {
+    return reject('invalid_max_tokens', 'max_tokens must be a positive integer');
+  }
+  if (maxTokens !== null && body.max_tokens > maxTokens) {
+    return reject('max_tokens_exceeded', `max_tokens ${body.max_tokens} is over the limit of ${maxTokens} for ${body.model}`);
+  }
+
+  const policed = { ...body };
+  // Requests without a cap (unlimited answers) get the policy's cap
+  if (maxTokens !== null && policed.max_tokens === undefined) {
+    policed.max_tokens = maxTokens;
+  }
+
+  // Forced system prompts go first, ahead of anything the client sent
+  const systemPrompt = getForcedSystemPrompt(policy, modelRule);
+  if (systemPrompt) {
+    policed.messages = [{ role: 'system', content: systemPrompt }, ...body.messages];
+  }
+
+  return { valid: true, body: policed, systemPrompt };
+}
@@ -0,0 +1,109 @@
+// Proxy Quotas
+// Per-user request quota (sliding window) and token quota (fixed periods, e.g. per day)
+// Defaults come from the environment; a signed access token can carry its own { requests, tokens }
+// Dollar budgets are metered separately (see budgets.js)
+
+import { createRateLimiter } from './rate-limiter.js';
+
+// Parse an optional numeric setting (unset means unlimited)
+function parseLimit(value) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Quota limits for a user
+ * @param {Object} user - User from authenticate()
+ * @param {Object} env - Environment variables
+ * @returns {Object} { requests, requestWindowMs, tokens, usageWindowMs } (null tokens = unlimited)
+ */
+export function getQuotaLimits(user, env = process.env) {
+  const quota = user.quota || {};
+  return {
+    requests: quota.requests ?? parseInt(env.VITE_RATE_LIMIT_REQUESTS || '20', 10),
+    requestWindowMs: parseInt(env.VITE_RATE_LIMIT_WINDOW_MS || '3600000', 10),
+    tokens: quota.tokens ?? parseLimit(env.PROXY_USER_TOKEN_QUOTA),
+    usageWindowMs: parseInt(env.PROXY_QUOTA_WINDOW_MS || '86400000', 10)
+  };
+}
+
+// Store key and reset time of the user's current usage period
+function getUsagePeriod(user, limits, now) {
+  const period = Math.floor(now / limits.usageWindowMs);
+  return {
+    tokensKey: `quota:${user.id}:tokens:${period}`,
+    resetAt: (period + 1) * limits.usageWindowMs
+  };
+}
+
+// Request limiter for a user's request quota
+function getRequestLimiter(store, limits) {
+  return createRateLimiter({ store, limit: limits.requests, windowMs: limits.requestWindowMs });
+}
+
+/**
+ * Current quota usage for a user (for /api/me); counts nothing
+ * @param {Object} store - Store from rate-limit-store.js
+ * @param {Object} user - User from authenticate()
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} { requests: { limit, remaining, windowMs }, tokens: { limit, used, resetAt } }
+ */
+export async function getQuotaStatus(store, user, env = process.env, now = Date.now()) {
+  const limits = getQuotaLimits(user, env);
+  const { tokensKey, resetAt } = getUsagePeriod(user, limits, now);
+  const [requests, tokensUsed] = await Promise.all([
+    getRequestLimiter(store, limits).peek(user.id, now),
+    store.get(tokensKey)
+  ]);
+  return {
+    requests: { limit: limits.requests, remaining: requests.remaining, windowMs: limits.requestWindowMs },
+    tokens: { limit: limits.tokens, used: tokensUsed, resetAt }
+  };
+}
+
+/**
+ * Check a user's quotas before a request and count the request
+ * @param {Object} store - Store from rate-limit-store.js
+ * @param {Object} user - User from authenticate()
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} { allowed, code, error, retryAfter (seconds), limit, remaining, countedAt (when allowed) }
+ */
+export async function checkQuotas(store, user, env = process.env, now = Date.now()) {
+  const limits = getQuotaLimits(user, env);
+  const { tokensKey, resetAt } = getUsagePeriod(user, limits, now);
+
+  // The token quota is checked first so a request that is refused doesn't use up the request quota
+  const tokensUsed = await store.get(tokensKey);
+  if (limits.tokens !== null && tokensUsed >= limits.tokens) {
+    const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+    return { allowed: false, code: 'token_quota_exceeded', error: 'Token quota exceeded', retryAfter };
+  }
+
+  const rateLimit = await getRequestLimiter(store, limits).check(user.id, now);
+  return rateLimit.allowed ? { ...rateLimit, countedAt: now } : { ...rateLimit, code: 'rate_limited', error: 'Rate limit exceeded' };
+}
+
+/**
+ * Give back a request that checkQuotas counted but that was refused afterwards (e.g. over budget)
+ * @param {Object} store - Store from rate-limit-store.js
+ * @param {Object} user - User from authenticate()
+ * @param {number} countedAt - `countedAt` from checkQuotas
+ * @param {Object} env - Environment variables
+ */
+export async function releaseQuotaRequest(store, user, countedAt, env = process.env) {
+  await getRequestLimiter(store, getQuotaLimits(user, env)).release(user.id, countedAt);
+}
+
+/**
+ * Add a finished request's tokens to the user's usage
+ * @param {Object} store - Store from rate-limit-store.js
+ * @param {Object} user - User from authenticate()
+ * @param {Object} usage - { totalTokens } from readUsage
+ * @param {Object} env - Environment variables
+ */
+export async function recordQuotaUsage(store, user, usage, env = process.env, now = Date.now()) {
+  const limits = getQuotaLimits(user, env);
+  const { tokensKey } = getUsagePeriod(user, limits, now);
+  await store.increment(tokensKey, usage.totalTokens, limits.usageWindowMs);
+}
@@ -0,0 +1,330 @@
+// Rate Limit Stores
+// Counter storage for the proxy's rate limiter: in-memory, JSON file (self-hosting) or Redis (shared)
+// Every store has the same async interface: get(key), increment(key, amount, ttlMs), close()
+
+import fs from 'node:fs';
+import path from 'node:path';
+import net from 'node:net';
+import tls from 'node:tls';
+
+// How often expired counters are swept from memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Delay before changes are written to the file store (bursts of requests share one write)
+const FILE_WRITE_DELAY_MS = 250;
+
+// Redis connect / reply timeout
+const REDIS_TIMEOUT_MS = 5000;
+
+/**
+ * In-memory store (resets on cold start and isn't shared between instances)
+ * @param {Object} options - { entries: Map of key -> { value, expiresAt }, onChange: called after every write }
+ * @returns {Object} Store
+ */
+export function createMemoryStore({ entries = new Map(), onChange = () => {} } = {}) {
+  let nextSweep = Date.now() + SWEEP_INTERVAL_MS;
+
+  const sweep = (now) => {
+    if (now < nextSweep) return;
+    nextSweep = now + SWEEP_INTERVAL_MS;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  const read = (key, now) => {
+    const entry = entries.get(key);
+    return entry && entry.expiresAt > now ? entry.value : 0;
+  };
+
+  return {
+    async get(key) {
+      return read(key, Date.now());
+    },
+
+    async increment(key, amount = 1, ttlMs) {
+      const now = Date.now();
+      sweep(now);
+      const value = read(key, now) + amount;
+      entries.set(key, { value, expiresAt: now + ttlMs });
+      onChange();
+      return value;
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * JSON file store for single-instance self-hosting; counters survive restarts
+ * @param {string} filePath - File the counters are saved to (created with its directory)
+ * @returns {Object} Store
+ */
+export function createFileStore(filePath) {
+  const entries = new Map();
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const now = Date.now();
+    Object.entries(saved).forEach(([key, entry]) => {
+      if (entry.expiresAt > now) {
+        entries.set(key, entry);
+      }
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to load rate limits from ${filePath}:`, error.message);
+    }
+  }
+
+  let writeTimer = null;
+  const write = () => {
+    writeTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write to a temporary file first so a crash never leaves half a file behind
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(entries)));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`Failed to save rate limits to ${filePath}:`, error.message);
+    }
+  };
+
+  const store = createMemoryStore({
+    entries,
+    onChange: () => {
+      if (!writeTimer) {
+        writeTimer = setTimeout(write, FILE_WRITE_DELAY_MS);
+        writeTimer.unref?.();
+      }
+    }
+  });
+
+  return {
+    ...store,
+    async close() {
+      if (writeTimer) {
+        clearTimeout(writeTimer);
+        write();
+      }
+    }
+  };
+}
+
+// Encode a command as a RESP array of bulk strings
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  args.forEach(arg => {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  });
+  return command;
+}
+
+// Parse one RESP reply from buffer at offset; returns { value, offset } or null when incomplete
+// Error replies are returned as Error values so a failed command inside EXEC doesn't end the parse
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`);
+  }
+}
+
+/**
+ * Minimal Redis (RESP) client: one lazily opened connection, pipelined commands
+ * Works with Redis, Valkey, KeyDB, Upstash (rediss://) or any local stand-in that speaks RESP
+ * @param {string} url - redis://[user:password@]host[:port][/db] or rediss:// for TLS
+ * @returns {Object} { command(args), close() }
+ */
+export function createRedisClient(url) {
+  const target = new URL(url);
+  const useTls = target.protocol === 'rediss:';
+  const port = Number(target.port) || 6379;
+  const database = Number(target.pathname.slice(1)) || 0;
+
+  let socket = null;
+  let ready = null; // Resolves once AUTH / SELECT have succeeded on the current connection
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  const failPending = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending = [];
+  };
+
+  const onData = (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    let reply;
+    while (pending.length > 0 && (reply = parseReply(buffer))) {
+      buffer = buffer.subarray(reply.offset);
+      const { resolve, reject } = pending.shift();
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  };
+
+  const send = (args) => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject });
+    socket.write(encodeCommand(args));
+  });
+
+  const connect = () => {
+    const options = { host: target.hostname, port, servername: target.hostname };
+    const connection = useTls ? tls.connect(options) : net.connect(options);
+    socket = connection;
+    // Idle connections are closed too; the next command reconnects
+    connection.setTimeout(REDIS_TIMEOUT_MS);
+    connection.on('data', onData);
+    connection.on('timeout', () => connection.destroy(new Error('Redis connection timed out')));
+    connection.on('error', error => socket === connection && failPending(error));
+    connection.on('close', () => {
+      if (socket === connection) {
+        failPending(new Error('Redis connection closed'));
+        socket = null;
+        ready = null;
+        buffer = Buffer.alloc(0);
+      }
+    });
+
+    const setup = [];
+    if (target.password) {
+      const auth = target.username
+        ? ['AUTH', decodeURIComponent(target.username), decodeURIComponent(target.password)]
+        : ['AUTH', decodeURIComponent(target.password)];
+      setup.push(send(auth));
+    }
+    if (database) {
+      setup.push(send(['SELECT', database]));
+    }
+    // A failed setup drops the connection; the next command reconnects
+    ready = Promise.all(setup).catch(error => {
+      connection.destroy();
+      throw error;
+    });
+  };
+
+  return {
+    async command(args) {
+      if (!socket) {
+        connect();
+      }
+      await ready;
+      return send(args);
+    },
+
+    async close() {
+      if (socket) {
+        await this.command(['QUIT']).catch(() => {});
+        socket?.destroy();
+      }
+    }
+  };
+}
+
+/**
+ * Redis store, shared by every instance pointing at the same server
+ * @param {string} url - Redis URL (see createRedisClient)
+ * @param {Object} options - { client: RESP client to use instead of connecting to url }
+ * @returns {Object} Store
+ */
+export function createRedisStore(url, { client = createRedisClient(url) } = {}) {
+  return {
+    async get(key) {
+      const value = await client.command(['GET', key]);
+      return value === null ? 0 : Number(value);
+    },
+
+    async increment(key, amount = 1, ttlMs) {
+      // MULTI keeps the increment and its expiry together
+      const [, , , results] = await Promise.all([
+        client.command(['MULTI']),
+        client.command(['INCRBYFLOAT', key, amount]),
+        client.command(['PEXPIRE', key, Math.ceil(ttlMs)]),
+        client.command(['EXEC'])
+      ]);
+      if (results[0] instanceof Error) {
+        throw results[0];
+      }
+      return Number(results[0]);
+    },
+
+    close() {
+      return client.close();
+    }
+  };
+}
+
+/**
+ * Create the store configured in the environment
+ * RATE_LIMIT_STORE: memory (default), file or redis
+ * RATE_LIMIT_FILE: file store path (default .data/rate-limits.json)
+ * REDIS_URL: Redis server for the redis store
+ * @param {Object} env - Environment variables
+ * @returns {Object} Store
+ */
+export function createRateLimitStore(env = process.env) {
+  const type = (env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(env.RATE_LIMIT_FILE || path.join('.data', 'rate-limits.json'));
+    case 'redis':
+      if (!env.REDIS_URL) {
+        throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL');
+      }
+      return createRedisStore(env.REDIS_URL);
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (use memory, file or redis)`);
+  }
+}
+
+// Store shared by the proxy's endpoints (rate limits, quotas), created on first use
+let sharedStore = null;
+
+/**
+ * Get the configured store (throws when the configuration is invalid)
+ * @returns {Object} Store
+ */
+export function getSharedStore() {
+  if (!sharedStore) {
+    sharedStore = createRateLimitStore();
+  }
+  return sharedStore;
+}
@@ -0,0 +1,83 @@
+// Rate Limiter
+// Sliding-window limiter on top of a rate limit store (see rate-limit-store.js)
+// Approximates a true sliding window from two fixed-window counters: the previous window's count
+// is weighted by how much of it still overlaps the sliding window, so there is no burst at window edges
+
+/**
+ * Time until a denied client may send again
+ * @param {number} previous - Requests counted in the previous window
+ * @param {number} current - Requests counted in the current window (excluding the denied one)
+ * @param {number} limit - Requests allowed per window
+ * @param {number} elapsed - Fraction of the current window that has passed (0-1)
+ * @param {number} windowMs - Window length
+ * @returns {number} Milliseconds
+ */
+function getRetryAfterMs(previous, current, limit, elapsed, windowMs) {
+  // Still in this window: wait until enough of the previous window has slid out
+  if (current + 1 <= limit && previous > 0) {
+    const needed = 1 - (limit - current - 1) / previous;
+    if (needed < 1) {
+      return Math.max(0, (needed - elapsed) * windowMs);
+    }
+  }
+  // Next window: this window's count becomes the weighted one
+  const remainingMs = (1 - elapsed) * windowMs;
+  if (current === 0 || limit < 1) {
+    return remainingMs;
+  }
+  const needed = Math.max(0, 1 - (limit - 1) / current);
+  return remainingMs + needed * windowMs;
+}
+
+/**
+ * Create a sliding-window rate limiter
+ * @param {Object} options - { store, limit: requests per window, windowMs, prefix: key prefix }
+ * @returns {Object} { check(id), peek(id) } resolving to { allowed, limit, remaining, retryAfter (seconds, when denied) },
+ *   and release(id, countedAt) to give back a request counted by check() at `countedAt`
+ */
+export function createRateLimiter({ store, limit, windowMs, prefix = 'ratelimit' }) {
+  const getWindow = (id, now) => {
+    const windowIndex = Math.floor(now / windowMs);
+    return {
+      currentKey: `${prefix}:${id}:${windowIndex}`,
+      previousKey: `${prefix}:${id}:${windowIndex - 1}`,
+      elapsed: (now % windowMs) / windowMs
+    };
+  };
+
+  return {
+    // Remaining allowance without counting a request
+    async peek(id, now = Date.now()) {
+      const { currentKey, previousKey, elapsed } = getWindow(id, now);
+      const [current, previous] = await Promise.all([store.get(currentKey), store.get(previousKey)]);
+      const weighted = previous * (1 - elapsed) + current;
+      return { allowed: weighted + 1 <= limit, limit, remaining: Math.max(0, Math.floor(limit - weighted)) };
+    },
+
+    async check(id, now = Date.now()) {
+      const { currentKey, previousKey, elapsed } = getWindow(id, now);
+
+      // Counters live for two windows so the next window can still weigh this one
+      const [current, previous] = await Promise.all([
+        store.increment(currentKey, 1, windowMs * 2),
+        store.get(previousKey)
+      ]);
+      const weighted = previous * (1 - elapsed) + current;
+
+      if (weighted > limit) {
+        // Denied requests don't use up the allowance
+        await store.increment(currentKey, -1, windowMs * 2);
+        const retryAfterMs = getRetryAfterMs(previous, current - 1, limit, elapsed, windowMs);
+        return { allowed: false, limit, remaining: 0, retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)) };
+      }
+
+      return { allowed: true, limit, remaining: Math.max(0, Math.floor(limit - weighted)) };
+    },
+
+    // Uncount a request that was allowed but then refused for another reason
+    async release(id, countedAt) {
+      const { currentKey } = getWindow(id, countedAt);
+      await store.increment(currentKey, -1, windowMs * 2);
+    }
+  };
+}
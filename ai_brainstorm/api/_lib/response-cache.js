@@ -0,0 +1,101 @@
+// Proxy Response Cache
+// Opt-in in-memory cache (RESPONSE_CACHE=memory) that answers identical deterministic requests without calling OpenRouter
+// Keys use the browser cache's helpers (agentic-chat/src/response-cache.js) plus the user and the response format, so
+// one user's answers are never served to another; entries expire after RESPONSE_CACHE_TTL_MS and the least recently
+// used are dropped past RESPONSE_CACHE_MAX_ENTRIES
+
+import { getCacheKey, isCacheableRequest } from '../../agentic-chat/src/response-cache.js';
+
+// Default entry lifetime (1 hour) and size cap
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Finish reasons worth replaying (cut-off and failed answers are not)
+const CACHEABLE_FINISH_REASONS = ['stop', 'tool_calls'];
+
+/**
+ * In-memory cache with expiry and least-recently-used eviction (per instance)
+ * @param {Object} options - { ttlMs, maxEntries }
+ * @returns {Object} { get(key, now), set(key, value, now), size }
+ */
+export function createMemoryResponseCache({ ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  // Map keeps insertion order: the first key is the least recently used
+  const entries = new Map();
+  return {
+    get(key, now = Date.now()) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (now - entry.storedAt >= ttlMs) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value, now = Date.now()) {
+      entries.delete(key);
+      entries.set(key, { value, storedAt: now });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Create the response cache selected by the environment
+ * RESPONSE_CACHE: off (default) or memory
+ * RESPONSE_CACHE_TTL_MS: entry lifetime (default 1 hour)
+ * RESPONSE_CACHE_MAX_ENTRIES: size cap (default 500)
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Cache, or null when caching is off
+ */
+export function createResponseCache(env = process.env) {
+  const type = (env.RESPONSE_CACHE || 'off').toLowerCase();
+  switch (type) {
+    case 'off':
+      return null;
+    case 'memory':
+      return createMemoryResponseCache({
+        ttlMs: parseInt(env.RESPONSE_CACHE_TTL_MS, 10) || DEFAULT_TTL_MS,
+        maxEntries: parseInt(env.RESPONSE_CACHE_MAX_ENTRIES, 10) || DEFAULT_MAX_ENTRIES
+      });
+    default:
+      throw new Error(`Unknown RESPONSE_CACHE "${type}" (use off or memory)`);
+  }
+}
+
+let sharedResponseCache;
+
+/**
+ * Get the configured response cache, created on first use (throws when the configuration is invalid)
+ * @returns {Object|null} Cache, or null when caching is off
+ */
+export function getResponseCache() {
+  if (sharedResponseCache === undefined) {
+    sharedResponseCache = createResponseCache();
+  }
+  return sharedResponseCache;
+}
+
+/**
+ * Cache key for a request, or null when it may not be cached
+ * Only temperature 0 is cached unless the X-Response-Cache request header says otherwise (allow or bypass)
+ * @param {Object} body - Request body (after the policy)
+ * @param {Object} user - Caller from authenticate
+ * @param {string} header - X-Response-Cache request header
+ * @returns {Promise<string|null>}
+ */
+export async function getRequestCacheKey(body, user, header) {
+  const cacheable = header === 'allow' ? true : header === 'bypass' ? false : undefined;
+  if (!isCacheableRequest(body, cacheable)) {
+    return null;
+  }
+  return `${user.id}:${body.stream === false ? 'json' : 'stream'}:${await getCacheKey(body)}`;
+}
+
+// Whether a finished answer may be cached
+export function isCacheableAnswer(finishReason) {
+  return CACHEABLE_FINISH_REASONS.includes(finishReason);
+}
@@ -0,0 +1,60 @@
+// Proxy Usage
+// Tokens and cost of proxied requests, read from the upstream `usage` data
+// OpenRouter reports the exact cost when asked (usage: { include: true }); otherwise the shared price table is used
+
+import { calculateCost } from '../../agentic-chat/src/pricing.js';
+
+// Only chunks with usage or a finish reason need parsing (the rest have "finish_reason":null)
+const FINAL_CHUNK_PATTERN = /"usage"|"finish_reason":\s*"/;
+
+/**
+ * Normalize an upstream usage object
+ * @param {string} model - Model that was requested
+ * @param {Object} usage - Raw usage (OpenAI / OpenRouter format)
+ * @returns {Object} { promptTokens, completionTokens, totalTokens, cost }
+ */
+export function readUsage(model, usage) {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  const cost = typeof usage?.cost === 'number'
+    ? usage.cost
+    : calculateCost(model, { promptTokens, completionTokens }) || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+    cost
+  };
+}
+
+/**
+ * Watch an SSE stream for the usage chunk and the finish reason while it is passed through
+ * @returns {Object} { push(text), usage: last usage seen or null, finishReason: last finish reason seen or null }
+ */
+export function createStreamUsageReader() {
+  let buffer = '';
+  const reader = {
+    usage: null,
+    finishReason: null,
+    push(text) {
+      buffer += text;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(line => {
+        if (!line.startsWith('data: ') || !FINAL_CHUNK_PATTERN.test(line)) return;
+        try {
+          const data = JSON.parse(line.slice(6));
+          if (data.usage) {
+            reader.usage = data.usage;
+          }
+          if (data.choices?.[0]?.finish_reason) {
+            reader.finishReason = data.choices[0].finish_reason;
+          }
+        } catch {
+          // Not JSON (e.g. [DONE]) - nothing to read
+        }
+      });
+    }
+  };
+  return reader;
+}
@@ -0,0 +1,48 @@
+// Vercel Serverless Function: usage report from the audit log
+// Requests, errors, truncations, cache hits, tokens, cost and latency by user, model and day (admin token required)
+// GET /api/admin/usage?from=2026-10-01&to=2026-10-31&user=user:alice
+
+import { isAdminRequest } from '../_lib/auth.js';
+import { getAuditLog, summarizeAuditLog } from '../_lib/audit-log.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const filters = {
+    from: query.get('from'),
+    to: query.get('to'),
+    user: query.get('user')
+  };
+  if ((filters.from && !DATE_PATTERN.test(filters.from)) || (filters.to && !DATE_PATTERN.test(filters.to))) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  let auditLog;
+  try {
+    auditLog = getAuditLog();
+  } catch (error) {
+    console.error('Audit log not configured:', error.message);
+    return res.status(500).json({ error: 'Audit log not configured' });
+  }
+  if (!auditLog?.read) {
+    return res.status(404).json({ error: 'No readable audit log (set AUDIT_LOG to file or redis)' });
+  }
+
+  try {
+    const entries = await auditLog.read();
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ ...filters, ...summarizeAuditLog(entries, filters) });
+  } catch (error) {
+    console.error('Audit log read error:', error.message);
+    return res.status(503).json({ error: 'Audit log temporarily unavailable' });
+  }
+}
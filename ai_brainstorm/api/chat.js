@@ -1,64 +1,124 @@
 // Vercel Serverless Function for OpenRouter Proxy
-// Handles chat completion requests with rate limiting
+// Handles chat completion requests with rate limiting; every request is written to the audit log (AUDIT_LOG)
+// Identical deterministic requests can be answered from the response cache (RESPONSE_CACHE)
+// Secrets in the user's messages and answers that repeat the forced system prompt go through the content filter
+
+import { getSharedStore } from './_lib/rate-limit-store.js';
+import { authenticate, getClientIp } from './_lib/auth.js';
+import { checkQuotas, releaseQuotaRequest, recordQuotaUsage } from './_lib/quotas.js';
+import { estimateRequestCost, reserveBudget, settleBudget } from './_lib/budgets.js';
+import { getPolicy, applyPolicy } from './_lib/policy.js';
+import { readUsage, createStreamUsageReader } from './_lib/usage.js';
+import { getAuditLog, getPromptExcerpt } from './_lib/audit-log.js';
+import { getResponseCache, getRequestCacheKey, isCacheableAnswer } from './_lib/response-cache.js';
+import { getContentFilter, filterRequest, filterResponse, createEchoWatcher, formatFilterHits } from './_lib/content-filter.js';
 
 const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
 
-// In-memory rate limit store (resets on cold start)
-// For production with multiple instances, consider Vercel KV or Upstash Redis
-const rateLimitStore = new Map();
+// Rate limits, quotas and budgets are per user (access token / invite code) or per IP when auth is off
+// (see _lib/quotas.js and _lib/budgets.js); counters live in the store chosen by RATE_LIMIT_STORE
+
+// Payload limits: message text, and attached images (data URLs) counted separately
+// Vercel rejects request bodies over 4.5MB before they reach the function
+const MAX_TEXT_PAYLOAD = 100 * 1024;
+const MAX_IMAGE_PAYLOAD = 4 * 1024 * 1024;
 
-// Rate limit configuration from environment
-const RATE_LIMIT_REQUESTS = parseInt(process.env.VITE_RATE_LIMIT_REQUESTS || '20', 10);
-const RATE_LIMIT_WINDOW_MS = parseInt(process.env.VITE_RATE_LIMIT_WINDOW_MS || '3600000', 10);
+// Idle streams get an SSE comment this often so proxies and browsers don't drop the connection
+const SSE_HEARTBEAT_MS = 15000;
 
 /**
- * Get client IP address from request
+ * Check and count the user's quotas
+ * An unreachable store lets the request through rather than taking the proxy down with it
  */
-function getClientIp(req) {
-  return req.headers['x-forwarded-for']?.split(',')[0].trim() 
-    || req.headers['x-real-ip'] 
-    || 'unknown';
+async function checkUserQuotas(store, user) {
+  try {
+    return await checkQuotas(store, user);
+  } catch (error) {
+    console.error('Rate limit store error:', error.message);
+    return { allowed: true };
+  }
 }
 
 /**
- * Check and update rate limit for IP address
- * Returns { allowed: boolean, retryAfter?: number }
+ * Give back a counted request that was refused before reaching upstream; failures are logged, never surfaced
  */
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const record = rateLimitStore.get(ip);
-
-  if (!record) {
-    // First request from this IP
-    rateLimitStore.set(ip, {
-      count: 1,
-      resetAt: now + RATE_LIMIT_WINDOW_MS,
-      firstRequest: now
-    });
-    return { allowed: true };
+async function releaseUserRequest(store, user, rateLimit) {
+  if (rateLimit.countedAt === undefined) return;
+  try {
+    await releaseQuotaRequest(store, user, rateLimit.countedAt);
+  } catch (error) {
+    console.error('Rate limit store error:', error.message);
   }
+}
 
-  // Check if window has expired
-  if (now >= record.resetAt) {
-    // Reset the window
-    rateLimitStore.set(ip, {
-      count: 1,
-      resetAt: now + RATE_LIMIT_WINDOW_MS,
-      firstRequest: now
-    });
-    return { allowed: true };
+/**
+ * Reserve the request's estimated cost against the dollar budgets
+ * Returns { allowed, reservation } or { allowed: false, exceeded }; store errors let the request through
+ */
+async function reserveUserBudget(store, user, body) {
+  try {
+    return await reserveBudget(store, user, estimateRequestCost(body));
+  } catch (error) {
+    console.error('Budget store error:', error.message);
+    return { allowed: true, reservation: null };
   }
+}
 
-  // Within the window
-  if (record.count >= RATE_LIMIT_REQUESTS) {
-    const retryAfter = Math.ceil((record.resetAt - now) / 1000);
-    return { allowed: false, retryAfter };
+/**
+ * Add a finished request's usage to the user's quotas and settle its budget reservation
+ * Without usage (failed request: cost 0, broken stream: cost unknown) only the reservation is settled
+ * Failures are logged, never surfaced
+ */
+async function recordUsage(store, user, model, usage, reservation, failedCost = null) {
+  try {
+    const cost = usage ? readUsage(model, usage).cost : failedCost;
+    await Promise.all([
+      usage ? recordQuotaUsage(store, user, readUsage(model, usage)) : null,
+      reservation && cost !== null ? settleBudget(store, reservation, cost) : null
+    ]);
+  } catch (error) {
+    console.error('Failed to record usage:', error.message);
   }
+}
 
-  // Increment count
-  record.count++;
-  rateLimitStore.set(ip, record);
-  return { allowed: true };
+/**
+ * Send a structured error the client can show: { error: { code, message, ...details }, retryAfter }
+ */
+function sendStructuredError(res, status, code, message, details = {}) {
+  if (details.retryAfter) {
+    res.setHeader('Retry-After', String(details.retryAfter));
+  }
+  return res.status(status).json({
+    error: { code, message, ...details },
+    retryAfter: details.retryAfter
+  });
+}
+
+/**
+ * Message for an exhausted budget, e.g. "Your daily budget of $5.00 is used up ($5.01 spent). It resets ..."
+ */
+function getBudgetMessage({ scope, period, limit, spent, resetAt }) {
+  const owner = scope === 'user' ? 'Your' : 'The service\'s';
+  const usd = amount => `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+  const reset = new Date(resetAt).toISOString().replace('T', ' ').slice(0, 16);
+  return `${owner} ${period} budget of ${usd(limit)} is used up (${usd(spent)} spent). It resets ${reset} UTC.`;
+}
+
+/**
+ * Total size of image data URLs in content parts (image_url) across messages
+ */
+function getImagePayloadSize(messages) {
+  let size = 0;
+  messages.forEach(message => {
+    if (Array.isArray(message.content)) {
+      message.content.forEach(part => {
+        if (part?.type === 'image_url' && typeof part.image_url?.url === 'string') {
+          size += part.image_url.url.length;
+        }
+      });
+    }
+  });
+  return size;
 }
 
 /**
@@ -77,9 +137,13 @@ function validateRequest(body) {
     return { valid: false, error: 'Missing or invalid messages array' };
   }
 
-  // Check message size (limit to 100KB)
-  const messageSize = JSON.stringify(body.messages).length;
-  if (messageSize > 100 * 1024) {
+  // Check message size (100KB of text, images counted separately)
+  const imageSize = getImagePayloadSize(body.messages);
+  if (imageSize > MAX_IMAGE_PAYLOAD) {
+    return { valid: false, error: 'Attached images too large' };
+  }
+  const messageSize = JSON.stringify(body.messages).length - imageSize;
+  if (messageSize > MAX_TEXT_PAYLOAD) {
     return { valid: false, error: 'Message payload too large' };
   }
 
@@ -105,7 +169,143 @@ function sanitizeError(error) {
   return message;
 }
 
+// Headers for an SSE response
+function setEventStreamHeaders(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Stop nginx-style proxies from buffering the stream
+}
+
+/**
+ * Pass an upstream SSE stream through to the client byte for byte
+ * Heartbeat comments keep idle connections open (only written between events, so they never split one);
+ * an upstream failure ends the stream with a terminal `event: error` instead of cutting it off
+ * With `capture` the upstream text is kept (without heartbeats) so it can be cached and replayed
+ * An `echoWatcher` (content filter) that spots the system prompt ends the stream there when its rule blocks,
+ * otherwise the hit is reported in a final `event: content_filter` (the headers are long gone by then)
+ * @returns {Promise<Object>} { usage, finishReason, outcome: 'complete' | 'client_closed' | 'stream_error' | 'response_blocked',
+ *   text, filterHit }
+ */
+async function pipeEventStream(response, res, signal, { capture = false, echoWatcher = null } = {}) {
+  setEventStreamHeaders(res);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const usageReader = createStreamUsageReader();
+  // The last few characters written, to tell whether the client is between events
+  let tail = '';
+  const atEventBoundary = () => tail === '' || /\n\r?\n$/.test(tail);
+  let captured = '';
+
+  const heartbeat = setInterval(() => {
+    if (atEventBoundary()) {
+      res.write(': heartbeat\n\n');
+    }
+  }, SSE_HEARTBEAT_MS);
+
+  let outcome = 'complete';
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      const text = decoder.decode(value, { stream: true });
+      if (echoWatcher?.push(text)?.action === 'block') {
+        outcome = 'response_blocked';
+        reader.cancel().catch(() => {});
+        const event = { error: { code: 'response_blocked', message: 'The answer was stopped because it repeated the system prompt' } };
+        res.write(`${atEventBoundary() ? '' : '\n\n'}event: error\ndata: ${JSON.stringify(event)}\n\n`);
+        break;
+      }
+      usageReader.push(text);
+      tail = (tail + text).slice(-4);
+      if (capture) {
+        captured += text;
+      }
+      res.write(value);
+    }
+  } catch (streamError) {
+    if (signal.aborted) {
+      // The client went away; there is nobody left to tell
+      outcome = 'client_closed';
+    } else {
+      console.error('Streaming error:', streamError.message);
+      outcome = 'stream_error';
+      const event = { error: { code: 'stream_error', message: 'The model\'s stream failed before the answer was finished' } };
+      // Close any half-written event first so the error event parses on its own
+      res.write(`${atEventBoundary() ? '' : '\n\n'}event: error\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  const filterHit = echoWatcher?.hit || null;
+  if (filterHit && outcome === 'complete') {
+    res.write(`${atEventBoundary() ? '' : '\n\n'}event: content_filter\ndata: ${JSON.stringify({ contentFilter: [filterHit] })}\n\n`);
+  }
+  res.end();
+  return { usage: usageReader.usage, finishReason: usageReader.finishReason, outcome, text: captured, filterHit };
+}
+
+/**
+ * Answer from the response cache: a recorded stream is replayed as-is, a JSON answer is marked `cached: true`
+ */
+function sendCachedResponse(res, cached) {
+  if (typeof cached.body === 'string') {
+    setEventStreamHeaders(res);
+    res.status(200).end(cached.body);
+    return;
+  }
+  res.status(200).json({ ...cached.body, cached: true });
+}
+
+/**
+ * Append the request to the audit log: who, which model, when, status, latency, tokens, cost and truncation
+ * Failures are logged, never surfaced
+ */
+async function writeAuditEntry(req, res, audit, startedAt) {
+  try {
+    const auditLog = getAuditLog();
+    if (!auditLog) return;
+    const model = typeof req.body?.model === 'string' ? req.body.model : null;
+    const usage = audit.usage ? readUsage(model, audit.usage) : null;
+    await auditLog.append({
+      time: new Date(startedAt).toISOString(),
+      user: audit.user ?? null,
+      auth: audit.auth ?? null,
+      ip: getClientIp(req),
+      model,
+      stream: req.body?.stream !== false,
+      status: res.statusCode,
+      code: audit.code ?? null,
+      cached: audit.cached === true,
+      contentFilter: audit.filterHits?.length > 0 ? formatFilterHits(audit.filterHits) : null,
+      latencyMs: Date.now() - startedAt,
+      promptTokens: usage?.promptTokens ?? 0,
+      completionTokens: usage?.completionTokens ?? 0,
+      cost: usage?.cost ?? 0,
+      finishReason: audit.finishReason ?? null,
+      truncated: audit.finishReason === 'length',
+      prompt: getPromptExcerpt(req.body?.messages)
+    });
+  } catch (error) {
+    console.error('Failed to write audit log:', error.message);
+  }
+}
+
 export default async function handler(req, res) {
+  const startedAt = Date.now();
+  // Filled in by proxyChat as it learns who is calling and how the request went
+  const audit = {};
+  await proxyChat(req, res, audit);
+  await writeAuditEntry(req, res, audit, startedAt);
+}
+
+/**
+ * Proxy a chat completion request, noting the user, error code, usage and finish reason in `audit`
+ */
+async function proxyChat(req, res, audit) {
   // Only allow POST requests
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -118,35 +318,115 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'Service not configured' });
   }
 
-  // Get client IP and check rate limit
-  const clientIp = getClientIp(req);
-  const rateLimit = checkRateLimit(clientIp);
-  
-  if (!rateLimit.allowed) {
-    return res.status(429).json({
-      error: 'Rate limit exceeded',
-      retryAfter: rateLimit.retryAfter
-    });
+  let store;
+  let policy;
+  let responseCache;
+  let contentFilter;
+  try {
+    store = getSharedStore();
+    policy = getPolicy();
+    responseCache = getResponseCache();
+    contentFilter = getContentFilter(policy);
+  } catch (error) {
+    console.error('Proxy not configured:', error.message);
+    return res.status(500).json({ error: 'Service not configured' });
   }
 
+  // Identify the user (access token, invite code or IP)
+  const auth = authenticate(req);
+  if (auth.error) {
+    return res.status(401).json({ error: auth.error });
+  }
+  const { user } = auth;
+  audit.user = user.id;
+  audit.auth = auth.method;
+
   // Validate request body
   const validation = validateRequest(req.body);
   if (!validation.valid) {
     return res.status(400).json({ error: validation.error });
   }
 
-  const { model, messages, stream = true, ...options } = req.body;
+  // Enforce the server's policy: allowed models, max_tokens cap, permitted parameters, forced system prompts
+  const policed = applyPolicy(req.body, policy);
+  if (!policed.valid) {
+    audit.code = policed.code;
+    return sendStructuredError(res, 400, policed.code, policed.error);
+  }
+
+  // Secrets and prompt-injection phrases in the user's messages are blocked, masked or logged
+  const filtered = filterRequest(policed.body, contentFilter);
+  const filterHits = filtered.hits;
+  audit.filterHits = filterHits;
+  if (filterHits.length > 0) {
+    res.setHeader('X-Content-Filter', formatFilterHits(filterHits));
+  }
+  if (filtered.blocked) {
+    audit.code = 'content_blocked';
+    return sendStructuredError(res, 400, 'content_blocked', filtered.blocked.message, { rule: filtered.blocked.rule });
+  }
+
+  // A cached answer costs nothing upstream, so it skips the quotas and the budget and isn't counted as a request
+  const cacheKey = responseCache ? await getRequestCacheKey(filtered.body, user, req.headers['x-response-cache']) : null;
+  if (cacheKey) {
+    const cached = responseCache.get(cacheKey);
+    res.setHeader('X-Response-Cache', cached ? 'HIT' : 'MISS');
+    if (cached) {
+      audit.cached = true;
+      audit.finishReason = cached.finishReason;
+      return sendCachedResponse(res, cached);
+    }
+  }
+
+  // Check the user's request and token quotas; only requests that passed the checks above and go upstream are counted
+  const rateLimit = await checkUserQuotas(store, user);
+  if (rateLimit.limit !== undefined) {
+    res.setHeader('X-RateLimit-Limit', String(rateLimit.limit));
+    res.setHeader('X-RateLimit-Remaining', String(rateLimit.remaining));
+  }
+  
+  if (!rateLimit.allowed) {
+    audit.code = rateLimit.code;
+    return sendStructuredError(res, 429, rateLimit.code, rateLimit.error, { retryAfter: rateLimit.retryAfter });
+  }
+
+  // Meter spend: the estimated cost must fit in every daily / monthly budget, user and global
+  const budget = await reserveUserBudget(store, user, filtered.body);
+  if (!budget.allowed) {
+    const { exceeded } = budget;
+    audit.code = 'budget_exceeded';
+    await releaseUserRequest(store, user, rateLimit);
+    return sendStructuredError(res, 402, 'budget_exceeded', getBudgetMessage(exceeded), {
+      ...exceeded,
+      retryAfter: Math.max(1, Math.ceil((exceeded.resetAt - Date.now()) / 1000))
+    });
+  }
+  const { reservation } = budget;
+
+  const { model, messages, stream = true, ...options } = filtered.body;
+
+  // A client that disconnects cancels the upstream request, so it stops generating (and billing)
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      upstream.abort();
+    }
+  });
 
   try {
     // Forward request to OpenRouter
-    // Ensure max_tokens is set to minimize credit usage (default 200 tokens for 2-3 lines)
+    // max_tokens comes from the client's response profile (omitted for unlimited answers) or the policy's cap
+    // Usage (with OpenRouter's exact cost) is always requested so it can count towards the user's quotas
     const requestBody = {
       model,
       messages,
       stream,
-      max_tokens: 200, // Default to 200 tokens to minimize credit usage
-      ...options // Allow override via options
+      ...options,
+      usage: { include: true }
     };
+    if (stream) {
+      requestBody.stream_options = { ...options.stream_options, include_usage: true };
+    }
 
     const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
       method: 'POST',
@@ -158,47 +438,72 @@ export default async function handler(req, res) {
         'X-Title': 'AI Brainstorm',
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(requestBody)
+      body: JSON.stringify(requestBody),
+      signal: upstream.signal
     });
 
     if (!response.ok) {
+      await recordUsage(store, user, model, null, reservation, 0);
       const errorData = await response.json().catch(() => ({}));
       const errorMessage = sanitizeError(errorData.error || { message: `API error: ${response.status}` });
+      // Pass upstream Retry-After through so the client can back off correctly
+      const retryAfter = response.headers.get('Retry-After');
+      if (retryAfter) {
+        res.setHeader('Retry-After', retryAfter);
+      }
       return res.status(response.status).json({ error: errorMessage });
     }
 
     // Handle streaming response
     if (stream) {
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-
-      // Pipe the response stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-
-      try {
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          
-          const chunk = decoder.decode(value, { stream: true });
-          res.write(chunk);
-        }
-        res.end();
-      } catch (streamError) {
-        console.error('Streaming error:', streamError);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Streaming error' });
-        }
+      const result = await pipeEventStream(response, res, upstream.signal, {
+        capture: Boolean(cacheKey),
+        echoWatcher: createEchoWatcher(policed.systemPrompt, contentFilter)
+      });
+      audit.usage = result.usage;
+      audit.finishReason = result.finishReason;
+      if (result.filterHit) {
+        filterHits.push(result.filterHit);
       }
+      if (result.outcome !== 'complete') {
+        audit.code = result.outcome;
+      } else if (cacheKey && !result.filterHit && isCacheableAnswer(result.finishReason)) {
+        responseCache.set(cacheKey, { body: result.text, finishReason: result.finishReason });
+      }
+      // A stream that broke off before its usage arrived keeps its budget reservation (cost unknown)
+      await recordUsage(store, user, model, result.usage, reservation);
     } else {
       // Handle non-streaming response
-      const data = await response.json();
-      res.status(200).json(data);
+      const checked = filterResponse(await response.json(), policed.systemPrompt, contentFilter);
+      const { data } = checked;
+      audit.usage = data.usage;
+      audit.finishReason = data.choices?.[0]?.finish_reason ?? null;
+      if (checked.hit) {
+        filterHits.push(checked.hit);
+        res.setHeader('X-Content-Filter', formatFilterHits(filterHits));
+      }
+      if (checked.hit?.action === 'block') {
+        audit.code = 'response_blocked';
+        sendStructuredError(res, 422, 'response_blocked', 'The answer was withheld because it repeated the system prompt');
+      } else {
+        res.status(200).json(data);
+        if (cacheKey && !checked.hit && !data.error && isCacheableAnswer(audit.finishReason)) {
+          responseCache.set(cacheKey, { body: data, finishReason: audit.finishReason });
+        }
+      }
+      await recordUsage(store, user, model, data.usage, reservation);
     }
   } catch (error) {
+    // The client went away before the answer arrived; what upstream billed is unknown, so the reservation stands
+    if (upstream.signal.aborted) {
+      audit.code = 'client_closed';
+      return;
+    }
     console.error('Proxy error:', error);
+    // Nothing was answered if the request itself failed; a broken stream keeps its reservation
+    if (!res.headersSent) {
+      await recordUsage(store, user, model, null, reservation, 0);
+    }
     const sanitized = sanitizeError(error);
     
     if (!res.headersSent) {
@@ -0,0 +1,37 @@
+// Vercel Serverless Function: current proxy user, quota usage and budgets
+// Lets the UI show who is signed in and how much of their quotas and budgets is left
+
+import { getSharedStore } from './_lib/rate-limit-store.js';
+import { authenticate, isAuthRequired } from './_lib/auth.js';
+import { getQuotaStatus } from './_lib/quotas.js';
+import { getBudgetStatus } from './_lib/budgets.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const auth = authenticate(req);
+  if (auth.error) {
+    return res.status(401).json({ error: auth.error, authRequired: true });
+  }
+
+  try {
+    const store = getSharedStore();
+    const [quotas, budgets] = await Promise.all([
+      getQuotaStatus(store, auth.user),
+      getBudgetStatus(store, auth.user)
+    ]);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      user: auth.user.name,
+      auth: auth.method,
+      authRequired: isAuthRequired(),
+      ...quotas,
+      budgets
+    });
+  } catch (error) {
+    console.error('Usage lookup error:', error.message);
+    return res.status(503).json({ error: 'Usage temporarily unavailable' });
+  }
+}
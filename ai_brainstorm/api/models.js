@@ -0,0 +1,34 @@
+// Vercel Serverless Function: model catalog
+// Models this proxy serves, with context length, pricing and modalities, for the settings autocomplete
+
+import { getModelCatalog } from './_lib/model-catalog.js';
+import { getPolicy, getAllowedModels } from './_lib/policy.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let catalog;
+  let allowedModels;
+  try {
+    catalog = await getModelCatalog();
+    allowedModels = getAllowedModels(getPolicy());
+  } catch (error) {
+    console.error('Model catalog error:', error.message);
+    return res.status(502).json({ error: 'Model catalog unavailable' });
+  }
+
+  // Only offer the models the request policy lets through
+  const models = allowedModels
+    ? catalog.models.filter(model => allowedModels.includes(model.id))
+    : catalog.models;
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json({
+    models,
+    source: catalog.source,
+    fetchedAt: catalog.fetchedAt,
+    stale: catalog.stale
+  });
+}
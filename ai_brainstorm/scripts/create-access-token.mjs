@@ -0,0 +1,47 @@
+// Create a signed proxy access token
+// Usage: PROXY_AUTH_SECRET=... node scripts/create-access-token.mjs <user> [--days 30] [--requests 50] [--tokens 200000]
+//   [--daily-budget 1.5] [--monthly-budget 20]
+// Quota and budget flags override the proxy's defaults for this user; without --days the token never expires
+
+import { createAccessToken } from '../api/_lib/auth.js';
+
+const [user, ...flags] = process.argv.slice(2);
+const secret = process.env.PROXY_AUTH_SECRET;
+
+if (!user || !secret) {
+  console.error('Usage: PROXY_AUTH_SECRET=... node scripts/create-access-token.mjs <user> [--days N] [--requests N] [--tokens N] [--daily-budget USD] [--monthly-budget USD]');
+  process.exit(1);
+}
+
+const options = {};
+for (let i = 0; i < flags.length; i += 2) {
+  const value = Number(flags[i + 1]);
+  if (!flags[i].startsWith('--') || !Number.isFinite(value)) {
+    console.error(`Invalid option: ${flags[i]} ${flags[i + 1] ?? ''}`);
+    process.exit(1);
+  }
+  options[flags[i].slice(2)] = value;
+}
+
+const claims = { sub: user };
+if (options.days) {
+  claims.exp = Math.floor(Date.now() / 1000) + options.days * 24 * 60 * 60;
+}
+// Flag -> quota claim
+const QUOTA_FLAGS = {
+  'requests': 'requests',
+  'tokens': 'tokens',
+  'daily-budget': 'dailyBudget',
+  'monthly-budget': 'monthlyBudget'
+};
+const quota = {};
+Object.entries(QUOTA_FLAGS).forEach(([flag, claim]) => {
+  if (options[flag] !== undefined) {
+    quota[claim] = options[flag];
+  }
+});
+if (Object.keys(quota).length > 0) {
+  claims.quota = quota;
+}
+
+console.log(createAccessToken(claims, secret));
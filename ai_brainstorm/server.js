@@ -0,0 +1,248 @@
+// Standalone Server
+// Runs the app without the Vercel runtime: mounts the api/ handlers and serves the built agentic-chat/dist
+// Reads the same environment variables as the Vercel functions (and .env when present), plus PORT, HOST,
+// STATIC_DIR and TRUST_PROXY; /healthz answers while the process is up, /readyz once it can serve requests
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Load .env before the handlers read their configuration (variables already set win)
+if (fs.existsSync(path.join(ROOT_DIR, '.env'))) {
+  process.loadEnvFile(path.join(ROOT_DIR, '.env'));
+}
+
+const { default: chatHandler } = await import('./api/chat.js');
+const { default: meHandler } = await import('./api/me.js');
+const { default: modelsHandler } = await import('./api/models.js');
+const { default: adminUsageHandler } = await import('./api/admin/usage.js');
+const { getSharedStore } = await import('./api/_lib/rate-limit-store.js');
+const { getPolicy } = await import('./api/_lib/policy.js');
+const { getContentFilter } = await import('./api/_lib/content-filter.js');
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const HOST = process.env.HOST || '0.0.0.0';
+const STATIC_DIR = path.resolve(ROOT_DIR, process.env.STATIC_DIR || 'agentic-chat/dist');
+
+// Same limit Vercel puts on request bodies
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024;
+
+// How long in-flight requests get to finish on shutdown
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+// API routes (the same paths Vercel derives from api/)
+const API_ROUTES = {
+  '/api/chat': chatHandler,
+  '/api/me': meHandler,
+  '/api/models': modelsHandler,
+  '/api/admin/usage': adminUsageHandler
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// Headers vercel.json adds to every response
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'X-XSS-Protection': '1; mode=block'
+};
+
+/**
+ * Read and parse a request body the way Vercel does (JSON when the content type says so)
+ * @returns {Promise<*>} Parsed body, the raw text, or undefined when empty
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return undefined;
+  if (!req.headers['content-type']?.includes('application/json')) return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw Object.assign(new Error('Invalid JSON body'), { status: 400 });
+  }
+}
+
+// Add the Vercel response helpers the handlers use
+function addResponseHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Run an api/ handler
+ * Without TRUST_PROXY=true the client address comes from the socket, so X-Forwarded-For can't be spoofed
+ * to dodge per-IP rate limits (set it when a reverse proxy in front of the server sets that header)
+ */
+async function handleApi(handler, req, res) {
+  if (process.env.TRUST_PROXY !== 'true') {
+    req.headers['x-forwarded-for'] = req.socket.remoteAddress || 'unknown';
+  }
+  try {
+    req.body = await readBody(req);
+    await handler(req, addResponseHelpers(res));
+  } catch (error) {
+    if (!error.status) {
+      console.error('Handler error:', error);
+    }
+    if (!res.headersSent) {
+      addResponseHelpers(res).status(error.status || 500).json({ error: error.status ? error.message : 'Internal server error' });
+    } else {
+      res.end();
+    }
+  }
+}
+
+// Whether the process can serve requests: API key set, policy and store configured, store reachable, app built
+async function getReadiness() {
+  const checks = {
+    apiKey: Boolean(process.env.OPENROUTER_API_KEY),
+    staticFiles: fs.existsSync(path.join(STATIC_DIR, 'index.html')),
+    policy: true,
+    store: true
+  };
+  try {
+    getContentFilter(getPolicy());
+  } catch (error) {
+    console.error('Readiness: invalid policy:', error.message);
+    checks.policy = false;
+  }
+  try {
+    await getSharedStore().get('readiness');
+  } catch (error) {
+    console.error('Readiness: store unavailable:', error.message);
+    checks.store = false;
+  }
+  return { ready: Object.values(checks).every(Boolean), checks };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+// Serve a file from the built app; unknown paths get index.html
+function serveStatic(req, res, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Allow': 'GET, HEAD' });
+    res.end();
+    return;
+  }
+
+  let filePath = path.join(STATIC_DIR, path.normalize(decodeURIComponent(pathname)));
+  let stats = filePath.startsWith(STATIC_DIR + path.sep) ? fs.statSync(filePath, { throwIfNoEntry: false }) : null;
+  // Unknown paths, and paths that climb out of the app directory (../), get index.html
+  if (!stats?.isFile()) {
+    filePath = path.join(STATIC_DIR, 'index.html');
+    stats = fs.statSync(filePath, { throwIfNoEntry: false });
+  }
+  if (!stats) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found (build the app with: cd agentic-chat && npm run build)');
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+    'Content-Length': stats.size,
+    // Hashed bundles never change; index.html must always be revalidated to pick up new ones
+    'Cache-Control': pathname.startsWith('/assets/') ? 'public, max-age=31536000, immutable' : 'no-cache'
+  });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(filePath).pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+  Object.entries(SECURITY_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+
+  let pathname;
+  try {
+    pathname = new URL(req.url, 'http://localhost').pathname.replace(/\/$/, '') || '/';
+    decodeURIComponent(pathname);
+  } catch {
+    sendJson(res, 400, { error: 'Bad request' });
+    return;
+  }
+
+  if (pathname === '/healthz') {
+    sendJson(res, 200, { status: 'ok', uptime: Math.round(process.uptime()) });
+    return;
+  }
+  if (pathname === '/readyz') {
+    const readiness = await getReadiness();
+    sendJson(res, readiness.ready ? 200 : 503, readiness);
+    return;
+  }
+
+  const handler = API_ROUTES[pathname];
+  if (handler) {
+    await handleApi(handler, req, res);
+    return;
+  }
+  if (pathname.startsWith('/api/')) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  serveStatic(req, res, pathname);
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`AI Brainstorm listening on http://${HOST}:${PORT} (app: ${STATIC_DIR})`);
+  if (!process.env.OPENROUTER_API_KEY) {
+    console.warn('OPENROUTER_API_KEY is not set; /api/chat will answer 500 until it is');
+  }
+});
+
+// Stop taking connections, let in-flight requests finish, then flush the store (file store writes are delayed)
+function shutdown(signal) {
+  console.log(`${signal} received, shutting down`);
+  const forceExit = setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+  server.close(async () => {
+    try {
+      await getSharedStore().close();
+    } catch (error) {
+      console.error('Failed to close store:', error.message);
+    }
+    process.exit(0);
+  });
+  server.closeIdleConnections();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,19 @@
+// Budget Tests
+// Store keys of the daily and monthly budgets
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBudgets } from '../api/_lib/budgets.js';
+
+test('keys budgets by user ID and calendar period', () => {
+  const now = Date.UTC(2026, 9, 19, 12);
+  const env = { PROXY_USER_MONTHLY_BUDGET: '10', PROXY_GLOBAL_DAILY_BUDGET: '50' };
+  const keys = user => getBudgets(user, env, now).map(budget => budget.key);
+
+  assert.deepEqual(keys({ id: 'user:alice', quota: { dailyBudget: 1 } }), [
+    'budget:user:alice:daily:2026-10-19',
+    'budget:user:alice:monthly:2026-10',
+    'budget:global:daily:2026-10-19'
+  ]);
+  assert.deepEqual(keys({ id: 'ip:10.0.0.1' }), ['budget:ip:10.0.0.1:monthly:2026-10', 'budget:global:daily:2026-10-19']);
+});
@@ -0,0 +1,60 @@
+// Model Catalog Tests
+// Reloading the proxy's catalog from OpenRouter: expiry, shared reloads and the back-off after a failure
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getModelCatalog } from '../api/_lib/model-catalog.js';
+
+const TTL_MS = 60000;
+const env = { MODEL_CATALOG_TTL_MS: String(TTL_MS) };
+
+// Stand in for OpenRouter's /models: each call answers with the next model ID, or fails while `failing` is set
+const upstream = { calls: 0, failing: false };
+globalThis.fetch = async () => {
+  upstream.calls++;
+  await new Promise(resolve => setImmediate(resolve));
+  if (upstream.failing) {
+    throw new Error('fetch failed');
+  }
+  return new Response(JSON.stringify({ data: [{ id: `vendor/model-${upstream.calls}` }] }));
+};
+
+const modelIds = catalog => catalog.models.map(model => model.id);
+
+// One catalog cache per process, so the steps share a timeline
+test('reloads once per TTL, shares reloads and backs off after a failure', async () => {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    // Concurrent first requests share one fetch
+    const first = await Promise.all([getModelCatalog(env, 0), getModelCatalog(env, 0), getModelCatalog(env, 0)]);
+    assert.equal(upstream.calls, 1);
+    first.forEach(catalog => assert.deepEqual(modelIds(catalog), ['vendor/model-1']));
+
+    // Served from memory until the TTL runs out
+    assert.equal((await getModelCatalog(env, TTL_MS - 1)).stale, false);
+    assert.equal(upstream.calls, 1);
+
+    // A failed reload serves the old copy, flagged stale, and isn't retried for a minute
+    upstream.failing = true;
+    const failed = await Promise.all([getModelCatalog(env, TTL_MS), getModelCatalog(env, TTL_MS)]);
+    assert.equal(upstream.calls, 2);
+    failed.forEach(catalog => {
+      assert.equal(catalog.stale, true);
+      assert.equal(catalog.fetchedAt, 0);
+      assert.deepEqual(modelIds(catalog), ['vendor/model-1']);
+    });
+    assert.equal((await getModelCatalog(env, TTL_MS + 59999)).stale, true);
+    assert.equal(upstream.calls, 2);
+
+    // Once the retry interval has passed a successful reload replaces it
+    upstream.failing = false;
+    const recovered = await getModelCatalog(env, TTL_MS + 60000);
+    assert.equal(upstream.calls, 3);
+    assert.deepEqual(modelIds(recovered), ['vendor/model-3']);
+    assert.equal(recovered.stale, false);
+    assert.equal(recovered.fetchedAt, TTL_MS + 60000);
+  } finally {
+    console.error = originalError;
+  }
+});
@@ -0,0 +1,317 @@
+// Rate Limit Store Tests
+// Memory, file and Redis stores behind the same interface; the Redis store runs against a local RESP stand-in
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import net from 'node:net';
+import { createMemoryStore, createFileStore, createRedisStore, createRedisClient, createRateLimitStore } from '../api/_lib/rate-limit-store.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Parse the RESP commands (arrays of bulk strings) at the start of a buffer: { commands, rest }
+function parseCommands(buffer) {
+  const commands = [];
+  let offset = 0;
+  for (;;) {
+    const headerEnd = buffer.indexOf('\r\n', offset);
+    if (headerEnd === -1 || buffer[offset] !== 0x2a) break; // '*'
+    const count = Number(buffer.toString('utf8', offset + 1, headerEnd));
+    const args = [];
+    let position = headerEnd + 2;
+    for (let i = 0; i < count; i++) {
+      const lengthEnd = buffer.indexOf('\r\n', position);
+      if (lengthEnd === -1) break;
+      const length = Number(buffer.toString('utf8', position + 1, lengthEnd));
+      if (buffer.length < lengthEnd + 2 + length + 2) break;
+      args.push(buffer.toString('utf8', lengthEnd + 2, lengthEnd + 2 + length));
+      position = lengthEnd + 2 + length + 2;
+    }
+    if (args.length < count) break;
+    commands.push(args);
+    offset = position;
+  }
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+const bulk = value => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+
+/**
+ * Local stand-in for a Redis server: the commands the store and client use, with MULTI/EXEC queueing and expiry
+ * @param {Object} options - { password: required by AUTH when set }
+ * @returns {Promise<Object>} { url, log: commands received, data, close() }
+ */
+async function startRedisStandIn({ password = null } = {}) {
+  const data = new Map(); // key -> { value, expiresAt }
+  const log = [];
+  const sockets = new Set();
+
+  const read = key => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const run = (args, session) => {
+    const [name, key, value] = [args[0].toUpperCase(), args[1], args[2]];
+    if (password && !session.authenticated && name !== 'AUTH') {
+      return '-NOAUTH Authentication required.\r\n';
+    }
+    switch (name) {
+      case 'AUTH':
+        if (args[args.length - 1] !== password) return '-WRONGPASS invalid username-password pair\r\n';
+        session.authenticated = true;
+        return '+OK\r\n';
+      case 'SELECT':
+        return '+OK\r\n';
+      case 'GET':
+        return bulk(read(key)?.value ?? null);
+      case 'INCRBYFLOAT': {
+        const entry = read(key);
+        const current = entry ? Number(entry.value) : 0;
+        if (Number.isNaN(current)) return '-ERR value is not a valid float\r\n';
+        const next = String(current + Number(value));
+        data.set(key, { value: next, expiresAt: entry?.expiresAt ?? null });
+        return bulk(next);
+      }
+      case 'PEXPIRE': {
+        const entry = read(key);
+        if (!entry) return ':0\r\n';
+        entry.expiresAt = Date.now() + Number(value);
+        return ':1\r\n';
+      }
+      case 'QUIT':
+        return '+OK\r\n';
+      default:
+        return `-ERR unknown command '${args[0]}'\r\n`;
+    }
+  };
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    const session = { authenticated: false, queue: null };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      const { commands, rest } = parseCommands(Buffer.concat([buffer, chunk]));
+      buffer = rest;
+      commands.forEach(args => {
+        log.push(args);
+        const name = args[0].toUpperCase();
+        if (name === 'MULTI') {
+          session.queue = [];
+          socket.write('+OK\r\n');
+        } else if (name === 'EXEC') {
+          const replies = session.queue.map(queued => run(queued, session));
+          session.queue = null;
+          socket.write(`*${replies.length}\r\n${replies.join('')}`);
+        } else if (session.queue) {
+          session.queue.push(args);
+          socket.write('+QUEUED\r\n');
+        } else {
+          socket.write(run(args, session));
+          if (name === 'QUIT') socket.end();
+        }
+      });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    url: `redis://${password ? `:${password}@` : ''}127.0.0.1:${port}`,
+    log,
+    data,
+    dropConnections: () => sockets.forEach(socket => socket.destroy()),
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+}
+
+describe('memory store', () => {
+  test('counts up from zero per key', async () => {
+    const store = createMemoryStore();
+    assert.equal(await store.get('a'), 0);
+    assert.equal(await store.increment('a', 1, 1000), 1);
+    assert.equal(await store.increment('a', 2, 1000), 3);
+    assert.equal(await store.increment('b', 1, 1000), 1);
+    assert.equal(await store.get('a'), 3);
+  });
+
+  test('forgets counters once their TTL has passed', async () => {
+    const store = createMemoryStore();
+    await store.increment('a', 5, 20);
+    await wait(40);
+    assert.equal(await store.get('a'), 0);
+    assert.equal(await store.increment('a', 1, 1000), 1);
+  });
+
+  test('accepts negative amounts (giving a count back)', async () => {
+    const store = createMemoryStore();
+    await store.increment('a', 2, 1000);
+    assert.equal(await store.increment('a', -1, 1000), 1);
+  });
+});
+
+describe('file store', () => {
+  let directory;
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-store-'));
+  });
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('keeps counters across restarts', async () => {
+    const filePath = path.join(directory, 'nested', 'limits.json');
+    const store = createFileStore(filePath);
+    await store.increment('a', 2, 60000);
+    await store.increment('b', 1, 60000);
+    await store.close();
+
+    const reopened = createFileStore(filePath);
+    assert.equal(await reopened.get('a'), 2);
+    assert.equal(await reopened.increment('b', 1, 60000), 2);
+    await reopened.close();
+  });
+
+  test('writes changes after a short delay without close()', async () => {
+    const filePath = path.join(directory, 'delayed.json');
+    const store = createFileStore(filePath);
+    await store.increment('a', 1, 60000);
+    assert.equal(fs.existsSync(filePath), false);
+    await wait(400);
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).a.value, 1);
+  });
+
+  test('drops expired counters on load', async () => {
+    const filePath = path.join(directory, 'expired.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      old: { value: 4, expiresAt: Date.now() - 1 },
+      live: { value: 2, expiresAt: Date.now() + 60000 }
+    }));
+    const store = createFileStore(filePath);
+    assert.equal(await store.get('old'), 0);
+    assert.equal(await store.get('live'), 2);
+  });
+
+  test('starts empty when the file is unreadable', async () => {
+    const filePath = path.join(directory, 'broken.json');
+    fs.writeFileSync(filePath, '{not json');
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const store = createFileStore(filePath);
+      assert.equal(await store.get('a'), 0);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
+
+describe('redis store', () => {
+  let standIn;
+  before(async () => {
+    standIn = await startRedisStandIn();
+  });
+  after(() => standIn.close());
+
+  test('increments inside MULTI/EXEC with an expiry', async () => {
+    const store = createRedisStore(standIn.url);
+    try {
+      assert.equal(await store.get('r:a'), 0);
+      assert.equal(await store.increment('r:a', 1, 60000), 1);
+      assert.equal(await store.increment('r:a', 2, 60000), 3);
+      assert.equal(await store.get('r:a'), 3);
+
+      const names = standIn.log.map(args => args[0]);
+      assert.deepEqual(names.slice(names.indexOf('MULTI'), names.indexOf('EXEC') + 1), ['MULTI', 'INCRBYFLOAT', 'PEXPIRE', 'EXEC']);
+      assert.ok(standIn.data.get('r:a').expiresAt > Date.now());
+    } finally {
+      await store.close();
+    }
+  });
+
+  test('lets counters expire with PEXPIRE', async () => {
+    const store = createRedisStore(standIn.url);
+    try {
+      await store.increment('r:short', 1, 20);
+      await wait(40);
+      assert.equal(await store.get('r:short'), 0);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test('rejects when a command inside EXEC fails', async () => {
+    standIn.data.set('r:text', { value: 'abc', expiresAt: null });
+    const store = createRedisStore(standIn.url);
+    try {
+      await assert.rejects(store.increment('r:text', 1, 1000), /not a valid float/);
+    } finally {
+      await store.close();
+    }
+  });
+
+  test('reconnects after the connection drops', async () => {
+    const store = createRedisStore(standIn.url);
+    try {
+      await store.increment('r:drop', 1, 60000);
+      standIn.dropConnections();
+      await wait(20);
+      assert.equal(await store.increment('r:drop', 1, 60000), 2);
+    } finally {
+      await store.close();
+    }
+  });
+});
+
+describe('redis client', () => {
+  let standIn;
+  before(async () => {
+    standIn = await startRedisStandIn({ password: 's3cret' });
+  });
+  after(() => standIn.close());
+
+  test('authenticates and selects the database from the URL', async () => {
+    const client = createRedisClient(`${standIn.url}/2`);
+    try {
+      assert.equal(await client.command(['GET', 'missing']), null);
+      assert.deepEqual(standIn.log.slice(0, 2), [['AUTH', 's3cret'], ['SELECT', '2']]);
+    } finally {
+      await client.close();
+    }
+  });
+
+  test('fails commands when authentication fails', async () => {
+    const client = createRedisClient(standIn.url.replace('s3cret', 'wrong'));
+    await assert.rejects(client.command(['GET', 'a']), /WRONGPASS/);
+    await client.close();
+  });
+
+  test('fails commands when the server is unreachable', async () => {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+
+    const client = createRedisClient(`redis://127.0.0.1:${port}`);
+    await assert.rejects(client.command(['GET', 'a']), /ECONNREFUSED/);
+  });
+});
+
+describe('createRateLimitStore', () => {
+  test('picks the store from the environment', () => {
+    assert.equal(typeof createRateLimitStore({}).increment, 'function');
+    assert.throws(() => createRateLimitStore({ RATE_LIMIT_STORE: 'redis' }), /requires REDIS_URL/);
+    assert.throws(() => createRateLimitStore({ RATE_LIMIT_STORE: 'sqlite' }), /Unknown RATE_LIMIT_STORE/);
+  });
+});
@@ -0,0 +1,122 @@
+// Rate Limiter Tests
+// Sliding-window allow/deny decisions and the retryAfter they report (times are passed in, not read from the clock)
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../api/_lib/rate-limit-store.js';
+import { createRateLimiter } from '../api/_lib/rate-limiter.js';
+
+const WINDOW_MS = 10000;
+
+// A limiter of 3 requests per 10 s on a fresh memory store (TTLs are real time, so they never expire in a test)
+function createLimiter(limit = 3) {
+  return createRateLimiter({ store: createMemoryStore(), limit, windowMs: WINDOW_MS });
+}
+
+describe('sliding-window limiter', () => {
+  test('allows up to the limit, then denies', async () => {
+    const limiter = createLimiter();
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await limiter.check('alice', 1000 + i));
+    }
+    assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+    assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+  });
+
+  test('counts each client separately', async () => {
+    const limiter = createLimiter(1);
+    assert.equal((await limiter.check('alice', 1000)).allowed, true);
+    assert.equal((await limiter.check('bob', 1000)).allowed, true);
+    assert.equal((await limiter.check('alice', 1001)).allowed, false);
+  });
+
+  test("doesn't count denied requests", async () => {
+    const limiter = createLimiter();
+    for (let i = 0; i < 3; i++) {
+      await limiter.check('alice', 1000);
+    }
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await limiter.check('alice', 2000)).allowed, false);
+    }
+    // Only the 3 allowed requests weigh on the next window: 3 * (1 - 0.4) + 1 = 2.8
+    assert.equal((await limiter.check('alice', 14000)).allowed, true);
+  });
+
+  test('weighs the previous window by how much of it still overlaps', async () => {
+    const limiter = createLimiter();
+    for (let i = 0; i < 3; i++) {
+      await limiter.check('alice', 9000);
+    }
+    // Just after the window edge almost all of the previous window still counts: no burst
+    assert.equal((await limiter.check('alice', 10500)).allowed, false);
+    // Once a third of the window has slid past, 3 * 2/3 + 1 = 3 fits
+    assert.equal((await limiter.check('alice', 13334)).allowed, true);
+    assert.equal((await limiter.check('alice', 13335)).allowed, false);
+  });
+
+  test('peek reports the allowance without counting', async () => {
+    const limiter = createLimiter();
+    await limiter.check('alice', 1000);
+    assert.deepEqual(await limiter.peek('alice', 1000), { allowed: true, limit: 3, remaining: 2 });
+    assert.deepEqual(await limiter.peek('alice', 1000), { allowed: true, limit: 3, remaining: 2 });
+  });
+
+  test('release gives a counted request back to the window it was counted in', async () => {
+    const limiter = createLimiter();
+    for (let i = 0; i < 3; i++) {
+      await limiter.check('alice', 9000);
+    }
+    // The request counted at 9 s is uncounted: room for exactly one more
+    await limiter.release('alice', 9000);
+    assert.deepEqual(await limiter.peek('alice', 9500), { allowed: true, limit: 3, remaining: 1 });
+    assert.equal((await limiter.check('alice', 9500)).allowed, true);
+    assert.equal((await limiter.check('alice', 9500)).allowed, false);
+  });
+});
+
+describe('retryAfter', () => {
+  // Deny at `now`, then check that the request is still denied just before retryAfter and allowed at it
+  async function assertRetryAfter(limiter, now, expectedSeconds) {
+    const denied = await limiter.check('alice', now);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.retryAfter, expectedSeconds);
+    return denied;
+  }
+
+  test('waits for the next window when the current one is full', async () => {
+    const limiter = createLimiter();
+    for (let i = 0; i < 3; i++) {
+      await limiter.check('alice', 5000);
+    }
+    // Next window starts in 5 s; there 3 * (1 - e) + 1 <= 3 needs e >= 1/3 (3.33 s more): 8.33 s -> 9 s
+    await assertRetryAfter(limiter, 5000, 9);
+    assert.equal((await limiter.check('alice', 5000 + 8000)).allowed, false);
+    assert.equal((await limiter.check('alice', 5000 + 9000)).allowed, true);
+  });
+
+  test('waits for the previous window to slide out when the current one has room', async () => {
+    const limiter = createLimiter();
+    for (let i = 0; i < 3; i++) {
+      await limiter.check('alice', 9000);
+    }
+    // At 1 s into the next window 3 * 0.9 + 1 > 3; it fits from 3.33 s: 2.33 s -> 3 s
+    await assertRetryAfter(limiter, 11000, 3);
+    assert.equal((await limiter.check('alice', 11000 + 2000)).allowed, false);
+    assert.equal((await limiter.check('alice', 11000 + 3000)).allowed, true);
+  });
+
+  test('is at least 1 second', async () => {
+    const limiter = createLimiter();
+    for (let i = 0; i < 3; i++) {
+      await limiter.check('alice', 9000);
+    }
+    // Allowed again from 13334; at 13300 only 34 ms are left
+    await assertRetryAfter(limiter, 13300, 1);
+  });
+
+  test('covers a full window when the limit is 0', async () => {
+    const limiter = createLimiter(0);
+    await assertRetryAfter(limiter, 2500, 8);
+  });
+});